@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+'use strict';
+
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { exportDashboard } = require('../grafana_pdf');
+const { rendererOptionsFromEnv, grafanaAuthFromEnv } = require('../lib/config');
+const { hasCredentials } = require('../lib/grafana_auth');
+const { validateImageOptions } = require('../lib/formats');
+const { validateDataFormat } = require('../lib/data_export');
+const { validatePanelErrorMode } = require('../lib/panel_report');
+const { normalizeTimezone } = require('../lib/time_range');
+const { logger } = require('../lib/logger');
+
+const EXIT_SUCCESS = 0;
+const EXIT_EXPORT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: grafana-pdf export <url> [options]
+
+Export a Grafana dashboard to PDF or to an image.
+
+Options:
+  --from <time>        Start of the time range (e.g. now-7d, epoch in ms)
+  --to <time>          End of the time range (e.g. now, epoch in ms)
+  --timezone <tz>      Timezone of the time range: IANA name, utc or browser (default: EXPORT_TIMEZONE or the dashboard one)
+  --var <name=value>   Set a template variable, repeat it for multi-value variables
+  --format <format>    pdf (default), png, jpeg or webp
+  --scale <factor>     Device scale factor of the rendering (default: 2)
+  --quality <1-100>    Quality of jpeg and webp images (default: 90)
+  --width <px>         PDF width in pixels (default: PDF_WIDTH_PX or 1920)
+  --height <px|auto>   PDF height in pixels (default: PDF_HEIGHT_PX or auto)
+  --panels <list>      Export one panel per page: "all", or comma-separated panel IDs or titles
+  --paper <size>       Paginate on paper pages: A3, A4, A5, Letter, Legal or Tabloid (default: PDF_PAPER_SIZE)
+  --orientation <o>    Paper orientation: portrait or landscape (default: portrait)
+  --cover              Add a cover page, a header and a footer with page numbers
+  --data <csv|xlsx>    Also export the query results of the panels, next to the output file
+  --embed-data         Attach the data files to the PDF instead
+  --panel-errors <m>   Panels in error or without data: ignore (default), annotate (warnings page) or fail
+  --out <file>         Output file (default: generated name in ./output)
+  --debug              Save a debug bundle of the export in DEBUG_DIR (default: ./debug), even if it succeeds
+  --token <token>      Grafana service account token or API key (default: GRAFANA_TOKEN)
+  --user <user>        Grafana user for basic auth (default: GRAFANA_USER)
+  --password <pwd>     Grafana password for basic auth (default: GRAFANA_PASSWORD)
+  -h, --help           Show this help
+
+The other settings are read from the environment or from a .env file, see README.md.
+
+Logs are written to stderr, see LOG_LEVEL and LOG_FORMAT. The paths of the generated files are written to stdout.
+
+Exit codes: 0 on success, 1 if the export failed, 2 on invalid usage.`;
+
+function fail(message) {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(EXIT_USAGE);
+}
+
+async function main() {
+    logger.configure({ stream: process.stderr });
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                timezone: { type: 'string' },
+                var: { type: 'string', multiple: true },
+                format: { type: 'string' },
+                scale: { type: 'string' },
+                quality: { type: 'string' },
+                width: { type: 'string' },
+                height: { type: 'string' },
+                panels: { type: 'string' },
+                paper: { type: 'string' },
+                orientation: { type: 'string' },
+                cover: { type: 'boolean' },
+                data: { type: 'string' },
+                'embed-data': { type: 'boolean' },
+                'panel-errors': { type: 'string' },
+                out: { type: 'string' },
+                debug: { type: 'boolean' },
+                token: { type: 'string' },
+                user: { type: 'string' },
+                password: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(EXIT_SUCCESS);
+    }
+
+    const [command, url] = positionals;
+    if (command !== 'export') {
+        fail(command ? `Unknown command: ${command}` : 'Missing command.');
+    }
+    if (!url) {
+        fail('Missing dashboard URL.');
+    }
+    if (values.width && isNaN(parseInt(values.width, 10))) {
+        fail(`Invalid width: ${values.width}`);
+    }
+    if (values.height && values.height !== 'auto' && isNaN(parseInt(values.height, 10))) {
+        fail(`Invalid height: ${values.height}`);
+    }
+
+    if (values.orientation && !['portrait', 'landscape'].includes(values.orientation)) {
+        fail(`Invalid orientation: ${values.orientation}`);
+    }
+
+    try {
+        validateImageOptions({
+            format: values.format || 'pdf',
+            deviceScaleFactor: values.scale ? parseFloat(values.scale) : undefined,
+            quality: values.quality ? Number(values.quality) : undefined
+        });
+        validateDataFormat(values.data);
+        validatePanelErrorMode(values['panel-errors']);
+        if (values.timezone) normalizeTimezone(values.timezone);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const variables = {};
+    for (const assignment of values.var || []) {
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+            fail(`Invalid variable: ${assignment}, expected name=value`);
+        }
+        const name = assignment.substring(0, separator);
+        (variables[name] = variables[name] || []).push(assignment.substring(separator + 1));
+    }
+
+    let auth = grafanaAuthFromEnv();
+    if (values.token) {
+        auth = { token: values.token };
+    } else if (values.user || values.password) {
+        auth = { username: values.user, password: values.password };
+    }
+    if (!hasCredentials(auth)) {
+        fail('Grafana credentials are missing: use --token or --user/--password, or set GRAFANA_TOKEN or GRAFANA_USER/GRAFANA_PASSWORD.');
+    }
+
+    const options = { ...rendererOptionsFromEnv(), url, auth, from: values.from, to: values.to, variables, out: values.out };
+    if (values.width) options.width = values.width;
+    if (values.height) options.height = values.height === 'auto' ? null : values.height;
+    if (values.panels) options.panels = values.panels;
+    if (values.paper) options.paperSize = values.paper;
+    if (values.orientation) options.orientation = values.orientation;
+    if (values.format) options.format = values.format;
+    if (values.scale) options.deviceScaleFactor = parseFloat(values.scale);
+    if (values.quality) options.quality = Number(values.quality);
+    if (values.cover) options.report = {};
+    if (values.data) options.data = values.data;
+    if (values['embed-data']) options.embedData = true;
+    if (values['panel-errors']) options.panelErrors = values['panel-errors'];
+    if (values.timezone) options.timezone = values.timezone;
+    if (values.debug) options.debugBundle = 'always';
+
+    try {
+        const result = await exportDashboard(options);
+        console.log(result.path);
+        result.files.filter(file => file.path).forEach(file => console.log(file.path));
+        process.exit(EXIT_SUCCESS);
+    } catch (error) {
+        console.error("Error during PDF generation:", error.message);
+        process.exit(EXIT_EXPORT_FAILED);
+    }
+}
+
+main();
@@ -44,18 +44,42 @@ JSON_PAYLOAD="{\"url\": \"${GF_DASH_URL}\""
 [ -n "$GF_PDF_HEIGHT_PX" ] && JSON_PAYLOAD="${JSON_PAYLOAD}, \"pdfHeightPx\": \"${GF_PDF_HEIGHT_PX}\""
 JSON_PAYLOAD="${JSON_PAYLOAD}}"
 
+# API key of the export server, when its authentication is enabled
+AUTH_HEADER="Authorization: Bearer ${API_KEY}"
+
 # Send the HTTP POST request to the Node.js server to generate the PDF
-RESPONSE=$(curl -s -X POST http://localhost:3001/generate-pdf -H "Content-Type: application/json" -d "$JSON_PAYLOAD")
+RESPONSE=$(curl -s -X POST http://localhost:3001/generate-pdf -H "Content-Type: application/json" ${API_KEY:+-H "$AUTH_HEADER"} -d "$JSON_PAYLOAD")
 
 # Check if the response is valid JSON
-if echo "$RESPONSE" | jq . >/dev/null 2>&1; then
-  PDF_URL=$(echo $RESPONSE | jq -r '.pdfUrl')
-  if [ "$PDF_URL" != "null" ]; then
-    echo "PDF generated: $PDF_URL"
-  else
-    echo "Error generating PDF"
-    echo "Server response: $RESPONSE"
-  fi
-else
+if ! echo "$RESPONSE" | jq . >/dev/null 2>&1; then
   echo "Error: The server response is not valid JSON. Raw response: $RESPONSE"
+  exit 1
 fi
+
+STATUS_URL=$(echo "$RESPONSE" | jq -r '.statusUrl')
+if [ "$STATUS_URL" = "null" ]; then
+  echo "Error generating PDF"
+  echo "Server response: $RESPONSE"
+  exit 1
+fi
+
+# Poll the export job until it is finished
+echo "Export job queued: $(echo "$RESPONSE" | jq -r '.jobId')"
+while true; do
+  sleep 2
+  JOB=$(curl -s ${API_KEY:+-H "$AUTH_HEADER"} "$STATUS_URL")
+  JOB_STATUS=$(echo "$JOB" | jq -r '.status')
+  case $JOB_STATUS in
+    succeeded )
+      echo "PDF generated: $(echo "$JOB" | jq -r '.resultUrl')"
+      exit 0 ;;
+    failed )
+      echo "Error generating PDF: $(echo "$JOB" | jq -r '.error')"
+      exit 1 ;;
+    queued|running )
+      echo "Job $JOB_STATUS ($(echo "$JOB" | jq -r '.progress')%)" ;;
+    * )
+      echo "Error: Unexpected job status. Raw response: $JOB"
+      exit 1 ;;
+  esac
+done
@@ -1,100 +1,443 @@
 'use strict';
 
 const puppeteer = require('puppeteer');
+const crypto = require('crypto');
 const fs = require('fs');
 
-console.log("Script grafana_pdf.js started...");
-
-const args = process.argv.slice(2);
-const url = args[0];
-const auth_string = args[1];
-const widthArg = args.find(arg => arg.startsWith('--pdfWidthPx='));
-const heightArg = args.find(arg => arg.startsWith('--pdfHeightPx='));
-let outfile = null;
+const path = require('path');
+const { hasCredentials, authorizationHeader } = require('./lib/grafana_auth');
+const { parseDashboardUrl, fetchDashboard } = require('./lib/grafana_api');
+const { flattenPanels, selectPanels } = require('./lib/panels');
+const { mergePdfs } = require('./lib/pdf/merge');
+const { paperDimensions, paginatePdf, fitPagesOnPaper } = require('./lib/pdf/paginate');
+const { normalizeReport, addReportChrome } = require('./lib/pdf/report');
+const { normalizeVariables, applyVariables, urlVariables, variablesLabel, readVariableOptions } = require('./lib/variables');
+const { ZIP_FORMAT, formatInfo, validateImageOptions } = require('./lib/formats');
+const { zipEntries } = require('./lib/zip');
+const { validateDataFormat, QueryDataCapture, buildDataFiles } = require('./lib/data_export');
+const { attachFiles } = require('./lib/pdf/attachments');
+const { ReadinessDetector } = require('./lib/readiness');
+const { validatePanelErrorMode, QueryErrorCapture, inspectPanels, buildPanelReport, panelIssues, panelErrorsMessage } = require('./lib/panel_report');
+const { addWarningsPage } = require('./lib/pdf/warnings');
+const { normalizeTimezone, resolveTimeRange, fileLabel } = require('./lib/time_range');
+const { logger, normalizeBrowserConsole, logBrowserConsole } = require('./lib/logger');
+const { keyPart } = require('./lib/storage/keys');
+const { validateDebugBundleMode, debugBundlePath, DebugRecorder, pruneDebugBundles } = require('./lib/debug_bundle');
+
+const LAUNCH_OPTIONS = {
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-gpu',
+      '--disable-dev-shm-usage'
+    ]
+};
+
+const DEFAULT_OPTIONS = {
+    exportId: null, // identifies the export in file names and metadata, generated when not given
+    format: 'pdf', // pdf, png, jpeg or webp
+    width: 1920,
+    height: null, // null = auto-detected from the dashboard content
+    panels: null, // 'all' or a list of panel IDs/titles to export one panel per page
+    paperSize: null, // A4, Letter... to paginate the output instead of printing a single page
+    orientation: 'portrait',
+    pageMargin: 10, // in mm, for paginated output
+    report: null, // cover page, header and footer, see lib/pdf/report.js
+    variables: null, // template variables, { name: value } or { name: [values] }
+    data: null, // csv or xlsx, to also export the query results of the panels
+    embedData: false, // attach the data files to the PDF instead of writing them next to it
+    panelErrors: 'ignore', // ignore, annotate (warnings page at the end of PDFs) or fail, for panels in error or not loaded
+    theme: null, // light or dark, unless the URL already sets it
+    timezone: null, // IANA timezone, utc or browser for the time range and its labels, defaults to the one of the dashboard
+    now: null, // time in ms relative time ranges are resolved at, defaults to the start of the export
+    deviceScaleFactor: 2,
+    quality: 90, // for jpeg and webp images
+    outDir: './output',
+    forceKioskMode: false,
+    extractNamesFromHtml: false,
+    navigationTimeout: 120000,
+    debug: false, // saves the debug bundle of every export
+    debugBundle: 'failed', // when to save the debug bundle of an export: off, failed or always, see lib/debug_bundle.js
+    debugDir: './debug',
+    debugBundleKeep: 100, // number of debug bundles kept in debugDir, 0 to keep them all
+    hideDashboardControls: false,
+    expandCollapsedPanels: true,
+    expandTables: true,
+    checkQueries: false, // fail the export when the panel data is not loaded within checkQueriesTimeout
+    checkQueriesMaxQueryCompletionTime: 30000, // stop waiting when requests are in flight but none finished for this long
+    checkQueriesTimeout: 60000,
+    quietPeriod: 500, // in ms without data request nor loading panel before the dashboard is considered rendered
+    logger: null, // see lib/logger.js, every line is logged with the export ID
+    browserConsole: [] // browser console message types to log: debug, log, info, warn, error or all
+};
+
+/**
+ * Exports a Grafana dashboard to PDF, or to an image with `format`.
+ *
+ * Required options: `url` and `auth` ({ token } or { username, password }).
+ * The PDF is written to `out` (or to a generated file name in `outDir`), unless `returnBuffer` is set.
+ * With `panels`, every selected panel is rendered on its own page instead of printing the whole dashboard
+ * (for images, one image per panel, in a ZIP when several panels are selected).
+ * With `paperSize`, the output is laid out on pages of that size, with page breaks between panels.
+ * With `report`, a cover page, a header and a footer are added to the output.
+ * With `data`, the query results of the panels are exported as CSV or XLSX files, listed in `files`.
+ * Panel errors, "No data" and panels not loaded in time are listed in `metadata.panelReport`, see `panelErrors`.
+ * When no browser `context` is given, a browser is launched for this export only and closed afterwards.
+ * Progress is logged to `logger` (see lib/logger.js), with the browser console messages listed in `browserConsole`.
+ * A debug bundle of the export is saved in `debugDir` when it fails, or always with `debugBundle: 'always'`.
+ * See DEFAULT_OPTIONS for the other options, and lib/config.js for their environment variables.
+ *
+ * Resolves to { path, buffer, metadata, files }.
+ */
+async function exportDashboard(options) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    options.exportId = options.exportId || crypto.randomUUID();
+    options.logger = (options.logger || logger).child({ exportId: options.exportId });
+    options.browserConsole = normalizeBrowserConsole(options.browserConsole);
+    validateDebugBundleMode(options.debugBundle);
+    if (options.debug) {
+        options.debugBundle = 'always';
+    }
+    if (!options.url) {
+        throw new Error("The dashboard URL is required.");
+    }
+    if (!hasCredentials(options.auth)) {
+        throw new Error("Grafana credentials are required.");
+    }
+    validateImageOptions(options);
+    if (options.format !== 'pdf' && (options.paperSize || options.report)) {
+        throw new Error("Paper sizes and report options only apply to PDF exports.");
+    }
+    if (options.paperSize) {
+        paperDimensions(options.paperSize, options.orientation);
+    }
+    validateDataFormat(options.data);
+    validatePanelErrorMode(options.panelErrors);
+    if (options.embedData && options.format !== 'pdf') {
+        throw new Error("Data files can only be embedded in PDF exports.");
+    }
+    options.report = normalizeReport(options.report);
+    options.variables = normalizeVariables(options.variables);
+    if (options.timezone) {
+        normalizeTimezone(options.timezone);
+    }
+    await pinTimeRange(options);
 
-const width_px = widthArg ? parseInt(widthArg.split('=')[1], 10) : parseInt(process.env.PDF_WIDTH_PX, 10) || 1920;
-const envHeight = process.env.PDF_HEIGHT_PX;
-const overrideHeight = heightArg
-    ? parseInt(heightArg.split('=')[1], 10)
-    : (envHeight && envHeight !== 'auto') ? parseInt(envHeight, 10) : null;
-console.log("PDF width set to:", width_px);
-console.log("PDF height set to:", overrideHeight !== null ? overrideHeight : "auto (auto-detected)");
+    const render = options.panels ? renderPanels : renderDashboard;
+    if (options.context) {
+        return render(options, options.context);
+    }
 
-const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
+    const browser = await puppeteer.launch({ ...LAUNCH_OPTIONS, executablePath: options.executablePath });
+    try {
+        const context = await browser.createBrowserContext();
+        return await render(options, context);
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Values of the template variable `name` of the dashboard of `options.url`, as Grafana resolves them with the time range
+ * and the other variables of the options: the dashboard is opened, so that a query variable runs its query through its
+ * datasource. Resolves to null when the page does not expose its variables (Grafana 10 and earlier).
+ * Takes the `url`, `auth`, `from`, `to`, `variables` and `context` options of exportDashboard().
+ */
+async function fetchVariableValues(options, name) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const log = options.logger || logger;
+    if (!hasCredentials(options.auth)) {
+        throw new Error("Grafana credentials are required.");
+    }
+    options.variables = normalizeVariables(options.variables);
 
-(async () => {
+    const browser = options.context ? null : await puppeteer.launch({ ...LAUNCH_OPTIONS, executablePath: options.executablePath });
+    const context = options.context || await browser.createBrowserContext();
+    const page = await context.newPage();
     try {
-        console.log("URL provided:", url);
-        console.log("Checking URL accessibility...");
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {'Authorization': auth_header}
+        await page.setExtraHTTPHeaders({ 'Authorization': authorizationHeader(options.auth) });
+        await page.goto(buildDashboardUrl(options).toString(), {
+            waitUntil: ['networkidle0', 'domcontentloaded'],
+            timeout: options.navigationTimeout
         });
+        const values = await readVariableOptions(page, name, { timeout: options.checkQueriesTimeout });
+        log.info(values ? `Variable ${name} has ${values.length} value(s)` : `Unable to read the values of variable ${name} from the dashboard`);
+        return values;
+    } finally {
+        await page.close();
+        if (browser) await browser.close();
+    }
+}
+
+// Applies the time range and theme options to the dashboard URL, unless the URL already sets them.
+// Template variables of the options replace the values of the URL.
+function buildDashboardUrl(options) {
+    const urlObj = applyVariables(new URL(options.url), options.variables || {});
+    if (options.from && !urlObj.searchParams.has('from')) {
+        urlObj.searchParams.append('from', options.from);
+    }
+    if (options.to && !urlObj.searchParams.has('to')) {
+        urlObj.searchParams.append('to', options.to);
+    }
+    if (options.theme && !urlObj.searchParams.has('theme')) {
+        urlObj.searchParams.set('theme', options.theme);
+    }
+    return urlObj;
+}
+
+async function checkUrlAccessibility(url, auth_header, log) {
+    log.debug("Checking URL accessibility...");
+    const response = await fetch(url, {
+        method: 'GET',
+        headers: {'Authorization': auth_header}
+    });
+
+    if (!response.ok) {
+        throw new Error(`Unable to access URL. HTTP status: ${response.status}`);
+    }
 
-        if (!response.ok) {
-            throw new Error(`Unable to access URL. HTTP status: ${response.status}`);
+    const contentType = response.headers.get('content-type');
+    if (!contentType || !contentType.includes('text/html')) {
+        throw new Error("The URL provided is not a valid Grafana instance.");
+    }
+}
+
+/**
+ * Resolves the time range of the export to absolute times at `options.now`, and pins them in the URL as epochs,
+ * so that the export shows exactly that data window and can be reproduced. The time range and the timezone default
+ * to the ones of the URL, then of the dashboard. Sets `options.timeRange` (see resolveTimeRange), unless the range
+ * cannot be resolved.
+ */
+async function pinTimeRange(options) {
+    const urlObj = new URL(options.url);
+    let from = urlObj.searchParams.get('from') || options.from;
+    let to = urlObj.searchParams.get('to') || options.to;
+    let timezone = options.timezone || urlObj.searchParams.get('timezone');
+    if (!from || !to || !timezone) {
+        try {
+            const { dashboard } = await fetchDashboard(options.url, authorizationHeader(options.auth));
+            from = from || (dashboard.time && dashboard.time.from);
+            to = to || (dashboard.time && dashboard.time.to);
+            // An empty dashboard timezone is Grafana's "Default", the one of the browser rendering the dashboard
+            timezone = timezone || dashboard.timezone || 'browser';
+        } catch (error) {
+            options.logger.warn('Unable to read the time settings of the dashboard', { error });
         }
+    }
+    try {
+        timezone = normalizeTimezone(timezone);
+    } catch (error) {
+        options.logger.warn(`${error.message} Using UTC.`);
+        timezone = 'UTC';
+    }
 
-        const contentType = response.headers.get('content-type');
-        if (!contentType || !contentType.includes('text/html')) {
-            throw new Error("The URL provided is not a valid Grafana instance.");
+    const timeRange = resolveTimeRange(from, to, { now: options.now || Date.now(), timezone });
+    if (!timeRange) {
+        options.logger.warn('Unable to resolve the time range, exporting it as is', { from, to });
+        return;
+    }
+    urlObj.searchParams.set('from', String(Date.parse(timeRange.from)));
+    urlObj.searchParams.set('to', String(Date.parse(timeRange.to)));
+    if (options.timezone) {
+        urlObj.searchParams.set('timezone', options.timezone);
+    }
+    options.url = urlObj.toString();
+    options.timeRange = timeRange;
+    options.logger.info(`Time range: ${timeRange.label}`, { from: timeRange.expression.from, to: timeRange.expression.to, timezone });
+}
+
+// File name friendly label of the time range of the export, or today's date when it has none
+function timeRangeLabel(options) {
+    return options.timeRange ? fileLabel(options.timeRange) : new Date().toISOString().split('T')[0];
+}
+
+// File names end with the beginning of the export ID, so that exports of the same dashboard do not overwrite each other
+function outputPath(options, baseName, extension = formatInfo(options.format).extension) {
+    if (options.out) {
+        return options.out;
+    }
+    if (options.returnBuffer) {
+        return null;
+    }
+    return path.join(options.outDir, `${keyPart(baseName)}_${options.exportId.substring(0, 8)}.${extension}`);
+}
+
+function writeOutput(outfile, buffer, log) {
+    if (outfile) {
+        fs.mkdirSync(path.dirname(outfile), { recursive: true });
+        fs.writeFileSync(outfile, buffer);
+        log.info('File generated', { path: outfile, size: buffer.length });
+    }
+}
+
+// Writes the query data captured during the render next to the export, or attaches it to the PDF with `embedData`.
+// Resolves to { buffer, files } where `buffer` is the export, with its attachments.
+async function exportData(options, capture, buffer, outfile) {
+    const panels = await capture.stop();
+    const baseName = outfile ? path.basename(outfile, path.extname(outfile)) : 'export';
+    const files = await buildDataFiles(panels, { format: options.data, baseName });
+    options.logger.info(`Captured data of ${panels.length} panel(s) in ${files.length} ${options.data} file(s)`);
+
+    if (options.embedData) {
+        buffer = await attachFiles(buffer, files.map(file => ({ ...file, description: `Data of panel(s) ${file.panels.join(', ')}` })));
+    } else if (outfile) {
+        for (const file of files) {
+            file.path = path.join(path.dirname(outfile), file.name);
+            fs.writeFileSync(file.path, file.buffer);
         }
+    }
+
+    return {
+        buffer,
+        files: files.map(file => ({
+            name: file.name,
+            path: file.path || null,
+            contentType: file.contentType,
+            panels: file.panels,
+            embedded: options.embedData,
+            buffer: options.returnBuffer ? file.buffer : null
+        }))
+    };
+}
+
+// With `checkQueries`, an export fails when the dashboard did not finish loading its data
+function checkReadiness(options, result) {
+    if (result.ready || !options.checkQueries) {
+        return;
+    }
+    if (result.reason === 'stalled') {
+        throw new Error("Query completion seems to be stuck. Exiting after no progress for " + options.checkQueriesMaxQueryCompletionTime + "ms.");
+    }
+    throw new Error(`Timeout: Not all queries completed within the allowed time (${result.pendingRequests.length} request(s) in flight, panel(s) loading: ${result.loadingPanels.join(', ') || 'none'}).`);
+}
+
+// Logs the panels that are not ok, and fails the export with `panelErrors: 'fail'` when some are in error or not loaded
+function checkPanelReport(options, report) {
+    if (panelIssues(report).length > 0) {
+        options.logger.warn('Some panels are not ok', { errors: report.errors, noData: report.noData, timeouts: report.timeouts });
+    }
+    const message = options.panelErrors === 'fail' ? panelErrorsMessage(report) : null;
+    if (message) {
+        throw new Error(message);
+    }
+}
+
+// With `panelErrors: 'annotate'`, adds a warnings page listing the panels that are not ok at the end of the PDF
+async function annotatePanelReport(options, report, buffer, pageCount, title) {
+    const issues = panelIssues(report);
+    if (options.panelErrors !== 'annotate' || issues.length === 0) {
+        return { buffer, pageCount };
+    }
+    return addWarningsPage(buffer, issues, { title });
+}
+
+// Options of the export recorded in its debug bundle, without the credentials and the objects given by the caller
+function debugConfig(options) {
+    const { auth, context, logger, onProgress, ...config } = options;
+    return { ...config, auth: auth && auth.token ? 'token' : 'basic' };
+}
+
+// Saves the debug bundle of the export when it failed, or always with `debugBundle: 'always'`.
+// Resolves to the path of the bundle, or null. Never throws, so that the outcome of the export stays the same.
+async function saveDebugBundle(options, recorder, readiness, error = null) {
+    if (!recorder) {
+        return null;
+    }
+    recorder.stop();
+    if (!error && options.debugBundle !== 'always') {
+        return null;
+    }
+    const file = debugBundlePath(options.debugDir, options.exportId);
+    try {
+        recorder.set('readiness', readiness.report());
+        await recorder.save(file, { config: debugConfig(options), error });
+        options.logger.info('Debug bundle saved', { path: file });
+        pruneDebugBundles(options.debugDir, options.debugBundleKeep);
+        return file;
+    } catch (saveError) {
+        options.logger.warn('Unable to save the debug bundle', { error: saveError });
+        return null;
+    }
+}
+
+// Lets the browser paint the last changes before printing
+function waitForAnimationFrames(page) {
+    return page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+}
+
+async function renderDashboard(options, context) {
+    const startedAt = Date.now();
+    const reportProgress = options.onProgress || (() => {});
+    const log = options.logger;
+    let outfile = null;
+
+    const urlObj = buildDashboardUrl(options);
+    const url = urlObj.toString();
+
+    const width_px = parseInt(options.width, 10) || DEFAULT_OPTIONS.width;
+    const overrideHeight = options.height && options.height !== 'auto' ? parseInt(options.height, 10) : null;
+    const auth_header = authorizationHeader(options.auth);
+
+    log.info('Exporting dashboard', { url, width: width_px, height: overrideHeight !== null ? overrideHeight : 'auto' });
+
+    const page = await context.newPage();
+    logBrowserConsole(page, log, options.browserConsole);
+    const recorder = options.debugBundle !== 'off' ? new DebugRecorder(page, { logger: log }) : null;
+    // Phases of the rendering, with a screenshot of each of them in the debug bundle
+    const startPhase = async (progress, phase) => {
+        reportProgress(progress, phase);
+        if (recorder) await recorder.snapshot(phase);
+    };
+    const capture = options.data ? new QueryDataCapture(page, { logger: log }) : null;
+    const queryErrors = new QueryErrorCapture(page, { logger: log });
+    const readiness = new ReadinessDetector(page, {
+        quietPeriod: options.quietPeriod,
+        timeout: options.checkQueriesTimeout,
+        stallTimeout: options.checkQueriesMaxQueryCompletionTime,
+        logger: log
+    });
+    try {
+        // Checked in the recorded part of the export, so that a failure to reach Grafana gets a debug bundle too
+        reportProgress(5, 'checking');
+        await checkUrlAccessibility(url, auth_header, log);
 
         let finalUrl = url;
-        if(process.env.FORCE_KIOSK_MODE === 'true') {
-            console.log("Checking if kiosk mode is enabled.");
+        if (options.forceKioskMode) {
+            log.debug("Checking if kiosk mode is enabled.");
             const urlObj = new URL(finalUrl);
             if (!urlObj.searchParams.has('kiosk')) {
-                console.log("Kiosk mode not enabled. Enabling it.");
+                log.debug("Kiosk mode not enabled. Enabling it.");
                 urlObj.searchParams.set('kiosk', '1');
                 finalUrl = urlObj.toString();
             }
-            console.log("Final URL with kiosk mode:", finalUrl);
+            log.debug("Final URL with kiosk mode", { url: finalUrl });
         }
 
-        console.log("Starting browser...");
-        const browser = await puppeteer.launch({
-            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
-            headless: true,
-            args: [
-              '--no-sandbox',
-              '--disable-setuid-sandbox',
-              '--disable-gpu',
-              '--disable-dev-shm-usage'
-            ]
-        });
-
-        const page = await browser.newPage();
-        console.log("Browser started...");
-
+        await startPhase(10, 'opening');
         await page.setExtraHTTPHeaders({'Authorization': auth_header});
-        await page.setDefaultNavigationTimeout(process.env.PUPPETEER_NAVIGATION_TIMEOUT || 120000);
+        await page.setDefaultNavigationTimeout(options.navigationTimeout);
 
         await page.setViewport({
             width: width_px,
             height: 800,
-            deviceScaleFactor: 2,
+            deviceScaleFactor: options.deviceScaleFactor,
             isMobile: false
         });
 
-        console.log("Navigating to URL...");
+        log.debug("Navigating to URL...");
+        await startPhase(20, 'navigating');
         await page.goto(finalUrl, {
           waitUntil: ['networkidle0', 'domcontentloaded'],
-          timeout: process.env.PUPPETEER_NAVIGATION_TIMEOUT || 120000
-        });
-        console.log("Page loaded...");
-
-        page.on('console', msg => {
-            for (let i = 0; i < msg.args().length; ++i)
-                msg.args()[i].jsonValue().then(val => console.log(`[Browser console] ${msg.type()}:`, val));
+          timeout: options.navigationTimeout
         });
+        log.info("Page loaded");
 
         let dashboardName = 'output_grafana';
         let date = new Date().toISOString().split('T')[0];
-        let addRandomStr = false;
 
-        if (process.env.EXTRACT_DATE_AND_DASHBOARD_NAME_FROM_HTML_PANEL_ELEMENTS === 'true') {
-            console.log("Extracting dashboard name and date from the HTML page...");
+        if (options.extractNamesFromHtml) {
+            log.debug("Extracting dashboard name and date from the HTML page...");
             let scrapedDashboardName = await page.evaluate(() => {
                 const dashboardElement = document.getElementById('gfexp_display_actual_dashboard_title');
                 return dashboardElement ? dashboardElement.innerText.trim() : null;
@@ -119,51 +462,30 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
             });
 
             if (scrapedPanelName && !scrapedDashboardName) {
-                console.log("Panel name fetched:", scrapedPanelName);
+                log.debug("Panel name fetched", { panelName: scrapedPanelName });
                 dashboardName = scrapedPanelName;
-                addRandomStr = false;
             } else if (!scrapedDashboardName) {
-                console.log("Dashboard name not found. Using default value.");
-                addRandomStr = true;
+                log.debug("Dashboard name not found. Using default value.");
             } else {
-                console.log("Dashboard name fetched:", scrapedDashboardName);
+                log.debug("Dashboard name fetched", { dashboardName: scrapedDashboardName });
                 dashboardName = scrapedDashboardName;
             }
 
             if (scrapedPanelName && !scrapedDate) {
-                const urlParts = new URL(url);
-                const from = urlParts.searchParams.get('from');
-                const to = urlParts.searchParams.get('to');
-                if (from && to) {
-                    const fromDate = isNaN(from) ? from.replace(/[^\w\s-]/g, '_') : new Date(parseInt(from)).toISOString().split('T')[0];
-                    const toDate = isNaN(to) ? to.replace(/[^\w\s-]/g, '_') : new Date(parseInt(to)).toISOString().split('T')[0];
-                    date = `${fromDate}_to_${toDate}`;
-                } else {
-                    // using date in URL
-                    date = new Date().toISOString().split('T')[0];
-                }
+                date = timeRangeLabel(options);
             } else if (!scrapedDate) {
-                console.log("Date not found. Using default value.");
+                log.debug("Date not found. Using default value.");
             } else {
-                console.log("Date fetched:", date);
+                log.debug("Date fetched", { date: scrapedDate });
                 date = scrapedDate;
             }
         } else {
-            console.log("Extracting dashboard name and date from the URL...");
-            const urlParts = new URL(url);
-            const pathSegments = urlParts.pathname.split('/');
+            log.debug("Extracting dashboard name and date from the URL...");
+            const pathSegments = urlObj.pathname.split('/');
             dashboardName = pathSegments[pathSegments.length - 1] || dashboardName;
-            const from = urlParts.searchParams.get('from');
-            const to = urlParts.searchParams.get('to');
-            if (from && to) {
-                const fromDate = isNaN(from) ? from.replace(/[^\w\s-]/g, '_') : new Date(parseInt(from)).toISOString().split('T')[0];
-                const toDate = isNaN(to) ? to.replace(/[^\w\s-]/g, '_') : new Date(parseInt(to)).toISOString().split('T')[0];
-                date = `${fromDate}_to_${toDate}`;
-            } else {
-                date = new Date().toISOString().split('T')[0];
-            }
-            console.log("Dashboard name fetched from URL:", dashboardName);
-            console.log("Trying to fetch the panel name from the page...")
+            date = timeRangeLabel(options);
+            log.debug("Dashboard name fetched from URL", { dashboardName });
+            log.debug("Trying to fetch the panel name from the page...");
             let scrapedPanelName = await page.evaluate(() => {
                 const scrapedPanelName = document.querySelectorAll('h6');
                 console.log(scrapedPanelName)
@@ -179,15 +501,15 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
             });
 
             if (scrapedPanelName) {
-                console.log("Panel name fetched:", scrapedPanelName);
+                log.debug("Panel name fetched", { panelName: scrapedPanelName });
                 dashboardName = scrapedPanelName;
-                addRandomStr = false;
             }
 
-            console.log("Date fetched from URL:", date);
+            log.debug("Date fetched from URL", { date });
         }
 
-        outfile = `./output/${dashboardName.replace(/\s+/g, '_')}_${date.replace(/\s+/g, '_')}${addRandomStr ? '_' + Math.random().toString(36).substring(7) : ''}.pdf`;
+        const variables = variablesLabel(urlVariables(finalUrl));
+        outfile = outputPath(options, `${dashboardName}_${variables ? variables + '_' : ''}${date.replace(/\s+/g, '_')}`);
 
         const loginPageDetected = await page.evaluate(() => {
             const resetPasswordButton = document.querySelector('a[href*="reset-email"]');
@@ -214,19 +536,10 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
             }
             return counts;
         });
-        console.log("Panel detection counts:", panelCount);
-
-        if(process.env.DEBUG_MODE === 'true') {
-            const documentHTML = await page.evaluate(() => {
-                return document.querySelector("*").outerHTML;
-            });
-            if (!fs.existsSync('./debug')) {
-                fs.mkdirSync('./debug');
-            }
-            const filename = `./debug/debug_${dashboardName.replace(/\s+/g, '_')}_${date.replace(/\s+/g, '_')}${'_' + Math.random().toString(36).substring(7)}.html`;
-            fs.writeFileSync(filename, documentHTML);
-            console.log("Debug HTML file saved at:", filename);
+        log.debug("Panel detection counts", { panelCount });
+        if (recorder) recorder.set('panelCount', panelCount);
 
+        if (recorder || log.isEnabled('debug')) {
             // Enhanced debug information for panel visibility
             const panelInfo = await page.evaluate(() => {
                 const allSelectors = [
@@ -274,11 +587,13 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
                     })
                 };
             });
-            console.log("Panel detection details:", JSON.stringify(panelInfo, null, 2));
+            log.debug("Panel detection details", { panelInfo });
+            if (recorder) recorder.set('panelInfo', panelInfo);
         }
 
         // IMPROVED: Enhanced panel detection and rendering for Grafana 12 compatibility
-        console.log("Ensuring panels are properly rendered...");
+        log.debug("Ensuring panels are properly rendered...");
+        await startPhase(40, 'expanding');
         await page.evaluate(async () => {
             // Force all known panel types to be visible
             const panelSelectors = [
@@ -305,9 +620,20 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
             }
         });
 
+        // Scrolls down the dashboard by half screens so that lazy loaded panels query their data, then back to the top.
+        // Every step waits for the requests it triggered.
+        async function scrollThroughDashboard(steps) {
+            log.debug(`Scrolling through the dashboard in ${steps} steps to load all content...`);
+            for (let i = 0; i < steps; i++) {
+                await page.evaluate(step => window.scrollTo(0, step * window.innerHeight / 2), i);
+                await readiness.waitUntilReady('scrolling', { quietPeriod: 100, timeout: 5000, record: false });
+            }
+            await page.evaluate(() => window.scrollTo(0, 0));
+        }
+
         async function expandCollapsedPanels(page) {
-            const debugMode = process.env.DEBUG_MODE === 'true';
-            if (debugMode) console.log('[DEBUG] Searching for collapsed panels/rows...');
+            const debugMode = options.debug;
+            log.debug('Searching for collapsed panels/rows...');
 
             // Panel and row selectors for different Grafana versions
             const selectors = [
@@ -358,35 +684,30 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
                     }
                 }
 
-                // Wait after clicks so content can load
-                if (expandedCount > 0) {
-                    await new Promise(resolve => setTimeout(resolve, 2000 + expandedCount * 500));
-                }
-
                 return expandedCount;
             }, selectors, debugMode);
 
-            if (debugMode) console.log(`[DEBUG] Number of expanded panels/rows: ${expanded}`);
+            log.debug(`Number of expanded panels/rows: ${expanded}`);
             return expanded;
         }
 
-        const expandPanels = process.env.EXPAND_COLLAPSED_PANELS !== 'false';
+        const expandPanels = options.expandCollapsedPanels;
         if (expandPanels) {
-            console.log("Searching and expanding collapsed panels/rows...");
+            log.debug("Searching and expanding collapsed panels/rows...");
             const expanded = await expandCollapsedPanels(page);
             if (expanded > 0) {
-                console.log(`Expanded ${expanded} panels/rows. Waiting for content to load...`);
-                await page.evaluate(timeout => new Promise(resolve => setTimeout(resolve, timeout)), 2000 + expanded * 500);
+                log.info(`Expanded ${expanded} panels/rows. Waiting for content to load...`);
+                await readiness.waitUntilReady('expanding rows');
             } else {
-                console.log("No collapsed panels/rows found.");
+                log.debug("No collapsed panels/rows found.");
             }
         } else {
-            console.log("Automatic expansion of collapsed panels is disabled.");
+            log.debug("Automatic expansion of collapsed panels is disabled.");
         }
 
-        const expandTables = process.env.EXPAND_TABLES !== 'false';
+        const expandTables = options.expandTables;
         if (expandTables) {
-            console.log("Looking for tables to expand...");
+            log.debug("Looking for tables to expand...");
 
             const expandedTables = await page.evaluate(async () => {
                 const panelSelectors = [
@@ -465,7 +786,7 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
                 return expandedPanels.size;
             });
 
-            console.log(`Expanded ${expandedTables} scrollable table(s).`);
+            log.debug(`Expanded ${expandedTables} scrollable table(s).`);
         }
 
         await page.evaluate((hideDashboardControls) => {
@@ -490,9 +811,10 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
                     el.hidden = true;
                 });
             });
-        }, process.env.HIDE_DASHBOARD_CONTROLS === 'true');
+        }, options.hideDashboardControls);
 
         // IMPROVED: Enhanced height detection with Grafana 12 specific selectors
+        await startPhase(55, 'loading');
         let scrollableSection = null;
         const totalHeight = await page.evaluate(() => {
             console.log("Attempting to detect page height with multiple selectors...");
@@ -596,159 +918,24 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
         });
 
         if (!totalHeight || totalHeight < 100) {
-            console.log("Warning: Could not determine reliable page height, using fallback of 1600px");
+            log.warn("Could not determine reliable page height, using fallback of 1600px");
             const fallbackHeight = 1600;
 
             // Advanced scrolling technique for Grafana 12
-            await page.evaluate(async () => {
-                console.log("Performing comprehensive scrolling to ensure all content is loaded...");
-
-                // Progressive scrolling with pauses
-                const viewportHeight = window.innerHeight;
-                const maxScrolls = 15;  // Increased for Grafana 12
-                const scrollDelay = 500;
-
-                for (let i = 0; i < maxScrolls; i++) {
-                    window.scrollTo(0, i * viewportHeight / 2);
-                    await new Promise(resolve => setTimeout(resolve, scrollDelay));
-                }
+            await scrollThroughDashboard(15);
 
-                // Scroll back to top
-                window.scrollTo(0, 0);
-                await new Promise(resolve => setTimeout(resolve, scrollDelay));
-            });
-
-            console.log("Page height set to fallback:", fallbackHeight);
+            log.debug("Page height set to fallback", { height: fallbackHeight });
         } else {
-            console.log("Page height successfully determined:", totalHeight);
+            log.debug("Page height successfully determined", { height: totalHeight });
 
             // Enhanced scrolling for Grafana 12
-            await page.evaluate(async () => {
-                console.log("Performing enhanced scrolling to load all content...");
-
-                // Progressive scroll approach
-                const viewportHeight = window.innerHeight;
-                const totalScrolls = Math.ceil(document.body.scrollHeight / (viewportHeight / 2));
-                const scrollDelay = 500;
-
-                console.log(`Planning ${totalScrolls} scroll steps`);
-
-                // First scroll down gradually
-                for (let i = 0; i < totalScrolls; i++) {
-                    window.scrollTo(0, i * viewportHeight / 2);
-                    await new Promise(resolve => setTimeout(resolve, scrollDelay));
-                }
-
-                // Then scroll back up gradually
-                for (let i = totalScrolls; i >= 0; i--) {
-                    window.scrollTo(0, i * viewportHeight / 2);
-                    await new Promise(resolve => setTimeout(resolve, scrollDelay));
-                }
-
-                console.log("Progressive scrolling completed");
-            });
+            const scrollSteps = await page.evaluate(() => Math.ceil(document.body.scrollHeight / (window.innerHeight / 2)));
+            await scrollThroughDashboard(scrollSteps);
         }
 
-        if (process.env.CHECK_QUERIES_TO_COMPLETE === 'true' && !finalUrl.includes('viewPanel=')) {
-            console.log("Waiting for all queries to complete...");
-
-            await page.evaluate(async () => {
-                if (scrollableSection) {
-                    console.log("Scrolling to the bottom of the page to trigger all queries...");
-                    const totalScrollHeight = scrollableSection.scrollHeight;
-                    const viewportHeight = window.innerHeight;
-                    let scrollPosition = 0;
-
-                    while (scrollPosition < totalScrollHeight) {
-                        scrollableSection.scrollBy(0, viewportHeight);
-                        scrollPosition += viewportHeight;
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                    }
-                }
-            });
-
-            const excludedTypes = ['text'];
-
-            function countValidPanels(panels) {
-                let count = 0;
-
-                for (const panel of panels) {
-                    if (excludedTypes.includes(panel.type)) continue;
-
-                    if (panel.datasource) count++;
-
-                    if (panel.type === 'row' && Array.isArray(panel.panels)) {
-                        count += countValidPanels(panel.panels);
-                    }
-                }
-
-                return count;
-            }
-
-            const panelQueryCount = await page.evaluate(async (excludedTypes) => {
-                const url = window.performance.getEntriesByType("resource")
-                    .find(request => request.initiatorType === 'fetch' && request.name.includes('/dashboards/uid/')).name;
-
-                const response = await fetch(url);
-                const json = await response.json();
-                const panels = json.dashboard.panels || [];
-
-                function countValidPanels(panels) {
-                    let count = 0;
-
-                    for (const panel of panels) {
-                        if (excludedTypes.includes(panel.type)) continue;
-                        if (panel.datasource) count++;
-                        if (panel.type === 'row' && Array.isArray(panel.panels)) {
-                            count += countValidPanels(panel.panels);
-                        }
-                    }
-
-                    return count;
-                }
-
-                const total = countValidPanels(panels);
-                console.log(`Total Panel Queries Expected: ${total}`);
-                return total;
-            }, excludedTypes);
-
-            const maxWaitTime = process.env.CHECK_QUERIES_TO_COMPLETE_QUERIES_COMPLETION_TIMEOUT || 60000;
-            const interval = process.env.CHECK_QUERIES_TO_COMPLETE_QUERIES_INTERVAL || 4000;
-            let elapsedTime = 0;
-            let lastCompletedCount = 0;
-            let stableCountTime = 0;
-
-            while (elapsedTime < maxWaitTime) {
-                const completedQueryCount = await page.evaluate(() => {
-                    return window.performance.getEntriesByType("resource")
-                        .filter(request => (request.initiatorType === 'fetch' && request.name.includes('query?'))).length;
-                });
-
-                console.log(`Completed Queries: ${completedQueryCount} / ${panelQueryCount}`);
-
-                if (completedQueryCount === panelQueryCount) {
-                    console.log("All queries have completed.");
-                    break;
-                }
-
-                if (completedQueryCount === lastCompletedCount) {
-                    stableCountTime += interval;
-                    if (stableCountTime >= process.env.CHECK_QUERIES_TO_COMPLETE_MAX_QUERY_COMPLETION_TIME || 30000) {
-                        throw new Error("Query completion seems to be stuck. Exiting after no progress for " + process.env.CHECK_QUERIES_TO_COMPLETE_MAX_QUERY_COMPLETION_TIME +"ms.");
-                    }
-                } else {
-                    stableCountTime = 0;
-                }
-
-                lastCompletedCount = completedQueryCount;
-                await new Promise(resolve => setTimeout(resolve, interval));
-                elapsedTime += interval;
-            }
-
-            if (elapsedTime >= maxWaitTime) {
-                throw new Error("Timeout: Not all queries completed within the allowed time.");
-            }
-        }
+        log.debug("Waiting for all queries to complete...");
+        await startPhase(70, 'waiting-queries');
+        checkReadiness(options, await readiness.waitUntilReady('loading data'));
 
         // Add a final check for all panels and ensure they're visible
         await page.evaluate(async () => {
@@ -790,52 +977,336 @@ const auth_header = 'Basic ' + Buffer.from(auth_string).toString('base64');
 
                 console.log(`Ensured visibility of ${allPanels.length} panels`);
             }
-
-            // Extra wait to ensure charts render
-            await new Promise(resolve => setTimeout(resolve, 2000));
         });
 
-        // Final wait for all panels to be fully rendered
-        console.log("Final wait for all panels to render completely...");
-        await page.evaluate(timeout => {
-            return new Promise(resolve => setTimeout(resolve, timeout));
-        }, 5000);
-
         const finalHeight = totalHeight && totalHeight >= 100 ? totalHeight : 1600;
 
         await page.setViewport({
             width: width_px,
             height: finalHeight,
-            deviceScaleFactor: 2,
+            deviceScaleFactor: options.deviceScaleFactor,
             isMobile: false
         });
 
-        console.log("Generating PDF...");
+        // Resizing the viewport can trigger more queries and redraws
+        log.debug("Waiting for all panels to render completely...");
+        await startPhase(80, 'rendering');
+        checkReadiness(options, await readiness.waitUntilReady('rendering'));
+        await waitForAnimationFrames(page);
+
+        const panelReport = buildPanelReport({
+            panels: await inspectPanels(page, { logger: log }),
+            queries: await queryErrors.stop(),
+            readiness: readiness.report()
+        });
+        if (recorder) recorder.set('panelReport', panelReport);
+        checkPanelReport(options, panelReport);
+
+        // Panel boxes in CSS px from the top of the page, used for page breaks and bookmarks
+        const panelBoxes = await page.evaluate(() => {
+            const panelSelectors = [
+                '[data-testid="panel"]',
+                '.panel-container',
+                '.react-grid-item',
+                '.dashboard-panel'
+            ];
+
+            for (const selector of panelSelectors) {
+                const panels = Array.from(document.querySelectorAll(selector));
+                if (panels.length === 0) continue;
+
+                return panels.map(panel => {
+                    const rect = panel.getBoundingClientRect();
+                    const titleElement = panel.querySelector('h2, h6');
+                    return {
+                        title: titleElement ? titleElement.innerText.trim() : '',
+                        top: Math.floor(rect.top + window.scrollY),
+                        bottom: Math.ceil(rect.bottom + window.scrollY)
+                    };
+                }).filter(box => box.bottom > box.top).sort((a, b) => a.top - b.top);
+            }
+            return [];
+        });
+
+        await startPhase(90, 'writing');
         let pdfHeight = finalHeight;
-        if (overrideHeight && !isNaN(overrideHeight)) {
+        if (options.paperSize) {
+            log.debug(`PDF will be paginated on ${options.paperSize} ${options.orientation} pages`);
+        } else if (overrideHeight && !isNaN(overrideHeight)) {
             pdfHeight = overrideHeight;
-            console.log(`Forcing PDF page height to override: ${pdfHeight}px`);
+            log.debug(`Forcing ${options.format === 'pdf' ? 'PDF page' : 'image'} height to override: ${pdfHeight}px`);
+        } else {
+            log.debug(`${options.format === 'pdf' ? 'PDF page' : 'Image'} height will follow auto-detected content height: ${pdfHeight}px`);
+        }
+
+        let buffer;
+        let pageCount = 1;
+        let panels = panelBoxes.map(box => ({ ...box, page: 1, y: box.top * 0.75 }));
+        if (options.format !== 'pdf') {
+            log.debug(`Taking ${options.format} screenshot...`);
+            buffer = Buffer.from(await page.screenshot({
+                type: options.format,
+                quality: options.format === 'png' ? undefined : options.quality,
+                clip: { x: 0, y: 0, width: width_px, height: pdfHeight },
+                captureBeyondViewport: true
+            }));
+            panels = panelBoxes;
         } else {
-            console.log(`PDF page height will follow auto-detected content height: ${pdfHeight}px`);
+            log.debug("Generating PDF...");
+            buffer = Buffer.from(await page.pdf({
+                width: width_px + 'px',
+                height: pdfHeight + 'px',
+                printBackground: true,
+                scale: 1,
+                displayHeaderFooter: false,
+                margin: {top: 0, right: 0, bottom: 0, left: 0}
+            }));
+
+            if (options.paperSize) {
+                ({ buffer, pageCount, panels } = await paginatePdf(buffer, {
+                    paperSize: options.paperSize,
+                    orientation: options.orientation,
+                    marginMm: options.pageMargin,
+                    panels: panelBoxes
+                }));
+                log.debug(`PDF paginated on ${pageCount} page(s)`);
+            }
+            if (options.report) {
+                ({ buffer, pageCount, panels } = await addReportChrome(buffer, {
+                    context,
+                    report: options.report,
+                    metadata: { url: finalUrl, dashboardName, from: urlObj.searchParams.get('from'), to: urlObj.searchParams.get('to'), timezone: options.timeRange && options.timeRange.timezone },
+                    panels,
+                    paginated: !!options.paperSize
+                }));
+            }
+            ({ buffer, pageCount } = await annotatePanelReport(options, panelReport, buffer, pageCount, dashboardName));
+        }
+
+        let files = [];
+        if (capture) {
+            ({ buffer, files } = await exportData(options, capture, buffer, outfile));
         }
-        await page.pdf({
+        writeOutput(outfile, buffer, log);
+        const debugBundle = await saveDebugBundle(options, recorder, readiness);
+
+        const dashboardUrl = parseDashboardUrl(finalUrl);
+        return {
             path: outfile,
-            width: width_px + 'px',
-            height: pdfHeight + 'px',
-            printBackground: true,
-            scale: 1,
-            displayHeaderFooter: false,
-            margin: {top: 0, right: 0, bottom: 0, left: 0}
+            buffer: options.returnBuffer ? buffer : null,
+            files,
+            metadata: {
+                exportId: options.exportId,
+                url: finalUrl,
+                dashboardUid: dashboardUrl ? dashboardUrl.uid : null,
+                dashboardName,
+                date,
+                from: urlObj.searchParams.get('from'),
+                to: urlObj.searchParams.get('to'),
+                timeRange: options.timeRange || null,
+                variables: urlVariables(finalUrl),
+                format: options.format,
+                contentType: formatInfo(options.format).contentType,
+                width: width_px,
+                height: pdfHeight,
+                deviceScaleFactor: options.deviceScaleFactor,
+                paperSize: options.paperSize,
+                orientation: options.paperSize ? options.orientation : null,
+                pageCount,
+                panels,
+                panelReport,
+                readiness: readiness.report(),
+                debugBundle,
+                durationMs: Date.now() - startedAt
+            }
+        };
+    } catch (error) {
+        await saveDebugBundle(options, recorder, readiness, error);
+        throw error;
+    } finally {
+        readiness.stop();
+        await page.close();
+    }
+}
+
+// Height of a panel page, following the aspect ratio of the panel in the dashboard grid (24 columns, 30px rows)
+function panelPageHeight(panel, width_px) {
+    const gridWidth = (panel.gridPos.w || 24) / 24 * width_px;
+    const gridHeight = (panel.gridPos.h || 8) * 30 + ((panel.gridPos.h || 8) - 1) * 8;
+    const height = Math.round(gridHeight * width_px / gridWidth);
+    return Math.min(Math.max(height, Math.round(width_px * 0.3)), Math.round(width_px * 0.75));
+}
+
+// Renders the selected panels of the dashboard one per page, through the d-solo panel view of Grafana
+async function renderPanels(options, context) {
+    const startedAt = Date.now();
+    const reportProgress = options.onProgress || (() => {});
+    const log = options.logger;
+
+    const urlObj = buildDashboardUrl(options);
+    const width_px = parseInt(options.width, 10) || DEFAULT_OPTIONS.width;
+    const auth_header = authorizationHeader(options.auth);
+
+    log.info('Exporting panels', { url: urlObj.toString(), width: width_px });
+
+    const page = await context.newPage();
+    logBrowserConsole(page, log, options.browserConsole);
+    const recorder = options.debugBundle !== 'off' ? new DebugRecorder(page, { logger: log }) : null;
+    const queryErrors = new QueryErrorCapture(page, { logger: log });
+    const readiness = new ReadinessDetector(page, {
+        quietPeriod: options.quietPeriod,
+        timeout: options.checkQueriesTimeout,
+        stallTimeout: options.checkQueriesMaxQueryCompletionTime,
+        logger: log
+    });
+    try {
+        // Checked in the recorded part of the export, so that a failure to reach Grafana gets a debug bundle too
+        reportProgress(5, 'checking');
+        const { baseUrl, uid, slug, dashboard } = await fetchDashboard(urlObj.toString(), auth_header);
+        const panels = selectPanels(flattenPanels(dashboard.panels), options.panels);
+        if (panels.length === 0) {
+            throw new Error("No panel to export in this dashboard.");
+        }
+        log.info(`Exporting ${panels.length} panel(s) of dashboard "${dashboard.title}"...`);
+
+        await page.setExtraHTTPHeaders({'Authorization': auth_header});
+        await page.setDefaultNavigationTimeout(options.navigationTimeout);
+
+        const capture = options.data ? new QueryDataCapture(page, { logger: log }) : null;
+        if (capture) capture.setPanels(dashboard.panels);
+
+        const buffers = [];
+        const inspectedPanels = [];
+        for (const [index, panel] of panels.entries()) {
+            reportProgress(10 + Math.round(80 * index / panels.length), 'rendering-panels');
+
+            const soloUrl = new URL(`${baseUrl}/d-solo/${uid}${slug ? '/' + slug : ''}`);
+            urlObj.searchParams.forEach((value, key) => {
+                if (key !== 'viewPanel' && key !== 'kiosk') soloUrl.searchParams.append(key, value);
+            });
+            soloUrl.searchParams.set('panelId', panel.id);
+
+            const height_px = panelPageHeight(panel, width_px);
+            await page.setViewport({ width: width_px, height: height_px, deviceScaleFactor: options.deviceScaleFactor, isMobile: false });
+
+            log.debug(`Rendering panel ${panel.id} "${panel.title}"...`);
+            await page.goto(soloUrl.toString(), {
+                waitUntil: ['networkidle0', 'domcontentloaded'],
+                timeout: options.navigationTimeout
+            });
+            checkReadiness(options, await readiness.waitUntilReady(`panel ${panel.id}`));
+            await waitForAnimationFrames(page);
+            if (recorder) await recorder.snapshot(`panel-${panel.id}`);
+            inspectedPanels.push(...await inspectPanels(page, { panelId: panel.id, title: panel.title, logger: log }));
+
+            if (options.format !== 'pdf') {
+                buffers.push(Buffer.from(await page.screenshot({
+                    type: options.format,
+                    quality: options.format === 'png' ? undefined : options.quality
+                })));
+                continue;
+            }
+            buffers.push(await page.pdf({
+                width: width_px + 'px',
+                height: height_px + 'px',
+                printBackground: true,
+                pageRanges: '1',
+                margin: {top: 0, right: 0, bottom: 0, left: 0}
+            }));
+        }
+
+        const panelReport = buildPanelReport({
+            panels: inspectedPanels,
+            queries: await queryErrors.stop(),
+            readiness: readiness.report()
         });
-        console.log(`PDF generated: ${outfile}`);
+        if (recorder) recorder.set('panelReport', panelReport);
+        checkPanelReport(options, panelReport);
+
+        reportProgress(90, 'writing');
+        const date = timeRangeLabel(options);
+        const variables = variablesLabel(urlVariables(urlObj.toString()));
+        const baseName = `${dashboard.title}_${variables ? variables + '_' : ''}${date}_panels`;
+        let format = formatInfo(options.format);
+        let buffer;
+        if (options.format !== 'pdf') {
+            // Several panel images are returned in a ZIP, one image per panel
+            buffer = buffers[0];
+            if (buffers.length > 1) {
+                format = ZIP_FORMAT;
+                buffer = await zipEntries(panels.map((panel, index) => ({
+                    name: `${String(index + 1).padStart(2, '0')}_${panel.title.replace(/[^\w-]+/g, '_')}.${formatInfo(options.format).extension}`,
+                    content: buffers[index]
+                })));
+            }
+        } else {
+            buffer = await mergePdfs(buffers);
+        }
+        if (options.paperSize) {
+            ({ buffer } = await fitPagesOnPaper(buffer, {
+                paperSize: options.paperSize,
+                orientation: options.orientation,
+                marginMm: options.pageMargin
+            }));
+        }
+        let pageCount = panels.length;
+        let pagePanels = panels.map((panel, index) => ({ id: panel.id, title: panel.title, page: index + 1, y: 0 }));
+        if (options.report) {
+            ({ buffer, pageCount, panels: pagePanels } = await addReportChrome(buffer, {
+                context,
+                report: options.report,
+                metadata: { url: urlObj.toString(), dashboardName: dashboard.title, from: urlObj.searchParams.get('from'), to: urlObj.searchParams.get('to'), timezone: options.timeRange && options.timeRange.timezone },
+                panels: pagePanels,
+                paginated: !!options.paperSize
+            }));
+        }
+        if (options.format === 'pdf') {
+            ({ buffer, pageCount } = await annotatePanelReport(options, panelReport, buffer, pageCount, dashboard.title));
+        }
 
-        await browser.close();
-        console.log("Browser closed.");
+        const outfile = outputPath(options, baseName, format.extension);
+        let files = [];
+        if (capture) {
+            ({ buffer, files } = await exportData(options, capture, buffer, outfile));
+        }
+        writeOutput(outfile, buffer, log);
+        const debugBundle = await saveDebugBundle(options, recorder, readiness);
 
-        process.send({ success: true, path: outfile });
+        return {
+            path: outfile,
+            buffer: options.returnBuffer ? buffer : null,
+            files,
+            metadata: {
+                exportId: options.exportId,
+                url: urlObj.toString(),
+                dashboardUid: uid,
+                dashboardName: dashboard.title,
+                date,
+                from: urlObj.searchParams.get('from'),
+                to: urlObj.searchParams.get('to'),
+                timeRange: options.timeRange || null,
+                variables: urlVariables(urlObj.toString()),
+                format: options.format,
+                contentType: format.contentType,
+                width: width_px,
+                deviceScaleFactor: options.deviceScaleFactor,
+                paperSize: options.paperSize,
+                orientation: options.paperSize ? options.orientation : null,
+                pageCount,
+                panels: pagePanels,
+                panelReport,
+                readiness: readiness.report(),
+                debugBundle,
+                durationMs: Date.now() - startedAt
+            }
+        };
     } catch (error) {
-        console.error("Error during PDF generation:", error.message);
-        process.send({ success: false, error: error.message });
-        process.exit(1);
+        await saveDebugBundle(options, recorder, readiness, error);
+        throw error;
+    } finally {
+        readiness.stop();
+        await page.close();
     }
-})();
+}
+
+module.exports = { exportDashboard, fetchVariableValues, DEFAULT_OPTIONS, LAUNCH_OPTIONS };
@@ -0,0 +1,190 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { RequestError } = require('./errors');
+const { expandEnv } = require('./instances');
+
+const SCOPE_FIELDS = ['instances', 'folders', 'dashboards'];
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+// Key or token of a request: `Authorization: Bearer <credentials>`, or the `X-API-Key` header
+function requestCredentials(req) {
+    const header = req.get('Authorization');
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('X-API-Key') || null;
+}
+
+// Scopes of an API key or a token: lists of allowed instance names, folder UIDs or titles and dashboard UIDs.
+// A missing list allows everything.
+function normalizeScopes(scopes, owner) {
+    const normalized = {};
+    for (const field of SCOPE_FIELDS) {
+        const value = scopes ? scopes[field] : undefined;
+        if (value === undefined || value === null) {
+            normalized[field] = null;
+        } else if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+            normalized[field] = value;
+        } else {
+            throw new Error(`Invalid "${field}" scope for ${owner}: it must be a list of strings.`);
+        }
+    }
+    return normalized;
+}
+
+function normalizeApiKey(config, env) {
+    const apiKey = expandEnv(config, env);
+    if (!apiKey.name || !apiKey.key) {
+        throw new Error('Every API key needs a "name" and a "key".');
+    }
+    return {
+        name: apiKey.name,
+        digest: digest(apiKey.key),
+        admin: apiKey.admin === true,
+        scopes: normalizeScopes(apiKey, `API key "${apiKey.name}"`)
+    };
+}
+
+/**
+ * Authenticates the requests of the export server with API keys or JSON Web Tokens, sent as
+ * `Authorization: Bearer <key or token>` or in the `X-API-Key` header.
+ * Requests are authenticated as a principal: { name, type, admin, scopes }. Admins can see every job, the export
+ * history and the schedules, other principals only see their own jobs and exports.
+ * Authentication is disabled when no API key and no JWT secret are configured.
+ */
+class Authenticator {
+    constructor({ apiKeys = [], jwtOptions = null }) {
+        this.apiKeys = apiKeys;
+        this.jwtOptions = jwtOptions;
+    }
+
+    /**
+     * Loads the API keys from API_KEYS_FILE (./config/api_keys.json by default), and the JWT validation settings:
+     * AUTH_JWT_SECRET (HS256) or AUTH_JWT_PUBLIC_KEY_FILE (RS256/ES256), AUTH_JWT_ISSUER and AUTH_JWT_AUDIENCE.
+     */
+    static fromEnv(env = process.env) {
+        const file = env.API_KEYS_FILE || './config/api_keys.json';
+        let apiKeys = [];
+        if (fs.existsSync(file)) {
+            const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+            apiKeys = (config.keys || []).map(apiKey => normalizeApiKey(apiKey, env));
+        } else if (env.API_KEYS_FILE) {
+            throw new Error(`API keys file not found: ${file}`);
+        }
+
+        let jwtOptions = null;
+        if (env.AUTH_JWT_SECRET || env.AUTH_JWT_PUBLIC_KEY_FILE) {
+            jwtOptions = {
+                key: env.AUTH_JWT_SECRET || fs.readFileSync(env.AUTH_JWT_PUBLIC_KEY_FILE, 'utf8'),
+                algorithms: env.AUTH_JWT_SECRET ? ['HS256', 'HS384', 'HS512'] : ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+                issuer: env.AUTH_JWT_ISSUER || undefined,
+                audience: env.AUTH_JWT_AUDIENCE || undefined
+            };
+        }
+        return new Authenticator({ apiKeys, jwtOptions });
+    }
+
+    get enabled() {
+        return this.apiKeys.length > 0 || this.jwtOptions !== null;
+    }
+
+    _apiKey(credentials) {
+        const received = digest(credentials);
+        const apiKey = this.apiKeys.find(item => crypto.timingSafeEqual(item.digest, received));
+        return apiKey ? { name: apiKey.name, type: 'api-key', admin: apiKey.admin, scopes: apiKey.scopes } : null;
+    }
+
+    // Tokens carry the principal in `sub`, the scopes in `instances`, `folders` and `dashboards`, and `admin`
+    _jwt(credentials) {
+        let claims;
+        try {
+            claims = jwt.verify(credentials, this.jwtOptions.key, {
+                algorithms: this.jwtOptions.algorithms,
+                issuer: this.jwtOptions.issuer,
+                audience: this.jwtOptions.audience
+            });
+        } catch (error) {
+            throw new RequestError(`Invalid token: ${error.message}`, 401);
+        }
+        if (!claims.sub) {
+            throw new RequestError('Invalid token: the "sub" claim is required', 401);
+        }
+        try {
+            return { name: claims.sub, type: 'jwt', admin: claims.admin === true, scopes: normalizeScopes(claims, 'the token') };
+        } catch (error) {
+            throw new RequestError(error.message, 401);
+        }
+    }
+
+    // Resolves the principal of a request, or throws a 401 RequestError
+    authenticate(req) {
+        const credentials = requestCredentials(req);
+        if (!credentials) {
+            throw new RequestError('Authentication required: send an API key or a token in the Authorization header', 401);
+        }
+        const principal = this.apiKeys.length > 0 ? this._apiKey(credentials) : null;
+        if (principal) {
+            return principal;
+        }
+        if (this.jwtOptions && credentials.split('.').length === 3) {
+            return this._jwt(credentials);
+        }
+        throw new RequestError('Invalid API key', 401);
+    }
+
+    // Express middleware setting `req.principal`, null when authentication is disabled
+    middleware() {
+        return (req, res, next) => {
+            req.principal = this.enabled ? this.authenticate(req) : null;
+            next();
+        };
+    }
+}
+
+// Express middleware accepting only the requests sending `token` like an API key, e.g. the Prometheus scraper
+function requireToken(token) {
+    const expected = digest(token);
+    return (req, res, next) => {
+        const credentials = requestCredentials(req);
+        if (!credentials || !crypto.timingSafeEqual(digest(credentials), expected)) {
+            throw new RequestError('Authentication required: send the token in the Authorization header', 401);
+        }
+        next();
+    };
+}
+
+// Throws a 403 RequestError unless the principal may export the dashboard. `folder` is { uid, title } or null.
+function checkScopes(principal, { instance, dashboardUid, folder }) {
+    if (!principal) {
+        return;
+    }
+    const { scopes } = principal;
+    if (scopes.instances && !scopes.instances.includes(instance)) {
+        throw new RequestError(`${principal.name} may not export dashboards of the Grafana instance "${instance}"`, 403);
+    }
+    if (scopes.dashboards && !scopes.dashboards.includes(dashboardUid)) {
+        throw new RequestError(`${principal.name} may not export the dashboard "${dashboardUid}"`, 403);
+    }
+    if (scopes.folders && !(folder && (scopes.folders.includes(folder.uid) || scopes.folders.includes(folder.title)))) {
+        throw new RequestError(`${principal.name} may not export dashboards of this folder`, 403);
+    }
+}
+
+function requireAdmin(principal) {
+    if (principal && !principal.admin) {
+        throw new RequestError(`${principal.name} is not allowed to do this, an admin API key or token is required`, 403);
+    }
+}
+
+// True when the principal started the job (jobs record the name of their requester), or is an admin
+function canAccess(principal, requester) {
+    return !principal || principal.admin || principal.name === requester;
+}
+
+module.exports = { Authenticator, requireToken, checkScopes, requireAdmin, canAccess };
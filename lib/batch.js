@@ -0,0 +1,139 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { withTableOfContents } = require('./pdf/toc');
+const { zipEntries } = require('./zip');
+const { logger: rootLogger } = require('./logger');
+const { keyPart } = require('./storage/keys');
+
+const BATCH_OUTPUTS = ['pdf', 'zip'];
+
+// Validates the variable, values and output of a batch request, throwing on invalid input.
+// Batches of images can only be returned as a ZIP.
+function normalizeBatch({ variable, values, output, format = 'pdf' }, { maxItems = 100 } = {}) {
+    output = output || (format === 'pdf' ? 'pdf' : 'zip');
+    if (!variable || typeof variable !== 'string') {
+        throw new Error('"variable" is required: the name of the template variable to iterate over.');
+    }
+    if (!BATCH_OUTPUTS.includes(output)) {
+        throw new Error(`Unknown output: ${output}. Use ${BATCH_OUTPUTS.join(' or ')}.`);
+    }
+    if (output === 'pdf' && format !== 'pdf') {
+        throw new Error(`A batch of ${format} images can only be returned as a ZIP.`);
+    }
+    if (values !== 'all') {
+        if (!Array.isArray(values) || values.length === 0 || values.some(value => !['string', 'number'].includes(typeof value))) {
+            throw new Error('"values" must be "all" or a non-empty list of values.');
+        }
+        if (values.length > maxItems) {
+            throw new Error(`A batch is limited to ${maxItems} values.`);
+        }
+    }
+    return { variable: variable.replace(/^var-/, ''), values: values === 'all' ? values : values.map(String), output };
+}
+
+function customValues(query) {
+    return query.split(/(?<!\\),/)
+        .map(item => item.replace(/\\,/g, ',').trim())
+        .filter(Boolean)
+        .map(item => item.includes(' : ') ? item.split(' : ')[1].trim() : item);
+}
+
+/**
+ * Values of a template variable of the dashboard model, for batches over "all" values.
+ * Custom and constant variables are read from their definition. The values of other variables, e.g. query variables,
+ * come from `resolve(variable)`, which runs their query in Grafana, then from the options saved with the dashboard
+ * when `resolve` resolves to null.
+ */
+async function variableValues(dashboard, name, { resolve = async () => null } = {}) {
+    const variables = (dashboard.templating && dashboard.templating.list) || [];
+    const variable = variables.find(item => item.name === name);
+    if (!variable) {
+        throw new Error(`Variable "${name}" not found in dashboard "${dashboard.title}".`);
+    }
+    if (variable.type === 'constant') {
+        return [String(variable.query)];
+    }
+    if (variable.type === 'custom') {
+        return customValues(variable.query || '');
+    }
+
+    const resolved = await resolve(variable);
+    const values = (resolved || (variable.options || []).map(option => option.value)).filter(value => value !== '$__all');
+    if (values.length === 0) {
+        throw new Error(`Variable "${name}" has no values in Grafana, list them in "values" instead.`);
+    }
+    return Array.from(new Set(values.map(String)));
+}
+
+/**
+ * Runs one export per value of the batch variable and combines the results in a single PDF with a table of contents,
+ * or in a ZIP of the individual PDFs. A failed export is reported in `job.items` and does not stop the other ones;
+ * the batch only fails when every export failed.
+ * `submit(value)` queues the export of a value and returns its job, `wait(job)` resolves once that job is finished,
+ * and `read(result)` resolves to the content of the file of a finished export.
+ */
+async function runBatch({ variable, values, output, outDir, submit, wait, read, logger = rootLogger }, job, reportProgress) {
+    job.items = values.map(value => ({ value, jobId: null, status: 'queued', error: null }));
+    reportProgress(0, 'exporting');
+
+    let finished = 0;
+    const results = await Promise.all(job.items.map(async item => {
+        try {
+            const itemJob = submit(item.value);
+            item.jobId = itemJob.id;
+            await wait(itemJob);
+            item.status = itemJob.status;
+            item.error = itemJob.error;
+            return itemJob.status === 'succeeded' ? itemJob.result : null;
+        } catch (error) {
+            item.status = 'failed';
+            item.error = error.message;
+            return null;
+        } finally {
+            finished++;
+            reportProgress(Math.round(finished / values.length * 90), 'exporting');
+        }
+    }));
+
+    const succeeded = results.filter(Boolean);
+    if (succeeded.length === 0) {
+        throw new Error(`Every export of the batch failed (${values.length} values), see the items for details.`);
+    }
+
+    reportProgress(90, 'combining');
+    const dashboardName = succeeded[0].metadata.dashboardName;
+    // Named after the batch job like the exports and report bundles, see outputPath() of grafana_pdf.js
+    const baseName = keyPart(`${dashboardName}_${variable}_batch_${job.id.substring(0, 8)}`);
+    const outfile = path.join(outDir, `${baseName}.${output}`);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const metadata = { dashboardName, variable, output, items: job.items };
+    if (output === 'zip') {
+        const entries = [];
+        for (const result of succeeded) {
+            entries.push({ name: path.basename(result.path), content: await read(result) });
+        }
+        fs.writeFileSync(outfile, await zipEntries([...entries, { name: 'manifest.json', content: JSON.stringify(metadata, null, 2) }]));
+    } else {
+        const sections = [];
+        for (const [index, item] of job.items.entries()) {
+            sections.push({
+                title: `${variable}: ${item.value}`,
+                buffer: results[index] ? await read(results[index]) : null,
+                note: item.error ? `failed: ${item.error}` : null
+            });
+        }
+        const { buffer, pageCount, sections: placed } = await withTableOfContents(sections, { title: dashboardName, subtitle: `One page per value of ${variable}` });
+
+        fs.writeFileSync(outfile, buffer);
+        metadata.pageCount = pageCount;
+        job.items.forEach((item, index) => { item.page = placed[index].page; });
+    }
+    logger.info('Batch generated', { path: outfile, succeeded: succeeded.length, exports: values.length });
+
+    return { path: outfile, metadata };
+}
+
+module.exports = { BATCH_OUTPUTS, normalizeBatch, variableValues, runBatch };
@@ -0,0 +1,156 @@
+'use strict';
+
+const puppeteer = require('puppeteer');
+const { logger } = require('./logger');
+
+// Keeps up to `size` Chromium instances running and hands out one incognito browser context per export,
+// so that cookies and credentials never leak between jobs.
+// A browser serves at most `maxPagesPerBrowser` exports at once and is recycled after `maxJobsPerBrowser` exports.
+class BrowserPool {
+    constructor({ size = 1, maxPagesPerBrowser = 2, maxJobsPerBrowser = 50, launchOptions = {} } = {}) {
+        this.size = Math.max(1, size);
+        this.maxPagesPerBrowser = Math.max(1, maxPagesPerBrowser);
+        this.maxJobsPerBrowser = Math.max(1, maxJobsPerBrowser);
+        this.launchOptions = launchOptions;
+        this.entries = [];
+        this.waiting = [];
+        this.closed = false;
+    }
+
+    async warmUp() {
+        while (this.entries.length < this.size) {
+            this._launch();
+        }
+        await Promise.allSettled(this.entries.map(entry => entry.ready));
+    }
+
+    async acquire() {
+        const entry = await this._reserve();
+
+        let context;
+        try {
+            context = await entry.browser.createBrowserContext();
+        } catch (error) {
+            this._release(entry);
+            throw error;
+        }
+
+        let released = false;
+        return {
+            context,
+            release: async () => {
+                if (released) return;
+                released = true;
+                await context.close().catch(() => {});
+                this._release(entry);
+            }
+        };
+    }
+
+    get stats() {
+        return {
+            browsers: this.entries.length,
+            activeContexts: this.entries.reduce((sum, entry) => sum + entry.active, 0),
+            waiting: this.waiting.length
+        };
+    }
+
+    // Verifies that Chromium works: asks a running browser of the pool for its version, or launches a throwaway one.
+    // Resolves to the version of Chromium.
+    async check() {
+        const entry = this.entries.find(item => item.browser && item.browser.connected);
+        if (entry) {
+            return entry.browser.version();
+        }
+        const browser = await puppeteer.launch(this.launchOptions);
+        try {
+            return await browser.version();
+        } finally {
+            await browser.close().catch(() => {});
+        }
+    }
+
+    async close() {
+        this.closed = true;
+        const entries = this.entries.splice(0);
+        await Promise.allSettled(entries.map(entry => entry.ready.then(browser => browser.close())));
+        this._wakeUp();
+    }
+
+    async _reserve() {
+        while (true) {
+            if (this.closed) {
+                throw new Error('Browser pool is closed');
+            }
+
+            const entry = this._pick();
+            if (entry) {
+                entry.active++;
+                entry.jobs++;
+                if (entry.jobs >= this.maxJobsPerBrowser) {
+                    entry.retiring = true;
+                }
+                try {
+                    await entry.ready;
+                } catch (error) {
+                    entry.active--;
+                    throw error;
+                }
+                return entry;
+            }
+
+            if (this.entries.length < this.size) {
+                this._launch();
+                continue;
+            }
+
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+    }
+
+    _pick() {
+        let best = null;
+        for (const entry of this.entries) {
+            if (entry.retiring || entry.active >= this.maxPagesPerBrowser) continue;
+            if (!best || entry.active < best.active) best = entry;
+        }
+        return best;
+    }
+
+    _launch() {
+        const entry = { browser: null, active: 0, jobs: 0, retiring: false };
+        entry.ready = puppeteer.launch(this.launchOptions).then(browser => {
+            entry.browser = browser;
+            browser.on('disconnected', () => this._remove(entry));
+            return browser;
+        });
+        entry.ready.catch(error => {
+            logger.error('Unable to launch browser', { error });
+            this._remove(entry);
+        });
+        this.entries.push(entry);
+    }
+
+    _release(entry) {
+        entry.active--;
+        if (entry.retiring && entry.active === 0) {
+            this._remove(entry);
+            entry.browser.close().catch(() => {});
+        }
+        this._wakeUp();
+    }
+
+    _remove(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index !== -1) {
+            this.entries.splice(index, 1);
+            this._wakeUp();
+        }
+    }
+
+    _wakeUp() {
+        this.waiting.splice(0).forEach(resolve => resolve());
+    }
+}
+
+module.exports = { BrowserPool };
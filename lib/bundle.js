@@ -0,0 +1,151 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { withTableOfContents } = require('./pdf/toc');
+const { addOutline } = require('./pdf/outline');
+const { normalizeVariables } = require('./variables');
+const { logger: rootLogger } = require('./logger');
+const { keyPart } = require('./storage/keys');
+
+/**
+ * Validates a report bundle definition, throwing on invalid input: a `title` and an ordered list of `entries`,
+ * each a dashboard `url` or `uid` with its own section `title`, `from`, `to`, `timezone`, `variables` and `panels`.
+ * The `instance`, `from`, `to`, `timezone` and `variables` of the bundle are the defaults of its entries.
+ * Dashboard UIDs are resolved against the instance of the entry, or `defaultInstance`.
+ */
+function normalizeBundle({ title, entries, instance, from, to, timezone, variables }, { maxEntries = 20, defaultInstance = null } = {}) {
+    if (!title || typeof title !== 'string') {
+        throw new Error('"title" is required: the title of the report.');
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('"entries" must be a non-empty list of dashboards.');
+    }
+    if (entries.length > maxEntries) {
+        throw new Error(`A report bundle is limited to ${maxEntries} entries.`);
+    }
+    const defaultVariables = normalizeVariables(variables);
+
+    return {
+        title,
+        entries: entries.map((entry, index) => {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                throw new Error(`Entry ${index + 1} must be an object.`);
+            }
+            if (!entry.url === !entry.uid) {
+                throw new Error(`Entry ${index + 1} needs either a "url" or a dashboard "uid".`);
+            }
+            if (entry.title !== undefined && typeof entry.title !== 'string') {
+                throw new Error(`The title of entry ${index + 1} must be a string.`);
+            }
+            const entryInstance = entry.instance || instance || (entry.uid ? defaultInstance : null);
+            if (entry.uid && !entryInstance) {
+                throw new Error(`Entry ${index + 1} needs an "instance" to find the dashboard "${entry.uid}".`);
+            }
+            return {
+                title: entry.title || null,
+                url: entry.url || `d/${encodeURIComponent(entry.uid)}`,
+                instance: entryInstance || null,
+                from: entry.from || from || null,
+                to: entry.to || to || null,
+                timezone: entry.timezone || timezone || null,
+                variables: { ...defaultVariables, ...normalizeVariables(entry.variables) },
+                panels: entry.panels || null
+            };
+        })
+    };
+}
+
+// Bookmarks of a section and of its panels, with pages counted from the beginning of the document
+function sectionOutline(title, firstPage, metadata) {
+    const panels = (metadata.panels || []).filter(panel => panel.title);
+    return {
+        title,
+        page: firstPage,
+        y: 0,
+        children: panels.map(panel => ({ title: panel.title, page: firstPage + panel.page - 1, y: panel.y }))
+    };
+}
+
+/**
+ * Renders the entries of a report bundle and merges them in one PDF: a table of contents, then one section per entry,
+ * with bookmarks for every dashboard and panel. A failed entry is reported in `job.items` and listed in the table of
+ * contents without page; the bundle only fails when every entry failed.
+ * `submit(entry)` queues the export of an entry and returns its job, `wait(job)` resolves once that job is finished,
+ * and `read(result)` resolves to the content of the PDF of a finished export.
+ * With `report` (see lib/pdf/report.js), `addChrome(buffer, positions)` adds the cover page, and the header and footer
+ * with continuous page numbers. It resolves like addReportChrome, with the positions shifted.
+ */
+async function runBundle({ title, subtitle = null, entries, report = null, outDir, submit, wait, read, addChrome, logger = rootLogger }, job, reportProgress) {
+    job.items = entries.map(entry => ({ title: entry.title, url: entry.url, jobId: null, status: 'queued', error: null, page: null }));
+    reportProgress(0, 'exporting');
+
+    let finished = 0;
+    const results = await Promise.all(entries.map(async (entry, index) => {
+        const item = job.items[index];
+        try {
+            const itemJob = submit(entry);
+            item.jobId = itemJob.id;
+            await wait(itemJob);
+            item.status = itemJob.status;
+            item.error = itemJob.error;
+            return itemJob.status === 'succeeded' ? itemJob.result : null;
+        } catch (error) {
+            item.status = 'failed';
+            item.error = error.message;
+            return null;
+        } finally {
+            finished++;
+            reportProgress(Math.round(finished / entries.length * 80), 'exporting');
+        }
+    }));
+
+    if (!results.some(Boolean)) {
+        throw new Error(`Every entry of the report failed (${entries.length} entries), see the items for details.`);
+    }
+
+    reportProgress(80, 'combining');
+    const sections = [];
+    for (const [index, item] of job.items.entries()) {
+        const result = results[index];
+        item.title = item.title || (result ? result.metadata.dashboardName : item.url);
+        sections.push({
+            title: item.title,
+            buffer: result ? await read(result) : null,
+            note: item.error ? `failed: ${item.error}` : null
+        });
+    }
+    // The cover page goes before the table of contents
+    const pageOffset = report && report.cover ? 1 : 0;
+    let { buffer, pageCount, sections: placed } = await withTableOfContents(sections, { title, subtitle, pageOffset });
+
+    const outline = [{ title: 'Table of contents', page: 1, y: 0 }];
+    placed.forEach((section, index) => {
+        job.items[index].page = section.page;
+        if (section.page) outline.push(sectionOutline(section.title, section.page - pageOffset, results[index].metadata));
+    });
+
+    let bookmarks = outline;
+    if (report) {
+        reportProgress(90, 'writing');
+        const positions = outline.flatMap(item => [item, ...(item.children || [])]);
+        let shifted;
+        ({ buffer, pageCount, panels: shifted } = await addChrome(buffer, positions));
+        const moved = new Map(positions.map((position, index) => [position, shifted[index]]));
+        const move = item => ({ ...item, ...moved.get(item), children: (item.children || []).map(move) });
+        bookmarks = outline.map(move);
+    }
+    buffer = await addOutline(buffer, bookmarks);
+
+    const outfile = path.join(outDir, `${keyPart(title)}_report_${job.id.substring(0, 8)}.pdf`);
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(outfile, buffer);
+    logger.info('Report generated', { path: outfile, succeeded: results.filter(Boolean).length, entries: entries.length, pageCount });
+
+    return {
+        path: outfile,
+        metadata: { dashboardName: title, format: 'pdf', contentType: 'application/pdf', pageCount, items: job.items }
+    };
+}
+
+module.exports = { normalizeBundle, runBundle };
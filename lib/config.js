@@ -0,0 +1,57 @@
+'use strict';
+
+function toBoolean(value) {
+    return value === undefined || value === '' ? undefined : value === 'true';
+}
+
+function toInteger(value) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? undefined : number;
+}
+
+// Maps the environment variables documented in README.md onto exportDashboard() options.
+// Variables that are not set are left undefined so that the renderer defaults apply.
+function rendererOptionsFromEnv(env = process.env) {
+    const options = {
+        format: env.EXPORT_FORMAT || undefined,
+        deviceScaleFactor: parseFloat(env.DEVICE_SCALE_FACTOR) || undefined,
+        quality: toInteger(env.IMAGE_QUALITY),
+        width: toInteger(env.PDF_WIDTH_PX),
+        height: env.PDF_HEIGHT_PX === 'auto' ? null : toInteger(env.PDF_HEIGHT_PX),
+        paperSize: env.PDF_PAPER_SIZE || undefined,
+        orientation: env.PDF_ORIENTATION || undefined,
+        pageMargin: toInteger(env.PDF_PAGE_MARGIN_MM),
+        panelErrors: env.PANEL_ERRORS || undefined,
+        timezone: env.EXPORT_TIMEZONE || undefined,
+        executablePath: env.PUPPETEER_EXECUTABLE_PATH,
+        forceKioskMode: toBoolean(env.FORCE_KIOSK_MODE),
+        extractNamesFromHtml: toBoolean(env.EXTRACT_DATE_AND_DASHBOARD_NAME_FROM_HTML_PANEL_ELEMENTS),
+        navigationTimeout: toInteger(env.NAVIGATION_TIMEOUT || env.PUPPETEER_NAVIGATION_TIMEOUT),
+        debug: toBoolean(env.DEBUG_MODE),
+        debugBundle: env.DEBUG_BUNDLES || undefined,
+        debugDir: env.DEBUG_DIR || undefined,
+        debugBundleKeep: toInteger(env.DEBUG_BUNDLES_KEEP),
+        hideDashboardControls: toBoolean(env.HIDE_DASHBOARD_CONTROLS),
+        expandCollapsedPanels: env.EXPAND_COLLAPSED_PANELS === undefined ? undefined : env.EXPAND_COLLAPSED_PANELS !== 'false',
+        expandTables: env.EXPAND_TABLES === undefined ? undefined : env.EXPAND_TABLES !== 'false',
+        checkQueries: toBoolean(env.CHECK_QUERIES_TO_COMPLETE),
+        checkQueriesMaxQueryCompletionTime: toInteger(env.CHECK_QUERIES_TO_COMPLETE_MAX_QUERY_COMPLETION_TIME),
+        checkQueriesTimeout: toInteger(env.CHECK_QUERIES_TO_COMPLETE_QUERIES_COMPLETION_TIMEOUT),
+        quietPeriod: toInteger(env.READY_QUIET_PERIOD_MS),
+        browserConsole: env.BROWSER_CONSOLE_LEVELS || undefined
+    };
+
+    for (const key of Object.keys(options)) {
+        if (options[key] === undefined) delete options[key];
+    }
+    return options;
+}
+
+function grafanaAuthFromEnv(env = process.env) {
+    if (env.GRAFANA_TOKEN) {
+        return { token: env.GRAFANA_TOKEN };
+    }
+    return { username: env.GRAFANA_USER, password: env.GRAFANA_PASSWORD };
+}
+
+module.exports = { rendererOptionsFromEnv, grafanaAuthFromEnv, toBoolean, toInteger };
@@ -0,0 +1,171 @@
+'use strict';
+
+const ExcelJS = require('exceljs');
+const { flattenPanels } = require('./panels');
+const { logger: rootLogger } = require('./logger');
+
+const DATA_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+function validateDataFormat(format) {
+    if (format && !Object.hasOwn(DATA_FORMATS, format)) {
+        throw new Error(`Unknown data format: ${format}. Use ${Object.keys(DATA_FORMATS).join(' or ')}.`);
+    }
+}
+
+/**
+ * Records the data frames returned by the data source queries of a page, by panel.
+ * Grafana sends the panel ID in the X-Panel-Id header of its /api/ds/query requests. The panel titles are read
+ * from the dashboard model the page loads, unless they are given with `setPanels()`.
+ * Only the last response of every query (panel and refId) is kept, since panels query again when they are resized or expanded.
+ */
+class QueryDataCapture {
+    constructor(page, { logger = rootLogger } = {}) {
+        this.page = page;
+        this.queries = new Map();
+        this.titles = new Map();
+        this.pending = new Set();
+        this.onResponse = response => {
+            const task = this._record(response).catch(error => logger.warn('Unable to capture query data', { error }));
+            this.pending.add(task);
+            task.finally(() => this.pending.delete(task));
+        };
+        page.on('response', this.onResponse);
+    }
+
+    setPanels(panels) {
+        for (const panel of flattenPanels(panels || [])) {
+            this.titles.set(String(panel.id), panel.title || '');
+        }
+    }
+
+    // Stops recording once the pending responses are read. Resolves to [{ id, title, frames }] in panel ID order.
+    async stop() {
+        this.page.off('response', this.onResponse);
+        await Promise.all(this.pending);
+
+        const panels = new Map();
+        for (const { panelId, frames } of this.queries.values()) {
+            if (!panels.has(panelId)) {
+                panels.set(panelId, { id: panelId, title: this.titles.get(panelId) || `Panel ${panelId}`, frames: [] });
+            }
+            panels.get(panelId).frames.push(...frames);
+        }
+        return Array.from(panels.values()).sort((a, b) => Number(a.id) - Number(b.id));
+    }
+
+    async _record(response) {
+        const url = response.url();
+        if (!response.ok()) return;
+
+        if (/\/api\/dashboards\/uid\//.test(url) && this.titles.size === 0) {
+            const { dashboard } = await response.json();
+            this.setPanels(dashboard && dashboard.panels);
+            return;
+        }
+        if (!/\/api\/ds\/query/.test(url)) return;
+
+        const panelId = response.request().headers()['x-panel-id'];
+        if (!panelId) return;
+
+        const { results } = await response.json();
+        for (const [refId, result] of Object.entries(results || {})) {
+            this.queries.set(`${panelId}/${refId}`, { panelId, frames: (result.frames || []).map(frame => ({ refId, ...frame })) });
+        }
+    }
+}
+
+function columnName(field) {
+    const name = (field.config && field.config.displayNameFromDS) || field.name;
+    const labels = Object.entries(field.labels || {}).map(([key, value]) => `${key}="${value}"`).join(', ');
+    return labels ? `${name} {${labels}}` : name;
+}
+
+// Table of a data frame: the header row, then one row per value
+function frameRows(frame) {
+    const fields = (frame.schema && frame.schema.fields) || [];
+    const values = (frame.data && frame.data.values) || [];
+    const length = Math.max(0, ...values.map(column => column.length));
+
+    const rows = [fields.map(columnName)];
+    for (let index = 0; index < length; index++) {
+        rows.push(fields.map((field, column) => {
+            const value = values[column] ? values[column][index] : null;
+            if (value === null || value === undefined) return null;
+            return field.type === 'time' ? new Date(value).toISOString() : value;
+        }));
+    }
+    return rows;
+}
+
+function csvValue(value) {
+    if (value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Frames of a panel one after another, each with a "# name" line and its header row
+function panelCsv(panel) {
+    return panel.frames.map(frame => {
+        const name = (frame.schema && frame.schema.name) || frame.refId;
+        const lines = frameRows(frame).map(row => row.map(csvValue).join(','));
+        return [`# ${name}`, ...lines].join('\n');
+    }).join('\n\n') + '\n';
+}
+
+function fileSafe(text) {
+    return String(text).replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'panel';
+}
+
+async function panelsXlsx(panels) {
+    const workbook = new ExcelJS.Workbook();
+    const sheetNames = new Set();
+    for (const panel of panels) {
+        // Sheet names are limited to 31 characters, without []:*?/\ and unique
+        let sheetName = `${panel.id} ${panel.title}`.replace(/[[\]:*?/\\]/g, ' ').substring(0, 31);
+        while (sheetNames.has(sheetName.toLowerCase())) sheetName = `${sheetName.substring(0, 28)}_${sheetNames.size}`;
+        sheetNames.add(sheetName.toLowerCase());
+
+        const sheet = workbook.addWorksheet(sheetName);
+        for (const frame of panel.frames) {
+            sheet.addRow([(frame.schema && frame.schema.name) || frame.refId]).font = { bold: true };
+            frameRows(frame).forEach((row, index) => {
+                const added = sheet.addRow(row.map(value => value !== null && typeof value === 'object' ? JSON.stringify(value) : value));
+                if (index === 0) added.font = { italic: true };
+            });
+            sheet.addRow([]);
+        }
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Builds the data files of the captured panels: one CSV file per panel, or one XLSX workbook with a sheet per panel.
+ * Resolves to [{ name, contentType, buffer, panels }].
+ */
+async function buildDataFiles(panels, { format, baseName }) {
+    const panelsWithData = panels.filter(panel => panel.frames.length > 0);
+    if (panelsWithData.length === 0) {
+        return [];
+    }
+    const { extension, contentType } = DATA_FORMATS[format];
+
+    if (format === 'xlsx') {
+        return [{
+            name: `${baseName}_data.${extension}`,
+            contentType,
+            buffer: await panelsXlsx(panelsWithData),
+            panels: panelsWithData.map(panel => panel.id)
+        }];
+    }
+    return panelsWithData.map(panel => ({
+        name: `${baseName}_panel-${panel.id}_${fileSafe(panel.title)}.${extension}`,
+        contentType,
+        buffer: Buffer.from(panelCsv(panel)),
+        panels: [panel.id]
+    }));
+}
+
+module.exports = { DATA_FORMATS, validateDataFormat, QueryDataCapture, frameRows, buildDataFiles };
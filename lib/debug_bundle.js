@@ -0,0 +1,216 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { zipEntries } = require('./zip');
+const { logger: rootLogger } = require('./logger');
+
+// When to save the debug bundle of an export: never, when the export failed, or for every export
+const DEBUG_BUNDLE_MODES = ['off', 'failed', 'always'];
+
+const REDACTED = '[redacted]';
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-grafana-api-key', 'x-auth-token'];
+const SECRET_PARAMS = ['auth_token', 'access_token', 'api_key', 'apikey', 'token'];
+const MAX_ENTRIES = 5000;
+
+function validateDebugBundleMode(mode) {
+    if (mode && !DEBUG_BUNDLE_MODES.includes(mode)) {
+        throw new Error(`Unknown debug bundle mode: ${mode}. Use ${DEBUG_BUNDLE_MODES.join(', ')}.`);
+    }
+}
+
+// The debug bundle of an export is named after its ID, so that it can be found once the export failed
+function debugBundlePath(debugDir, exportId) {
+    return path.join(debugDir, `${exportId}.zip`);
+}
+
+function redactHeaders(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => ({
+        name,
+        value: SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : String(value)
+    }));
+}
+
+function redactUrl(url) {
+    try {
+        const urlObj = new URL(url);
+        for (const name of SECRET_PARAMS) {
+            if (urlObj.searchParams.has(name)) urlObj.searchParams.set(name, REDACTED);
+        }
+        if (urlObj.password) urlObj.password = REDACTED;
+        return urlObj.toString();
+    } catch (error) {
+        return url;
+    }
+}
+
+function queryString(url) {
+    try {
+        return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value: SECRET_PARAMS.includes(name) ? REDACTED : value }));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Records what happens in the page of an export, to understand a failed or a suspicious export afterwards:
+ * the network traffic (saved as a HAR, with the credentials redacted), the browser console, screenshots taken with
+ * `snapshot(name)`, and the details given with `set(name, value)`, such as the panel detection report.
+ * `save(file, { config, error })` writes all of it in a ZIP, with the final DOM of the page and the configuration.
+ */
+class DebugRecorder {
+    constructor(page, { logger = rootLogger } = {}) {
+        this.page = page;
+        this.logger = logger;
+        this.requests = new Map();
+        this.console = [];
+        this.screenshots = [];
+        this.details = {};
+
+        this.onRequest = request => {
+            if (this.requests.size < MAX_ENTRIES) this.requests.set(request, { startedAt: Date.now(), finishedAt: null, error: null });
+        };
+        this.onRequestFinished = request => {
+            const entry = this.requests.get(request);
+            if (entry) entry.finishedAt = Date.now();
+        };
+        this.onRequestFailed = request => {
+            const entry = this.requests.get(request);
+            if (entry) {
+                entry.finishedAt = Date.now();
+                entry.error = request.failure() ? request.failure().errorText : 'failed';
+            }
+        };
+        this.onConsole = msg => {
+            if (this.console.length >= MAX_ENTRIES) return;
+            const location = msg.location();
+            this.console.push({ time: new Date().toISOString(), type: msg.type(), text: msg.text(), url: location && location.url ? redactUrl(location.url) : null });
+        };
+        this.onPageError = error => {
+            if (this.console.length < MAX_ENTRIES) this.console.push({ time: new Date().toISOString(), type: 'pageerror', text: error.message, url: null });
+        };
+        page.on('request', this.onRequest);
+        page.on('requestfinished', this.onRequestFinished);
+        page.on('requestfailed', this.onRequestFailed);
+        page.on('console', this.onConsole);
+        page.on('pageerror', this.onPageError);
+    }
+
+    set(name, value) {
+        this.details[name] = value;
+    }
+
+    // Screenshot of the viewport, skipped while the page is still blank. Never throws.
+    async snapshot(name) {
+        if (this.page.isClosed() || this.page.url() === 'about:blank') {
+            return;
+        }
+        try {
+            const content = Buffer.from(await this.page.screenshot({ type: 'jpeg', quality: 70 }));
+            this.screenshots.push({ name: `${String(this.screenshots.length + 1).padStart(2, '0')}_${name.replace(/[^\w-]+/g, '_')}.jpg`, content });
+        } catch (error) {
+            this.logger.debug(`Unable to take the ${name} screenshot`, { error });
+        }
+    }
+
+    stop() {
+        this.page.off('request', this.onRequest);
+        this.page.off('requestfinished', this.onRequestFinished);
+        this.page.off('requestfailed', this.onRequestFailed);
+        this.page.off('console', this.onConsole);
+        this.page.off('pageerror', this.onPageError);
+    }
+
+    // HTTP Archive 1.2 of the requests of the page, without the bodies
+    har() {
+        const entries = Array.from(this.requests.entries()).map(([request, { startedAt, finishedAt, error }]) => {
+            const response = request.response();
+            const time = (finishedAt || Date.now()) - startedAt;
+            const responseHeaders = response ? response.headers() : {};
+            const entry = {
+                startedDateTime: new Date(startedAt).toISOString(),
+                time,
+                request: {
+                    method: request.method(),
+                    url: redactUrl(request.url()),
+                    httpVersion: 'HTTP/1.1',
+                    headers: redactHeaders(request.headers()),
+                    queryString: queryString(request.url()),
+                    cookies: [],
+                    headersSize: -1,
+                    bodySize: request.postData() ? Buffer.byteLength(request.postData()) : 0
+                },
+                response: {
+                    status: response ? response.status() : 0,
+                    statusText: response ? response.statusText() : '',
+                    httpVersion: 'HTTP/1.1',
+                    headers: redactHeaders(responseHeaders),
+                    cookies: [],
+                    content: { size: parseInt(responseHeaders['content-length'], 10) || -1, mimeType: responseHeaders['content-type'] || '' },
+                    redirectURL: responseHeaders.location || '',
+                    headersSize: -1,
+                    bodySize: -1
+                },
+                cache: {},
+                timings: { send: 0, wait: time, receive: 0 },
+                _resourceType: request.resourceType()
+            };
+            if (error) entry._error = error;
+            if (!finishedAt) entry._pending = true;
+            return entry;
+        });
+        return { log: { version: '1.2', creator: { name: 'grafana-pdf-export', version: '1.0.0' }, pages: [], entries } };
+    }
+
+    /**
+     * Writes the debug bundle: summary.json (the outcome of the export), config.json, network.har, console.json,
+     * details.json (see set()), dom.html and the screenshots, taking a last one of the page as it is now.
+     */
+    async save(file, { config, error = null }) {
+        await this.snapshot(error ? 'failed' : 'final');
+        let dom = null;
+        if (!this.page.isClosed()) {
+            dom = await this.page.content().catch(contentError => `Unable to read the DOM: ${contentError.message}`);
+        }
+        const har = this.har();
+        const summary = {
+            exportId: config.exportId,
+            status: error ? 'failed' : 'succeeded',
+            error: error ? error.message : null,
+            url: redactUrl(this.page.isClosed() ? config.url : this.page.url()),
+            savedAt: new Date().toISOString(),
+            requests: har.log.entries.length,
+            failedRequests: har.log.entries.filter(entry => entry._error || entry.response.status >= 400).map(entry => entry.request.url),
+            consoleErrors: this.console.filter(message => message.type === 'error' || message.type === 'pageerror').length,
+            screenshots: this.screenshots.map(screenshot => screenshot.name)
+        };
+        const entries = [
+            { name: 'summary.json', content: JSON.stringify(summary, null, 2) },
+            { name: 'config.json', content: JSON.stringify(config, null, 2) },
+            { name: 'network.har', content: JSON.stringify(har, null, 2) },
+            { name: 'console.json', content: JSON.stringify(this.console, null, 2) },
+            { name: 'details.json', content: JSON.stringify(this.details, null, 2) },
+            ...this.screenshots.map(screenshot => ({ name: `screenshots/${screenshot.name}`, content: screenshot.content }))
+        ];
+        if (dom !== null) entries.push({ name: 'dom.html', content: dom });
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, await zipEntries(entries));
+    }
+}
+
+// Deletes the oldest debug bundles of `debugDir`, keeping the last `keep` ones. A `keep` of 0 keeps them all.
+function pruneDebugBundles(debugDir, keep) {
+    if (!keep || !fs.existsSync(debugDir)) {
+        return 0;
+    }
+    const bundles = fs.readdirSync(debugDir)
+        .filter(name => name.endsWith('.zip'))
+        .map(name => ({ file: path.join(debugDir, name), modifiedAt: fs.statSync(path.join(debugDir, name)).mtimeMs }))
+        .sort((a, b) => b.modifiedAt - a.modifiedAt);
+    const expired = bundles.slice(keep);
+    expired.forEach(bundle => fs.unlinkSync(bundle.file));
+    return expired.length;
+}
+
+module.exports = { DEBUG_BUNDLE_MODES, validateDebugBundleMode, debugBundlePath, DebugRecorder, pruneDebugBundles };
@@ -0,0 +1,78 @@
+'use strict';
+
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { RequestError } = require('../errors');
+const { renderTemplate, reportTemplateValues } = require('../template');
+const { toBoolean, toInteger } = require('../config');
+
+const DEFAULT_SUBJECT = 'Grafana report: {{dashboardName}} ({{timeRange}})';
+const DEFAULT_BODY = 'Please find attached the export of the dashboard "{{dashboardName}}" for {{timeRange}}.\n\n{{url}}';
+
+function toList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(address => address.trim()).filter(Boolean);
+}
+
+// Sends exported PDFs as email attachments through the SMTP server configured with the SMTP_* variables
+class EmailDelivery {
+    constructor({ host, port, secure, user, password, from }) {
+        this.from = from;
+        this.transport = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass: password } : undefined
+        });
+    }
+
+    static fromEnv(env = process.env) {
+        if (!env.SMTP_HOST) {
+            return null;
+        }
+        return new EmailDelivery({
+            host: env.SMTP_HOST,
+            port: toInteger(env.SMTP_PORT) || 587,
+            secure: toBoolean(env.SMTP_SECURE) || false,
+            user: env.SMTP_USER,
+            password: env.SMTP_PASSWORD,
+            from: env.SMTP_FROM || env.SMTP_USER
+        });
+    }
+
+    // Validates the `email` field of an export request: { to, cc, bcc, subject, body }
+    static normalize(email) {
+        const request = {
+            to: toList(email.to),
+            cc: toList(email.cc),
+            bcc: toList(email.bcc),
+            subject: email.subject || DEFAULT_SUBJECT,
+            body: email.body || DEFAULT_BODY
+        };
+        if (request.to.length === 0) {
+            throw new RequestError('Email delivery requires at least one recipient in "email.to"');
+        }
+        return request;
+    }
+
+    // Attaches the export and its data files, read from the storage with `result.read(file)`
+    async send(email, result) {
+        const values = reportTemplateValues(result);
+        const info = await this.transport.sendMail({
+            from: this.from,
+            to: email.to,
+            cc: email.cc,
+            bcc: email.bcc,
+            subject: renderTemplate(email.subject, values),
+            text: renderTemplate(email.body, values),
+            attachments: [
+                { filename: path.basename(result.path), content: await result.read(result), contentType: result.metadata.contentType || 'application/pdf' },
+                ...await Promise.all((result.files || []).filter(file => file.key).map(async file => ({ filename: file.name, content: await result.read(file), contentType: file.contentType })))
+            ]
+        });
+        return { status: 'sent', messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+    }
+}
+
+module.exports = { EmailDelivery };
@@ -0,0 +1,96 @@
+'use strict';
+
+const { RequestError } = require('../errors');
+const { toInteger } = require('../config');
+const { EmailDelivery } = require('./email');
+const { withRetry } = require('./retry');
+const { logger } = require('../logger');
+const webhook = require('./webhook');
+const slack = require('./slack');
+
+// Delivers exported PDFs to the targets of an export request.
+// Each target type provides normalize(target), which validates the request, and send(target, context, { signal }).
+// The signal aborts an HTTP attempt after `timeoutMs`.
+class DeliveryManager {
+    constructor({ email = null, retries = 3, retryDelayMs = 1000, timeoutMs = 30000 }) {
+        this.retries = retries;
+        this.retryDelayMs = retryDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.types = {
+            email: email && {
+                normalize: target => ({ type: 'email', name: target.name, ...EmailDelivery.normalize(target) }),
+                send: (target, context) => email.send(target, context)
+            },
+            webhook,
+            slack
+        };
+    }
+
+    static fromEnv(env = process.env) {
+        return new DeliveryManager({
+            email: EmailDelivery.fromEnv(env),
+            retries: toInteger(env.DELIVERY_RETRIES) ?? 3,
+            retryDelayMs: toInteger(env.DELIVERY_RETRY_DELAY_MS) ?? 1000,
+            timeoutMs: toInteger(env.DELIVERY_TIMEOUT_MS) ?? 30000
+        });
+    }
+
+    // Builds the list of targets from the `targets` field of a request, and its `email` shorthand
+    normalize({ email, targets }) {
+        if (targets !== undefined && !Array.isArray(targets)) {
+            throw new RequestError('"targets" must be a list of delivery targets');
+        }
+        if (email !== undefined && email !== null && !isPlainObject(email)) {
+            throw new RequestError('"email" must be an object with a "to" field');
+        }
+        const list = (email ? [{ type: 'email', ...email }] : []).concat(targets || []);
+
+        return list.map(target => {
+            if (!isPlainObject(target)) {
+                throw new RequestError('Every delivery target must be an object with a "type" field');
+            }
+            if (target.type === 'email' && !this.types.email) {
+                throw new RequestError('Email delivery is not configured on this server: set SMTP_HOST');
+            }
+            const type = Object.hasOwn(this.types, target.type) ? this.types[target.type] : null;
+            if (!type) {
+                throw new RequestError(`Unknown delivery target type: ${target.type}`);
+            }
+            return type.normalize(target);
+        });
+    }
+
+    // Delivers to every target in parallel and reports the outcome of each of them. Never throws.
+    // `pdfUrl` is the download link of the export, sent by the targets that do not attach the file.
+    // `read(file)` resolves to the content of a stored file, the export itself or one of its `files`, to attach it.
+    deliver(targets, result, { jobId, pdfUrl, read } = {}) {
+        const context = { ...result, jobId, pdfUrl, read };
+        return Promise.all(targets.map(async target => {
+            const report = { type: target.type, target: describeTarget(target) };
+            try {
+                const send = () => this.types[target.type].send(target, context, { signal: AbortSignal.timeout(this.timeoutMs) });
+                const { value, attempts } = await withRetry(send, {
+                    retries: this.retries,
+                    delayMs: this.retryDelayMs
+                });
+                return { ...report, status: 'sent', attempts, ...value };
+            } catch (error) {
+                logger.error('Delivery failed', { exportId: jobId, type: report.type, target: report.target, error });
+                return { ...report, status: 'failed', attempts: error.attempts, error: error.message };
+            }
+        }));
+    }
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Webhook URLs often embed secrets, only their host is reported
+function describeTarget(target) {
+    if (target.name) return target.name;
+    if (target.type === 'email') return target.to.join(', ');
+    return new URL(target.url).host;
+}
+
+module.exports = { DeliveryManager };
@@ -0,0 +1,31 @@
+'use strict';
+
+// Calls `fn` until it succeeds, at most `retries` + 1 times, doubling the delay between attempts.
+// Errors with `retryable === false` are not retried. Resolves to { value, attempts }.
+// The final error is rethrown with an `attempts` property.
+async function withRetry(fn, { retries = 3, delayMs = 1000 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { value: await fn(), attempts: attempt };
+        } catch (error) {
+            if (attempt > retries || error.retryable === false) {
+                error.attempts = attempt;
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, delayMs * 2 ** (attempt - 1)));
+        }
+    }
+}
+
+// Throws if the response of an HTTP delivery is not successful. Client errors other than 429 are not retried.
+async function checkResponse(response) {
+    if (response.ok) {
+        return;
+    }
+    const body = await response.text().catch(() => '');
+    const error = new Error(`HTTP ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+    error.retryable = response.status >= 500 || response.status === 429;
+    throw error;
+}
+
+module.exports = { withRetry, checkResponse };
@@ -0,0 +1,37 @@
+'use strict';
+
+const { renderTemplate, reportTemplateValues } = require('../template');
+const { checkResponse } = require('./retry');
+const { validateUrl } = require('./webhook');
+
+const DEFAULT_TEXT = ':bar_chart: *{{dashboardName}}* ({{timeRange}})\n<{{pdfUrl}}|Download the PDF>';
+
+// Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat...): { url, text, channel, username }.
+// Incoming webhooks cannot upload files, so the message links to the PDF.
+function normalize(target) {
+    return {
+        type: 'slack',
+        name: target.name,
+        url: validateUrl(target.url, 'slack'),
+        text: target.text || DEFAULT_TEXT,
+        channel: target.channel,
+        username: target.username
+    };
+}
+
+async function send(target, context, { signal } = {}) {
+    const message = { text: renderTemplate(target.text, reportTemplateValues(context)) };
+    if (target.channel) message.channel = target.channel;
+    if (target.username) message.username = target.username;
+
+    const response = await fetch(target.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message),
+        signal
+    });
+    await checkResponse(response);
+    return { httpStatus: response.status };
+}
+
+module.exports = { normalize, send };
@@ -0,0 +1,86 @@
+'use strict';
+
+const path = require('path');
+const { RequestError } = require('../errors');
+const { reportTemplateValues } = require('../template');
+const { checkResponse } = require('./retry');
+
+function validateUrl(url, type) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new RequestError(`Invalid ${type} delivery URL: ${url}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new RequestError(`Invalid ${type} delivery URL: ${url}`);
+    }
+    return parsed.toString();
+}
+
+// Checked against the Headers of fetch, so that an invalid header rejects the export request rather than failing its delivery
+function normalizeHeaders(headers) {
+    if (headers === undefined || headers === null) {
+        return {};
+    }
+    if (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(value => typeof value !== 'string')) {
+        throw new RequestError('Webhook "headers" must be an object of strings');
+    }
+    try {
+        new Headers(headers);
+    } catch (error) {
+        throw new RequestError(`Invalid webhook headers: ${error.message}`);
+    }
+    return { ...headers };
+}
+
+// Generic HTTP webhook: { url, mode: 'json' | 'multipart', headers }.
+// In json mode the export metadata is posted with a link to the PDF,
+// in multipart mode the PDF itself is uploaded in the `file` field next to a `metadata` JSON field.
+function normalize(target) {
+    const mode = target.mode || 'json';
+    if (mode !== 'json' && mode !== 'multipart') {
+        throw new RequestError(`Invalid webhook delivery mode: ${mode}`);
+    }
+    return {
+        type: 'webhook',
+        name: target.name,
+        url: validateUrl(target.url, 'webhook'),
+        mode,
+        headers: normalizeHeaders(target.headers)
+    };
+}
+
+function payload(context) {
+    const values = reportTemplateValues(context);
+    return {
+        event: 'export.succeeded',
+        jobId: context.jobId,
+        dashboardName: values.dashboardName,
+        dashboardUrl: values.url,
+        from: values.from,
+        to: values.to,
+        timeRange: values.timeRange,
+        filename: values.filename,
+        pdfUrl: context.pdfUrl
+    };
+}
+
+async function send(target, context, { signal } = {}) {
+    const metadata = payload(context);
+    let request;
+    if (target.mode === 'multipart') {
+        const form = new FormData();
+        form.append('metadata', JSON.stringify(metadata));
+        form.append('file', new Blob([await context.read(context)], { type: context.metadata.contentType || 'application/pdf' }), path.basename(context.path));
+        request = { method: 'POST', headers: target.headers, body: form };
+    } else {
+        request = { method: 'POST', headers: { 'Content-Type': 'application/json', ...target.headers }, body: JSON.stringify(metadata) };
+    }
+
+    const response = await fetch(target.url, { ...request, signal });
+    await checkResponse(response);
+    return { httpStatus: response.status };
+}
+
+module.exports = { normalize, send, validateUrl };
@@ -0,0 +1,12 @@
+'use strict';
+
+// Error caused by the client request, reported with the given HTTP status instead of a 500.
+class RequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+    }
+}
+
+module.exports = { RequestError };
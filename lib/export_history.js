@@ -0,0 +1,171 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { RequestError } = require('./errors');
+const { panelIssues } = require('./panel_report');
+const { parseDashboardUrl } = require('./grafana_api');
+const { urlVariables } = require('./variables');
+const { logger } = require('./logger');
+
+const LIST_FILTERS = ['status', 'dashboardUid', 'instance', 'requester', 'format', 'schedule', 'batch', 'bundle'];
+
+// Warnings of a finished export: panels that are not ok and readiness waits that timed out
+function exportWarnings(metadata) {
+    const warnings = [];
+    if (metadata.panelReport) {
+        for (const panel of panelIssues(metadata.panelReport)) {
+            warnings.push(`Panel "${panel.title}" (${panel.id}): ${panel.errors.length > 0 ? panel.errors.join('; ') : panel.status}`);
+        }
+    }
+    if (metadata.readiness) {
+        for (const wait of metadata.readiness.waits.filter(item => !item.ready)) {
+            warnings.push(`Dashboard not ready after ${wait.step} (${wait.reason} after ${wait.waitedMs}ms)`);
+        }
+    }
+    return warnings;
+}
+
+// History entry of a finished export job of the queue. Failed exports have no metadata, their dashboard,
+// time range and variables are read from the requested URL instead.
+function exportRecord(job) {
+    const { meta, result } = job;
+    const metadata = (result && result.metadata) || {};
+    const url = metadata.url || meta.url;
+    const dashboardUrl = parseDashboardUrl(url);
+    const params = new URL(url).searchParams;
+    return {
+        id: job.id,
+        status: job.status,
+        error: job.error,
+        requester: meta.requester || null,
+        instance: meta.instance || null,
+        schedule: meta.schedule || null,
+        batch: meta.batch || null,
+        bundle: meta.bundle || null,
+        rerunOf: meta.rerunOf || null,
+        url,
+        dashboardUid: metadata.dashboardUid || (dashboardUrl ? dashboardUrl.uid : null),
+        dashboardTitle: metadata.dashboardName || null,
+        from: metadata.from || params.get('from') || meta.from || null,
+        to: metadata.to || params.get('to') || meta.to || null,
+        timeRange: metadata.timeRange || null,
+        variables: metadata.variables || urlVariables(url),
+        format: metadata.format || meta.format || null,
+        width: metadata.width || null,
+        height: metadata.height || null,
+        pageCount: metadata.pageCount || null,
+        file: result ? { name: result.key, size: result.size, contentType: metadata.contentType || null } : null,
+        files: result ? (result.files || []).filter(file => file.key).map(file => ({ name: file.key, size: file.size, contentType: file.contentType })) : [],
+        durationMs: metadata.durationMs || null,
+        warnings: result ? exportWarnings(metadata) : [],
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        request: meta.request || null
+    };
+}
+
+/**
+ * History of the finished exports, stored in `file` as JSON lines so that recording an export only appends a line.
+ * The file is rewritten with the last `limit` exports once it grows past that limit by a tenth.
+ */
+class ExportHistory {
+    constructor({ file, limit = 10000 }) {
+        this.file = file;
+        this.limit = limit;
+        this.entries = [];
+        this.byId = new Map();
+    }
+
+    load() {
+        this.entries = [];
+        this.byId.clear();
+        if (!fs.existsSync(this.file)) {
+            return 0;
+        }
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+        lines.forEach((line, index) => {
+            try {
+                this._add(JSON.parse(line));
+            } catch (error) {
+                logger.warn(`Skipping invalid line ${index + 1} of ${this.file}`, { error });
+            }
+        });
+        if (this.entries.length > this.limit) {
+            this._compact();
+        }
+        return this.entries.length;
+    }
+
+    record(entry) {
+        this._add(entry);
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+        if (this.entries.length > this.limit * 1.1) {
+            this._compact();
+        }
+        return entry;
+    }
+
+    get(id) {
+        const entry = this.byId.get(id);
+        if (!entry) {
+            throw new RequestError(`Export not found: ${id}`, 404);
+        }
+        return entry;
+    }
+
+    /**
+     * Exports matching the filters, newest first. `since` and `until` are ISO dates compared with the creation date.
+     * Returns { total, offset, limit, exports }.
+     */
+    list(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+        for (const key of ['since', 'until']) {
+            if (filters[key] && isNaN(Date.parse(filters[key]))) {
+                throw new RequestError(`Invalid "${key}" date: ${filters[key]}`);
+            }
+        }
+
+        const matching = this.entries.filter(entry =>
+            LIST_FILTERS.every(key => !filters[key] || entry[key] === filters[key]) &&
+            (!filters.since || Date.parse(entry.createdAt) >= Date.parse(filters.since)) &&
+            (!filters.until || Date.parse(entry.createdAt) < Date.parse(filters.until))
+        ).reverse();
+
+        return { total: matching.length, offset, limit, exports: matching.slice(offset, offset + limit) };
+    }
+
+    // Dashboard and export of every stored file name, for the retention of the last exports of every dashboard
+    fileOwners() {
+        const owners = new Map();
+        for (const entry of this.entries) {
+            const owner = { dashboard: entry.dashboardUid, exportId: entry.id };
+            if (entry.file) owners.set(entry.file.name, owner);
+            (entry.files || []).forEach(file => owners.set(file.name, owner));
+        }
+        return owners;
+    }
+
+    _add(entry) {
+        if (this.byId.has(entry.id)) {
+            this.entries.splice(this.entries.indexOf(this.byId.get(entry.id)), 1);
+        }
+        this.entries.push(entry);
+        this.byId.set(entry.id, entry);
+    }
+
+    // Keeps the last `limit` exports, writing to a temporary file first like writeJson does
+    _compact() {
+        for (const entry of this.entries.splice(0, this.entries.length - this.limit)) {
+            this.byId.delete(entry.id);
+        }
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, this.entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+        fs.renameSync(tmpFile, this.file);
+    }
+}
+
+module.exports = { ExportHistory, exportRecord, exportWarnings };
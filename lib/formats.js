@@ -0,0 +1,31 @@
+'use strict';
+
+// Output formats of exportDashboard(), with the file extension and content type of the exported file
+const FORMATS = {
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    png: { extension: 'png', contentType: 'image/png' },
+    jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+    webp: { extension: 'webp', contentType: 'image/webp' }
+};
+
+const ZIP_FORMAT = { extension: 'zip', contentType: 'application/zip' };
+
+function formatInfo(format) {
+    if (!Object.hasOwn(FORMATS, format)) {
+        throw new Error(`Unknown format: ${format}. Supported formats: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return FORMATS[format];
+}
+
+// Validates the image settings of an export, throwing on invalid values
+function validateImageOptions({ format, deviceScaleFactor, quality }) {
+    formatInfo(format);
+    if (deviceScaleFactor !== undefined && deviceScaleFactor !== null && !(typeof deviceScaleFactor === 'number' && deviceScaleFactor >= 0.5 && deviceScaleFactor <= 4)) {
+        throw new Error(`Invalid device scale factor: ${deviceScaleFactor}. Use a number between 0.5 and 4.`);
+    }
+    if (quality !== undefined && quality !== null && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+        throw new Error(`Invalid quality: ${quality}. Use an integer between 1 and 100.`);
+    }
+}
+
+module.exports = { FORMATS, ZIP_FORMAT, formatInfo, validateImageOptions };
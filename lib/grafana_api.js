@@ -0,0 +1,33 @@
+'use strict';
+
+// Splits a dashboard URL (http://host/sub-path/d/<uid>/<slug>) into the Grafana base URL, the dashboard UID and slug
+function parseDashboardUrl(url) {
+    const urlObj = new URL(url);
+    const match = urlObj.pathname.match(/^(.*?)\/d(?:-solo)?\/([^/]+)(?:\/([^/]+))?/);
+    if (!match) {
+        return null;
+    }
+    return { baseUrl: urlObj.origin + match[1], uid: match[2], slug: match[3] || '' };
+}
+
+async function grafanaGet(baseUrl, apiPath, authHeader) {
+    const response = await fetch(baseUrl + apiPath, {
+        headers: { 'Authorization': authHeader, 'Accept': 'application/json' }
+    });
+    if (!response.ok) {
+        throw new Error(`Grafana API ${apiPath} returned HTTP status ${response.status}`);
+    }
+    return response.json();
+}
+
+// Fetches the dashboard model of a dashboard URL. Resolves to { baseUrl, uid, slug, dashboard, meta }.
+async function fetchDashboard(url, authHeader) {
+    const parsed = parseDashboardUrl(url);
+    if (!parsed) {
+        throw new Error(`Not a Grafana dashboard URL: ${url}`);
+    }
+    const { dashboard, meta } = await grafanaGet(parsed.baseUrl, `/api/dashboards/uid/${encodeURIComponent(parsed.uid)}`, authHeader);
+    return { ...parsed, dashboard, meta };
+}
+
+module.exports = { parseDashboardUrl, grafanaGet, fetchDashboard };
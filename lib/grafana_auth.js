@@ -0,0 +1,16 @@
+'use strict';
+
+// Grafana credentials are either { token } for service account tokens and API keys,
+// or { username, password } for basic auth. A token takes precedence when both are set.
+function hasCredentials(auth) {
+    return !!(auth && (auth.token || (auth.username && auth.password)));
+}
+
+function authorizationHeader(auth) {
+    if (auth.token) {
+        return `Bearer ${auth.token}`;
+    }
+    return 'Basic ' + Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+}
+
+module.exports = { hasCredentials, authorizationHeader };
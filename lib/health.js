@@ -0,0 +1,80 @@
+'use strict';
+
+// Rejects when `promise` takes longer than `ms`
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Health checks of the export server. Liveness verifies that Chromium can be launched, readiness also verifies that
+ * every configured Grafana instance answers its /api/health endpoint. Results are cached for `cacheMs`, so that
+ * frequent probes do not launch a browser every time.
+ * Checks resolve to { status: 'ok' | 'failing', checks: { browser, grafana: { <instance>: ... } } }, each check
+ * being { status, durationMs, version } or { status, durationMs, error }.
+ */
+class HealthChecker {
+    constructor({ pool, instances, cacheMs = 10 * 1000, timeoutMs = 10 * 1000 }) {
+        this.pool = pool;
+        this.instances = instances;
+        this.cacheMs = cacheMs;
+        this.timeoutMs = timeoutMs;
+        this.cache = new Map();
+    }
+
+    async liveness() {
+        return this._report({ browser: await this._cached('browser', () => this.pool.check()) });
+    }
+
+    async readiness() {
+        const [browser, grafana] = await Promise.all([
+            this._cached('browser', () => this.pool.check()),
+            this._grafana()
+        ]);
+        return this._report({ browser, grafana });
+    }
+
+    // Instances without a URL (with GRAFANA_ALLOW_ANY_URL, any origin is accepted) cannot be checked
+    async _grafana() {
+        const checks = {};
+        await Promise.all(this.instances.list().filter(instance => instance.url).map(async instance => {
+            checks[instance.name] = await this._cached(`grafana:${instance.name}`, () => this._grafanaVersion(instance.url));
+        }));
+        return checks;
+    }
+
+    async _grafanaVersion(baseUrl) {
+        const response = await fetch(`${baseUrl}/api/health`, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Grafana /api/health returned HTTP status ${response.status}`);
+        }
+        const health = await response.json();
+        if (health.database && health.database !== 'ok') {
+            throw new Error(`Grafana database is ${health.database}`);
+        }
+        return health.version || null;
+    }
+
+    _cached(name, check) {
+        const cached = this.cache.get(name);
+        if (cached && Date.now() - cached.at < this.cacheMs) {
+            return cached.promise;
+        }
+        const startedAt = Date.now();
+        const promise = withTimeout(check(), this.timeoutMs, name)
+            .then(version => ({ status: 'ok', durationMs: Date.now() - startedAt, version }))
+            .catch(error => ({ status: 'failing', durationMs: Date.now() - startedAt, error: error.message }));
+        this.cache.set(name, { at: startedAt, promise });
+        return promise;
+    }
+
+    _report(checks) {
+        const results = [checks.browser, ...Object.values(checks.grafana || {})];
+        return { status: results.every(result => result.status === 'ok') ? 'ok' : 'failing', checks };
+    }
+}
+
+module.exports = { HealthChecker };
@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const { RequestError } = require('./errors');
+const { hasCredentials } = require('./grafana_auth');
+
+// Replaces ${VAR} references with environment variables, so that secrets can stay out of the config file.
+function expandEnv(value, env) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] || '');
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => expandEnv(item, env));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+    }
+    return value;
+}
+
+function normalizeInstance(config, env) {
+    const instance = expandEnv(config, env);
+    if (!instance.name) {
+        throw new Error('Every Grafana instance needs a "name".');
+    }
+
+    let baseUrl;
+    try {
+        baseUrl = new URL(instance.url);
+    } catch (error) {
+        throw new Error(`Grafana instance "${instance.name}" has an invalid "url": ${instance.url}`);
+    }
+
+    const { type, ...auth } = instance.auth || {};
+    if (!hasCredentials(auth)) {
+        throw new Error(`Grafana instance "${instance.name}" has no credentials: set "auth.token" or "auth.username" and "auth.password".`);
+    }
+
+    const rendererOptions = {};
+    if (instance.width !== undefined) rendererOptions.width = instance.width;
+    if (instance.kiosk !== undefined) rendererOptions.forceKioskMode = instance.kiosk;
+    if (instance.theme !== undefined) rendererOptions.theme = instance.theme;
+
+    if (instance.branding !== undefined && (typeof instance.branding !== 'object' || Array.isArray(instance.branding))) {
+        throw new Error(`Grafana instance "${instance.name}" has an invalid "branding": it must be an object.`);
+    }
+    const logo = instance.branding && instance.branding.logo;
+    if (typeof logo === 'string' && !/^(https?|data):/.test(logo) && !fs.existsSync(logo)) {
+        throw new Error(`Grafana instance "${instance.name}" has an invalid "branding": logo file not found: ${logo}`);
+    }
+
+    return {
+        name: instance.name,
+        url: baseUrl.origin + baseUrl.pathname.replace(/\/+$/, ''),
+        origin: baseUrl.origin,
+        pathPrefix: baseUrl.pathname.replace(/\/+$/, ''),
+        auth,
+        rendererOptions,
+        branding: instance.branding || null
+    };
+}
+
+// Known Grafana instances and their credentials.
+// Export requests are matched against the instances by URL origin (and path prefix for sub-path deployments),
+// so that credentials are only ever sent to the instance they belong to.
+class InstanceRegistry {
+    constructor(instances, { allowAnyOrigin = false } = {}) {
+        this.instances = instances;
+        this.allowAnyOrigin = allowAnyOrigin;
+    }
+
+    list() {
+        return this.instances.map(({ name, url }) => ({ name, url }));
+    }
+
+    get(name) {
+        return this.instances.find(instance => instance.name === name) || null;
+    }
+
+    // Returns { instance, url } where `url` is the absolute dashboard URL.
+    // A relative `url` is resolved against the explicitly requested instance.
+    resolve(url, instanceName) {
+        if (instanceName) {
+            const instance = this.get(instanceName);
+            if (!instance) {
+                throw new RequestError(`Unknown Grafana instance: ${instanceName}`);
+            }
+
+            const absoluteUrl = parseUrl(url, instance.url ? instance.url + '/' : undefined);
+            if (!this.allowAnyOrigin && !belongsTo(absoluteUrl, instance)) {
+                throw new RequestError(`URL ${url} does not belong to the Grafana instance "${instance.name}"`, 403);
+            }
+            return { instance, url: absoluteUrl.toString() };
+        }
+
+        const absoluteUrl = parseUrl(url);
+        const matches = this.instances
+            .filter(instance => belongsTo(absoluteUrl, instance))
+            .sort((a, b) => b.pathPrefix.length - a.pathPrefix.length);
+
+        if (matches.length > 0) {
+            return { instance: matches[0], url: absoluteUrl.toString() };
+        }
+        if (this.allowAnyOrigin && this.instances.length === 1) {
+            return { instance: this.instances[0], url: absoluteUrl.toString() };
+        }
+        throw new RequestError(`URL ${url} does not match any configured Grafana instance`, 403);
+    }
+}
+
+function parseUrl(url, base) {
+    try {
+        return new URL(url, base);
+    } catch (error) {
+        throw new RequestError(`Invalid URL: ${url}`);
+    }
+}
+
+function belongsTo(url, instance) {
+    if (url.origin !== instance.origin) return false;
+    return url.pathname === instance.pathPrefix || url.pathname.startsWith(instance.pathPrefix + '/');
+}
+
+/**
+ * Loads the Grafana instances from GRAFANA_INSTANCES_FILE (./config/instances.json by default).
+ * Without this file, a single "default" instance is built from GRAFANA_URL and the GRAFANA_TOKEN or
+ * GRAFANA_USER/GRAFANA_PASSWORD variables. If GRAFANA_URL is not set either, loading fails, unless
+ * GRAFANA_ALLOW_ANY_URL is "true": that instance then accepts any origin, and sends the credentials to it.
+ */
+function loadInstanceRegistry(env = process.env, defaultAuth = {}) {
+    const file = env.GRAFANA_INSTANCES_FILE || './config/instances.json';
+
+    if (fs.existsSync(file)) {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const instances = (config.instances || []).map(instance => normalizeInstance(instance, env));
+        if (instances.length === 0) {
+            throw new Error(`No Grafana instance defined in ${file}.`);
+        }
+        return new InstanceRegistry(instances);
+    }
+    if (env.GRAFANA_INSTANCES_FILE) {
+        throw new Error(`Grafana instances file not found: ${file}`);
+    }
+
+    if (!hasCredentials(defaultAuth)) {
+        throw new Error('No Grafana credentials configured: set GRAFANA_TOKEN or GRAFANA_USER/GRAFANA_PASSWORD, or define instances in GRAFANA_INSTANCES_FILE.');
+    }
+    if (env.GRAFANA_URL) {
+        return new InstanceRegistry([normalizeInstance({ name: 'default', url: env.GRAFANA_URL, auth: defaultAuth }, env)]);
+    }
+    if (env.GRAFANA_ALLOW_ANY_URL !== 'true') {
+        throw new Error('No Grafana instance configured: set GRAFANA_URL, or define instances in GRAFANA_INSTANCES_FILE.');
+    }
+    return new InstanceRegistry([{ name: 'default', url: null, origin: null, pathPrefix: '', auth: defaultAuth, rendererOptions: {}, branding: null }], { allowAnyOrigin: true });
+}
+
+module.exports = { InstanceRegistry, loadInstanceRegistry, expandEnv };
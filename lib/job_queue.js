@@ -0,0 +1,139 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// In-memory FIFO queue running at most `concurrency` export jobs at a time.
+// Finished jobs are kept for `retentionMs` so clients can poll their status and fetch the result.
+// The time spent in every phase reported by a job is recorded in `job.phases`, in ms.
+// wait() resolves once a job has finished, from a promise kept per job rather than a 'finished' listener per waiter.
+// A task is called with (reportProgress, job, releaseSlot): releaseSlot() lets the next job start while the task ends,
+// e.g. when it only delivers its result.
+class JobQueue extends EventEmitter {
+    constructor({ concurrency = 2, retentionMs = 60 * 60 * 1000 } = {}) {
+        super();
+        this.concurrency = Math.max(1, concurrency);
+        this.retentionMs = retentionMs;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+        this.settled = new WeakMap();
+    }
+
+    enqueue(task, meta = {}) {
+        const job = this._create(meta);
+        this.pending.push({ job, task });
+        this.emit('queued', job);
+        this._drain();
+        return job;
+    }
+
+    // Runs a job right away, outside of the concurrency limit. Used for jobs that only coordinate other jobs.
+    track(task, meta = {}) {
+        const job = this._create(meta);
+        this._run(job, task, { limited: false });
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Resolves with the job once it has succeeded or failed
+    wait(job) {
+        const settled = this.settled.get(job);
+        return settled ? settled.promise : Promise.resolve(job);
+    }
+
+    queuePosition(job) {
+        const index = this.pending.findIndex(entry => entry.job === job);
+        return index === -1 ? null : index + 1;
+    }
+
+    get depth() {
+        return this.pending.length;
+    }
+
+    _create(meta) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            progress: 0,
+            phase: null,
+            phases: {},
+            phaseStartedAt: null,
+            error: null,
+            result: null,
+            meta,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        const settled = {};
+        settled.promise = new Promise(resolve => { settled.resolve = resolve; });
+        this.settled.set(job, settled);
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    _endPhase(job) {
+        if (job.phase && job.phaseStartedAt) {
+            job.phases[job.phase] = (job.phases[job.phase] || 0) + Date.now() - job.phaseStartedAt;
+        }
+        job.phaseStartedAt = null;
+    }
+
+    _drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const { job, task } = this.pending.shift();
+            this._run(job, task);
+        }
+    }
+
+    async _run(job, task, { limited = true } = {}) {
+        let holding = limited;
+        if (holding) this.running++;
+        const releaseSlot = () => {
+            if (!holding) return;
+            holding = false;
+            this.running--;
+            this._drain();
+        };
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.emit('started', job);
+
+        const reportProgress = (progress, phase) => {
+            job.progress = Math.max(job.progress, Math.min(100, progress));
+            if (phase && phase !== job.phase) {
+                this._endPhase(job);
+                job.phase = phase;
+                job.phaseStartedAt = Date.now();
+            }
+        };
+
+        try {
+            job.result = await task(reportProgress, job, releaseSlot);
+            job.status = 'succeeded';
+            job.progress = 100;
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        } finally {
+            this._endPhase(job);
+            job.finishedAt = new Date().toISOString();
+            if (holding) {
+                holding = false;
+                this.running--;
+            }
+            setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+            this.emit('finished', job);
+            this.settled.get(job).resolve(job);
+            this.settled.delete(job);
+            this._drain();
+        }
+    }
+}
+
+module.exports = { JobQueue };
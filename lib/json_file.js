@@ -0,0 +1,21 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+function readJson(file, fallback) {
+    if (!fs.existsSync(file)) {
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Writes to a temporary file first so that a crash never leaves a truncated file behind
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+module.exports = { readJson, writeJson };
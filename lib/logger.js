@@ -0,0 +1,159 @@
+'use strict';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['json', 'text'];
+
+// Log levels of the browser console messages, by Puppeteer message type
+const CONSOLE_LEVELS = { debug: 'debug', trace: 'debug', log: 'info', info: 'info', warn: 'warn', warning: 'warn', error: 'error', assert: 'error' };
+
+function validateSettings({ level, format }) {
+    if (!Object.hasOwn(LEVELS, level)) {
+        throw new Error(`Unknown log level: ${level}. Use debug, info, warn, error or silent.`);
+    }
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown log format: ${format}. Use json or text.`);
+    }
+}
+
+// Errors are logged with their message, and their stack at the debug level
+function serializeFields(fields, withStack) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value instanceof Error) {
+            serialized[key] = value.message;
+            if (withStack) serialized[`${key}Stack`] = value.stack;
+        } else if (value !== undefined) {
+            serialized[key] = value;
+        }
+    }
+    return serialized;
+}
+
+function textLine({ time, level, msg, ...fields }) {
+    const values = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return [time, level.toUpperCase().padEnd(5), msg, ...values].join(' ');
+}
+
+/**
+ * Structured logger writing one JSON object per line: { time, level, msg, ...fields }, or human readable lines with
+ * the `text` format. Lines below `level` are dropped. `child(fields)` returns a logger adding these fields to every
+ * line, e.g. the ID of an export. Children share the settings of their parent, see configure().
+ */
+class Logger {
+    constructor(settings, fields = {}) {
+        validateSettings(settings);
+        this.settings = settings;
+        this.fields = fields;
+    }
+
+    child(fields) {
+        return new Logger(this.settings, { ...this.fields, ...fields });
+    }
+
+    // Changes the level, format or stream of this logger and of all its children
+    configure({ level, format, stream }) {
+        const settings = { ...this.settings, ...(level && { level }), ...(format && { format }), ...(stream && { stream }) };
+        validateSettings(settings);
+        Object.assign(this.settings, settings);
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.settings.level];
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const line = { time: new Date().toISOString(), level, msg, ...this.fields, ...serializeFields(fields, this.isEnabled('debug')) };
+        let output;
+        try {
+            output = this.settings.format === 'json' ? JSON.stringify(line) : textLine(line);
+        } catch (error) {
+            output = JSON.stringify({ time: line.time, level, msg, ...this.fields, logError: error.message });
+        }
+        this.settings.stream.write(output + '\n');
+    }
+}
+
+/**
+ * Browser console message types to log, from a list or a comma-separated string of debug, log, info, warn and error,
+ * or `all`. The browser console is not logged by default.
+ */
+function normalizeBrowserConsole(value) {
+    if (!value) {
+        return [];
+    }
+    const types = (Array.isArray(value) ? value : String(value).split(',')).map(type => String(type).trim()).filter(Boolean);
+    if (types.includes('all')) {
+        return ['debug', 'log', 'info', 'warn', 'error'];
+    }
+    for (const type of types) {
+        if (!['debug', 'log', 'info', 'warn', 'error'].includes(type)) {
+            throw new Error(`Unknown browser console level: ${type}. Use debug, log, info, warn, error or all.`);
+        }
+    }
+    return types;
+}
+
+// Logs the browser console messages of a page whose type is in `types`, see normalizeBrowserConsole()
+function logBrowserConsole(page, logger, types) {
+    if (types.length === 0) {
+        return;
+    }
+    page.on('console', msg => {
+        const type = msg.type() === 'warning' ? 'warn' : msg.type();
+        const level = CONSOLE_LEVELS[type] || 'info';
+        if (types.includes(type) || (type === 'trace' && types.includes('debug')) || (type === 'assert' && types.includes('error'))) {
+            logger.log(level, 'Browser console', { source: 'browser', consoleType: type, text: msg.text() });
+        }
+    });
+    if (types.includes('error')) {
+        page.on('pageerror', error => logger.error('Browser page error', { source: 'browser', error }));
+    }
+}
+
+/**
+ * Settings of the application logger from LOG_LEVEL (info by default, debug with DEBUG_MODE) and LOG_FORMAT (json by
+ * default). Returns { settings, warnings }: unknown values fall back to the defaults rather than stopping
+ * everything that requires the logger.
+ */
+function settingsFromEnv(env = process.env) {
+    const defaults = { level: env.DEBUG_MODE === 'true' ? 'debug' : 'info', format: 'json' };
+    const settings = { level: env.LOG_LEVEL || defaults.level, format: env.LOG_FORMAT || defaults.format };
+    const warnings = [];
+    if (!Object.hasOwn(LEVELS, settings.level)) {
+        warnings.push(`Unknown LOG_LEVEL: ${settings.level}, using ${defaults.level}. Use debug, info, warn, error or silent.`);
+        settings.level = defaults.level;
+    }
+    if (!FORMATS.includes(settings.format)) {
+        warnings.push(`Unknown LOG_FORMAT: ${settings.format}, using ${defaults.format}. Use json or text.`);
+        settings.format = defaults.format;
+    }
+    return { settings, warnings };
+}
+
+// Logger of the application, see settingsFromEnv()
+const { settings, warnings } = settingsFromEnv();
+const logger = new Logger({ ...settings, stream: process.stdout });
+// On stderr, as the CLI writes the paths of the generated files on stdout
+const warningLogger = new Logger({ ...settings, stream: process.stderr });
+warnings.forEach(warning => warningLogger.warn(warning));
+
+module.exports = { Logger, logger, settingsFromEnv, normalizeBrowserConsole, logBrowserConsole };
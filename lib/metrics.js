@@ -0,0 +1,153 @@
+'use strict';
+
+const client = require('prom-client');
+const { parseDashboardUrl } = require('./grafana_api');
+const { logger } = require('./logger');
+
+const EXPORT_BUCKETS = [1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600];
+const PHASE_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function dashboardOf(job) {
+    const dashboard = job.meta.url ? parseDashboardUrl(job.meta.url) : null;
+    return dashboard ? dashboard.uid : 'unknown';
+}
+
+/**
+ * Prometheus metrics of the export server: exports started and finished by instance and dashboard, their duration
+ * and the duration of their phases (see the phases of grafana_pdf.js), the queue, the browser pool and the storage usage.
+ * Only the jobs of the queue whose `meta.type` is `export` are counted, batches and report bundles are not.
+ * The storage is listed at most every `storageCacheMs`, since listing an S3 bucket on every scrape would be slow.
+ */
+class ExportMetrics {
+    constructor({ queue, pool, storage, storageCacheMs = 60 * 1000 }) {
+        this.storage = storage;
+        this.storageCacheMs = storageCacheMs;
+        this.usage = null;
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry, prefix: 'grafana_export_' });
+
+        const registers = [this.registry];
+        this.started = new client.Counter({
+            name: 'grafana_export_exports_started_total',
+            help: 'Exports started',
+            labelNames: ['instance', 'dashboard'],
+            registers
+        });
+        this.finished = new client.Counter({
+            name: 'grafana_export_exports_finished_total',
+            help: 'Exports finished, by status: succeeded or failed',
+            labelNames: ['instance', 'dashboard', 'status'],
+            registers
+        });
+        this.duration = new client.Histogram({
+            name: 'grafana_export_export_duration_seconds',
+            help: 'Duration of the exports, from their start to their end',
+            labelNames: ['instance', 'status'],
+            buckets: EXPORT_BUCKETS,
+            registers
+        });
+        this.queueWait = new client.Histogram({
+            name: 'grafana_export_queue_wait_seconds',
+            help: 'Time spent by the exports waiting for a slot in the queue',
+            buckets: EXPORT_BUCKETS,
+            registers
+        });
+        this.phaseDuration = new client.Histogram({
+            name: 'grafana_export_phase_duration_seconds',
+            help: 'Duration of the phases of the exports: navigating, expanding, waiting-queries, writing...',
+            labelNames: ['phase'],
+            buckets: PHASE_BUCKETS,
+            registers
+        });
+
+        new client.Gauge({
+            name: 'grafana_export_queue_depth',
+            help: 'Exports waiting for a slot in the queue',
+            registers,
+            collect() { this.set(queue.depth); }
+        });
+        new client.Gauge({
+            name: 'grafana_export_running_exports',
+            help: 'Exports running',
+            registers,
+            collect() { this.set(queue.running); }
+        });
+        new client.Gauge({
+            name: 'grafana_export_browsers',
+            help: 'Chromium instances of the browser pool',
+            registers,
+            collect() { this.set(pool.stats.browsers); }
+        });
+        new client.Gauge({
+            name: 'grafana_export_browser_contexts',
+            help: 'Browser contexts in use by exports',
+            registers,
+            collect() { this.set(pool.stats.activeContexts); }
+        });
+
+        const metrics = this;
+        new client.Gauge({
+            name: 'grafana_export_storage_bytes',
+            help: 'Size of the stored export files',
+            registers,
+            async collect() {
+                const usage = await metrics._storageUsage();
+                if (usage) this.set(usage.bytes);
+            }
+        });
+        new client.Gauge({
+            name: 'grafana_export_storage_files',
+            help: 'Number of stored export files',
+            registers,
+            async collect() {
+                const usage = await metrics._storageUsage();
+                if (usage) this.set(usage.files);
+            }
+        });
+
+        queue.on('started', job => this._onStarted(job));
+        queue.on('finished', job => this._onFinished(job));
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    metrics() {
+        return this.registry.metrics();
+    }
+
+    _onStarted(job) {
+        if (job.meta.type !== 'export') return;
+        this.started.inc({ instance: job.meta.instance || 'default', dashboard: dashboardOf(job) });
+        this.queueWait.observe((Date.parse(job.startedAt) - Date.parse(job.createdAt)) / 1000);
+    }
+
+    _onFinished(job) {
+        if (job.meta.type !== 'export') return;
+        const instance = job.meta.instance || 'default';
+        this.finished.inc({ instance, dashboard: dashboardOf(job), status: job.status });
+        this.duration.observe({ instance, status: job.status }, (Date.parse(job.finishedAt) - Date.parse(job.startedAt)) / 1000);
+        for (const [phase, ms] of Object.entries(job.phases)) {
+            this.phaseDuration.observe({ phase }, ms / 1000);
+        }
+    }
+
+    // Resolves to { bytes, files }, or null when the storage cannot be listed
+    _storageUsage() {
+        if (!this.usage || Date.now() - this.usage.at > this.storageCacheMs) {
+            this.usage = {
+                at: Date.now(),
+                promise: this.storage.list()
+                    .then(objects => ({ bytes: objects.reduce((sum, object) => sum + object.size, 0), files: objects.length }))
+                    .catch(error => {
+                        logger.error('Unable to measure the storage usage', { error });
+                        return null;
+                    })
+            };
+        }
+        return this.usage.promise;
+    }
+}
+
+module.exports = { ExportMetrics };
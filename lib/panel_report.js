@@ -0,0 +1,180 @@
+'use strict';
+
+const { logger: rootLogger } = require('./logger');
+
+// What to do with panels in error: fail the export, add a warnings page to the PDF, or only report them
+const PANEL_ERROR_MODES = ['ignore', 'annotate', 'fail'];
+
+// Error indicators and "No data" messages of panels, across Grafana versions
+const ERROR_SELECTORS = ['[data-testid*="Alert error"]', '[data-testid*="Panel status error"]', '.panel-info-corner--error'];
+const NO_DATA_SELECTORS = ['[data-testid*="Panel data error message"]', '.panel-empty'];
+
+function validatePanelErrorMode(mode) {
+    if (mode && !PANEL_ERROR_MODES.includes(mode)) {
+        throw new Error(`Unknown panel error mode: ${mode}. Use ${PANEL_ERROR_MODES.join(', ')}.`);
+    }
+}
+
+/**
+ * Records the errors returned by the data source queries of a page, and whether they returned any data, by panel.
+ * Only the last response of every query (panel and refId) is kept, like QueryDataCapture does.
+ */
+class QueryErrorCapture {
+    constructor(page, { logger = rootLogger } = {}) {
+        this.page = page;
+        this.queries = new Map();
+        this.pending = new Set();
+        this.onResponse = response => {
+            const task = this._record(response).catch(error => logger.warn('Unable to read query response', { error }));
+            this.pending.add(task);
+            task.finally(() => this.pending.delete(task));
+        };
+        page.on('response', this.onResponse);
+    }
+
+    // Resolves to { panelId: { errors, noData } } once the pending responses are read
+    async stop() {
+        this.page.off('response', this.onResponse);
+        await Promise.all(this.pending);
+
+        const panels = {};
+        for (const { panelId, error, rows } of this.queries.values()) {
+            const panel = panels[panelId] = panels[panelId] || { errors: [], rows: 0 };
+            if (error) panel.errors.push(error);
+            panel.rows += rows;
+        }
+        for (const panel of Object.values(panels)) {
+            panel.noData = panel.errors.length === 0 && panel.rows === 0;
+            delete panel.rows;
+        }
+        return panels;
+    }
+
+    async _record(response) {
+        if (!/\/api\/ds\/query/.test(response.url())) return;
+        const panelId = response.request().headers()['x-panel-id'];
+        if (!panelId) return;
+
+        const body = await response.json().catch(() => ({}));
+        const results = Object.entries(body.results || {});
+        if (results.length === 0) {
+            if (!response.ok()) {
+                this.queries.set(`${panelId}/*`, { panelId, error: body.message || `HTTP ${response.status()}`, rows: 0 });
+            }
+            return;
+        }
+        for (const [refId, result] of results) {
+            const rows = (result.frames || []).reduce((count, frame) => {
+                const values = (frame.data && frame.data.values) || [];
+                return count + Math.max(0, ...values.map(column => column.length));
+            }, 0);
+            this.queries.set(`${panelId}/${refId}`, { panelId, error: result.error ? `${refId}: ${result.error}` : null, rows });
+        }
+    }
+}
+
+/**
+ * Reads the panels of the page and their error and "No data" indicators, hidden or not.
+ * With `panelId`, the page shows a single panel (d-solo view) and every indicator belongs to it.
+ * Resolves to [{ id, title, errors, noData }].
+ */
+async function inspectPanels(page, { panelId = null, title = '', logger = rootLogger } = {}) {
+    return page.evaluate((errorSelectors, noDataSelectors, single) => {
+        const text = element => (element.getAttribute('aria-label') || element.getAttribute('title') || element.innerText || '').replace(/^data-testid\s+/, '').trim();
+        const inspect = (root, id, title) => ({
+            id,
+            title,
+            errors: Array.from(root.querySelectorAll(errorSelectors.join(','))).map(element => text(element) || 'Panel error'),
+            noData: root.querySelectorAll(noDataSelectors.join(',')).length > 0
+        });
+
+        if (single) {
+            return [inspect(document, single.id, single.title)];
+        }
+        const panels = [];
+        const seen = new Set();
+        for (const element of document.querySelectorAll('[data-panelid], [data-griditem-key]')) {
+            const id = element.getAttribute('data-panelid') || element.getAttribute('data-griditem-key').replace(/^grid-item-/, '');
+            if (seen.has(id)) continue;
+            seen.add(id);
+            const titleElement = element.querySelector('h2, h6, .panel-title-text');
+            panels.push(inspect(element, id, titleElement ? titleElement.innerText.trim() : ''));
+        }
+        return panels;
+    }, ERROR_SELECTORS, NO_DATA_SELECTORS, panelId === null ? null : { id: String(panelId), title }).catch(error => {
+        logger.warn('Unable to inspect panels', { error });
+        return [];
+    });
+}
+
+/**
+ * Combines the panels found in the page, the query results and the readiness report in one entry per panel:
+ * { id, title, status, errors } where status is ok, error, no-data or timeout (data still loading when rendered).
+ * The error messages of the queries are preferred to the ones of the page, which are often only an icon label.
+ * Returns { panels, errors, noData, timeouts } with the number of panels of every status.
+ */
+function buildPanelReport({ panels, queries, readiness }) {
+    const byId = new Map();
+    const entry = id => {
+        if (!byId.has(id)) byId.set(id, { id, title: '', pageErrors: [], errors: [], noData: false, timeout: false });
+        return byId.get(id);
+    };
+
+    for (const panel of panels) {
+        const item = entry(panel.id);
+        item.title = item.title || panel.title;
+        item.pageErrors.push(...panel.errors);
+        item.noData = item.noData || panel.noData;
+    }
+    for (const [id, query] of Object.entries(queries)) {
+        const item = entry(id);
+        item.errors.push(...query.errors);
+        item.noData = item.noData || query.noData;
+    }
+    for (const panel of (readiness && readiness.panels) || []) {
+        if (panel.loading || panel.pendingRequests > 0) entry(panel.id).timeout = true;
+    }
+
+    const report = Array.from(byId.values())
+        .sort((a, b) => Number(a.id) - Number(b.id))
+        .map(item => {
+            const errors = Array.from(new Set(item.errors.length > 0 ? item.errors : item.pageErrors));
+            let status = 'ok';
+            if (item.timeout) status = 'timeout';
+            else if (errors.length > 0) status = 'error';
+            else if (item.noData) status = 'no-data';
+            return { id: item.id, title: item.title || `Panel ${item.id}`, status, errors };
+        });
+
+    return {
+        panels: report,
+        errors: report.filter(panel => panel.status === 'error').length,
+        noData: report.filter(panel => panel.status === 'no-data').length,
+        timeouts: report.filter(panel => panel.status === 'timeout').length
+    };
+}
+
+// Panels that are not ok, e.g. for the warnings page
+function panelIssues(report) {
+    return report.panels.filter(panel => panel.status !== 'ok');
+}
+
+// One line per panel in error or not rendered in time, for the error of a failed export. "No data" is not an error.
+function panelErrorsMessage(report) {
+    const failed = report.panels.filter(panel => panel.status === 'error' || panel.status === 'timeout');
+    if (failed.length === 0) {
+        return null;
+    }
+    const lines = failed.map(panel => `"${panel.title}" (${panel.id}): ${panel.status === 'timeout' ? 'data not loaded in time' : panel.errors.join('; ')}`);
+    return `${failed.length} panel(s) failed to render: ${lines.join(', ')}`;
+}
+
+module.exports = {
+    PANEL_ERROR_MODES,
+    validatePanelErrorMode,
+    QueryErrorCapture,
+    inspectPanels,
+    buildPanelReport,
+    panelIssues,
+    panelErrorsMessage
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+// Lists the panels of a dashboard model in reading order, including the panels of collapsed rows
+function flattenPanels(panels = []) {
+    const result = [];
+    for (const panel of panels) {
+        if (panel.type === 'row') {
+            result.push(...flattenPanels(panel.panels));
+            continue;
+        }
+        result.push({ id: panel.id, title: panel.title || '', type: panel.type, gridPos: panel.gridPos || {} });
+    }
+    return result.sort((a, b) => (a.gridPos.y || 0) - (b.gridPos.y || 0) || (a.gridPos.x || 0) - (b.gridPos.x || 0));
+}
+
+/**
+ * Selects panels by ID or by title (case insensitive), keeping the order of the selection.
+ * `selection` is 'all', a list, or a comma-separated string. 'all' leaves out text panels.
+ */
+function selectPanels(panels, selection) {
+    if (selection === 'all' || selection === true) {
+        return panels.filter(panel => panel.type !== 'text');
+    }
+
+    const keys = (Array.isArray(selection) ? selection : String(selection).split(','))
+        .map(key => String(key).trim())
+        .filter(Boolean);
+
+    return keys.map(key => {
+        const panel = /^\d+$/.test(key)
+            ? panels.find(candidate => candidate.id === Number(key))
+            : panels.find(candidate => candidate.title.toLowerCase() === key.toLowerCase());
+        if (!panel) {
+            throw new Error(`Panel not found in the dashboard: ${key}`);
+        }
+        return panel;
+    });
+}
+
+module.exports = { flattenPanels, selectPanels };
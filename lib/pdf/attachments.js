@@ -0,0 +1,18 @@
+'use strict';
+
+const { PDFDocument } = require('pdf-lib');
+
+// Embeds files in the PDF, listed as attachments by PDF readers. Every file is { name, contentType, buffer, description }.
+async function attachFiles(buffer, files) {
+    const document = await PDFDocument.load(buffer);
+    for (const file of files) {
+        await document.attach(file.buffer, file.name, {
+            mimeType: file.contentType,
+            description: file.description,
+            creationDate: new Date()
+        });
+    }
+    return Buffer.from(await document.save());
+}
+
+module.exports = { attachFiles };
@@ -0,0 +1,16 @@
+'use strict';
+
+const { PDFDocument } = require('pdf-lib');
+
+// Concatenates the pages of several PDF documents
+async function mergePdfs(buffers) {
+    const merged = await PDFDocument.create();
+    for (const buffer of buffers) {
+        const document = await PDFDocument.load(buffer);
+        const pages = await merged.copyPages(document, document.getPageIndices());
+        pages.forEach(page => merged.addPage(page));
+    }
+    return Buffer.from(await merged.save());
+}
+
+module.exports = { mergePdfs };
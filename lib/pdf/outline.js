@@ -0,0 +1,53 @@
+'use strict';
+
+const { PDFDocument, PDFName, PDFNumber, PDFNull, PDFHexString } = require('pdf-lib');
+
+// Registers the outline items of one level under `parentRef`, linked as siblings. Resolves to { first, last, count }.
+function addItems(document, parentRef, items) {
+    const refs = items.map(() => document.context.nextRef());
+    let count = 0;
+
+    items.forEach((item, index) => {
+        const page = document.getPage(item.page - 1);
+        const { y, height } = page.getMediaBox();
+        // Positions are from the top of the page, PDF destinations from the bottom
+        const top = Math.max(y, y + height - (item.y || 0));
+        const entries = {
+            Title: PDFHexString.fromText(item.title),
+            Parent: parentRef,
+            Dest: document.context.obj([page.ref, PDFName.of('XYZ'), PDFNull, PDFNumber.of(top), PDFNull])
+        };
+        if (index > 0) entries.Prev = refs[index - 1];
+        if (index < items.length - 1) entries.Next = refs[index + 1];
+
+        const children = item.children || [];
+        if (children.length > 0) {
+            const nested = addItems(document, refs[index], children);
+            entries.First = nested.first;
+            entries.Last = nested.last;
+            // Negative counts keep the item collapsed when the PDF is opened
+            entries.Count = PDFNumber.of(-nested.count);
+        }
+        document.context.assign(refs[index], document.context.obj(entries));
+        count++;
+    });
+    return { first: refs[0], last: refs[refs.length - 1], count };
+}
+
+/**
+ * Adds outline (bookmark) items to a PDF: [{ title, page, y, children }] where `page` starts at 1 and `y` is
+ * the position on the page, in points from the top. Viewers show the outline next to the pages.
+ */
+async function addOutline(buffer, items) {
+    const document = await PDFDocument.load(buffer);
+    if (items.length > 0) {
+        const outlineRef = document.context.nextRef();
+        const { first, last, count } = addItems(document, outlineRef, items);
+        document.context.assign(outlineRef, document.context.obj({ Type: 'Outlines', First: first, Last: last, Count: PDFNumber.of(count) }));
+        document.catalog.set(PDFName.of('Outlines'), outlineRef);
+        document.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+    }
+    return Buffer.from(await document.save());
+}
+
+module.exports = { addOutline };
@@ -0,0 +1,121 @@
+'use strict';
+
+const { PDFDocument, PageSizes } = require('pdf-lib');
+
+const PAPER_SIZES = {
+    A3: PageSizes.A3,
+    A4: PageSizes.A4,
+    A5: PageSizes.A5,
+    Letter: PageSizes.Letter,
+    Legal: PageSizes.Legal,
+    Tabloid: PageSizes.Tabloid
+};
+
+// Chrome prints CSS pixels at 96 dpi, PDF units are points (72 dpi)
+const POINTS_PER_PX = 0.75;
+const POINTS_PER_MM = 72 / 25.4;
+
+// Returns [width, height] in points, throwing on an unknown paper size or orientation
+function paperDimensions(paperSize, orientation = 'portrait') {
+    const key = Object.keys(PAPER_SIZES).find(name => name.toLowerCase() === String(paperSize).toLowerCase());
+    if (!key) {
+        throw new Error(`Unknown paper size: ${paperSize}. Supported sizes: ${Object.keys(PAPER_SIZES).join(', ')}`);
+    }
+    if (orientation !== 'portrait' && orientation !== 'landscape') {
+        throw new Error(`Unknown orientation: ${orientation}. Use portrait or landscape.`);
+    }
+    const [width, height] = PAPER_SIZES[key];
+    return orientation === 'landscape' ? [height, width] : [width, height];
+}
+
+/**
+ * Splits content of `contentHeight` px into slices of at most `sliceHeight` px.
+ * A slice ends at the top or bottom of a panel when possible, so that no panel is cut in half.
+ * Panels taller than a page are cut where the page ends. Returns a list of [start, end] in px.
+ */
+function computePageBreaks(panels, contentHeight, sliceHeight) {
+    const isSafe = y => !panels.some(panel => panel.top < y && y < panel.bottom);
+    const candidates = Array.from(new Set(panels.flatMap(panel => [panel.top, panel.bottom])))
+        .filter(y => y > 0 && y < contentHeight)
+        .sort((a, b) => a - b);
+
+    const slices = [];
+    let start = 0;
+    while (start < contentHeight) {
+        const limit = start + sliceHeight;
+        let end = contentHeight;
+        if (limit < contentHeight) {
+            const safe = candidates.filter(y => y > start && y <= limit && isSafe(y));
+            end = safe.length > 0 ? safe[safe.length - 1] : limit;
+        }
+        slices.push([start, end]);
+        start = end;
+    }
+    return slices;
+}
+
+/**
+ * Lays out the single tall page of a dashboard PDF on paper pages, scaled to fit the page width.
+ * `panels` are the panel boxes ({ top, bottom, ... } in CSS px) used to place the page breaks.
+ * Resolves to { buffer, pageCount, panels } where every panel gets the `page` it starts on and its `y` on that page (in points, from the top).
+ */
+async function paginatePdf(buffer, { paperSize, orientation, marginMm = 10, panels = [] }) {
+    const [pageWidth, pageHeight] = paperDimensions(paperSize, orientation);
+    const margin = marginMm * POINTS_PER_MM;
+
+    const source = await PDFDocument.load(buffer);
+    const sourcePage = source.getPage(0);
+    const { width: sourceWidth, height: sourceHeight } = sourcePage.getSize();
+
+    const scale = (pageWidth - 2 * margin) / sourceWidth;
+    const sliceHeight = (pageHeight - 2 * margin) / scale / POINTS_PER_PX;
+    const slices = computePageBreaks(panels, sourceHeight / POINTS_PER_PX, sliceHeight);
+
+    const output = await PDFDocument.create();
+    for (const [start, end] of slices) {
+        const embedded = await output.embedPage(sourcePage, {
+            left: 0,
+            right: sourceWidth,
+            top: sourceHeight - start * POINTS_PER_PX,
+            bottom: sourceHeight - end * POINTS_PER_PX
+        });
+        const page = output.addPage([pageWidth, pageHeight]);
+        page.drawPage(embedded, {
+            x: margin,
+            y: pageHeight - margin - embedded.height * scale,
+            xScale: scale,
+            yScale: scale
+        });
+    }
+
+    const placedPanels = panels.map(panel => {
+        const index = Math.max(0, slices.findIndex(([start, end]) => panel.top >= start && panel.top < end));
+        return { ...panel, page: index + 1, y: margin + (panel.top - slices[index][0]) * POINTS_PER_PX * scale };
+    });
+
+    return { buffer: Buffer.from(await output.save()), pageCount: slices.length, panels: placedPanels };
+}
+
+// Scales every page of a PDF down (or up) to fit on a paper page, centered horizontally
+async function fitPagesOnPaper(buffer, { paperSize, orientation, marginMm = 10 }) {
+    const [pageWidth, pageHeight] = paperDimensions(paperSize, orientation);
+    const margin = marginMm * POINTS_PER_MM;
+
+    const source = await PDFDocument.load(buffer);
+    const output = await PDFDocument.create();
+    for (const sourcePage of source.getPages()) {
+        const embedded = await output.embedPage(sourcePage);
+        const scale = Math.min((pageWidth - 2 * margin) / embedded.width, (pageHeight - 2 * margin) / embedded.height);
+        const page = output.addPage([pageWidth, pageHeight]);
+        page.drawPage(embedded, {
+            x: (pageWidth - embedded.width * scale) / 2,
+            y: pageHeight - margin - embedded.height * scale,
+            xScale: scale,
+            yScale: scale
+        });
+    }
+
+    return { buffer: Buffer.from(await output.save()), pageCount: output.getPageCount() };
+}
+
+module.exports = { PAPER_SIZES, POINTS_PER_PX, paperDimensions, computePageBreaks, paginatePdf, fitPagesOnPaper };
@@ -0,0 +1,223 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { renderTemplate } = require('../template');
+const { describeTimeRange, formatDate } = require('../time_range');
+const { urlVariables, describeVariables, displayValues } = require('../variables');
+const { POINTS_PER_PX } = require('./paginate');
+const { printable } = require('./text');
+
+const REPORT_DEFAULTS = {
+    cover: true,
+    title: null,
+    subtitle: null,
+    author: null,
+    logo: null,
+    color: '#1f60c4',
+    header: '{{title}} - {{timeRange}}',
+    footer: '{{confidentiality}}',
+    pageNumbers: true,
+    confidentiality: ''
+};
+
+const STRING_FIELDS = ['title', 'subtitle', 'author', 'logo', 'color', 'header', 'footer', 'confidentiality'];
+// The color is written as is in the CSS of the cover page
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+)$/i;
+const BOOLEAN_FIELDS = ['cover', 'pageNumbers'];
+
+// Height of the header and footer bands added around unpaginated pages, in points
+const BAND_HEIGHT = 24;
+const FONT_SIZE = 8;
+
+/**
+ * Merges the report options of a request over the branding of its Grafana instance.
+ * Returns null when neither asks for report chrome or when `report` is false, and throws on invalid options.
+ * With `untrusted`, for the requests of the export server, the logo of `report` must be a data: URI: only the branding
+ * may point to a local file or a URL, since the server reads or fetches it.
+ */
+function normalizeReport(report, branding, { untrusted = false } = {}) {
+    if (report === false || (!report && !branding)) {
+        return null;
+    }
+    if (report === true) {
+        report = {};
+    }
+    for (const [name, value] of [['report', report], ['branding', branding]]) {
+        if (value && (typeof value !== 'object' || Array.isArray(value))) {
+            throw new Error(`"${name}" must be an object.`);
+        }
+    }
+
+    const merged = { ...REPORT_DEFAULTS, ...branding, ...report };
+    for (const field of STRING_FIELDS) {
+        if (merged[field] !== null && merged[field] !== false && typeof merged[field] !== 'string') {
+            throw new Error(`Report option "${field}" must be a string.`);
+        }
+    }
+    for (const field of BOOLEAN_FIELDS) {
+        if (typeof merged[field] !== 'boolean') {
+            throw new Error(`Report option "${field}" must be true or false.`);
+        }
+    }
+    if (typeof merged.color === 'string' && !COLOR_PATTERN.test(merged.color)) {
+        throw new Error('Report option "color" must be a hex color such as #1f60c4, or a color name.');
+    }
+    if (untrusted && report && report.logo && !report.logo.startsWith('data:image/')) {
+        throw new Error('Report option "logo" must be a data:image/ URI. Logo files and URLs can only be set in the branding of the Grafana instance.');
+    }
+    return Object.fromEntries(Object.keys(REPORT_DEFAULTS).map(field => [field, merged[field]]));
+}
+
+// Variables of the exported URL. Report bundles combine several dashboards and have no URL.
+function reportVariables(metadata) {
+    return metadata.url ? urlVariables(metadata.url) : {};
+}
+
+// Placeholders of the cover page, header and footer templates. Dates are shown in the timezone of the export.
+function reportValues(report, metadata, now = new Date()) {
+    const timezone = metadata.timezone || 'UTC';
+    return {
+        title: report.title || metadata.dashboardName,
+        subtitle: report.subtitle || '',
+        dashboardName: metadata.dashboardName,
+        url: metadata.url || '',
+        from: metadata.from || '',
+        to: metadata.to || '',
+        timeRange: describeTimeRange(metadata.from, metadata.to, { now, timezone }) || 'Default dashboard time range',
+        variables: describeVariables(reportVariables(metadata)),
+        author: report.author || '',
+        confidentiality: report.confidentiality || '',
+        generatedAt: formatDate(now, timezone)
+    };
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Local logo files are inlined, since the cover page is rendered from a string without a base URL
+function logoSource(logo) {
+    if (!logo || /^(https?|data):/.test(logo)) {
+        return logo;
+    }
+    const extension = path.extname(logo).slice(1).toLowerCase();
+    const type = extension === 'svg' ? 'image/svg+xml' : `image/${extension === 'jpg' ? 'jpeg' : extension}`;
+    return `data:${type};base64,${fs.readFileSync(logo).toString('base64')}`;
+}
+
+function coverHtml(report, values, variables) {
+    const logo = logoSource(report.logo);
+    const variableRows = Object.entries(variables)
+        .map(([name, list]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(displayValues(list).join(', '))}</td></tr>`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  html, body { margin: 0; height: 100%; font-family: Arial, Helvetica, sans-serif; color: #222; }
+  body { display: flex; flex-direction: column; justify-content: center; padding: 0 10%; box-sizing: border-box; border-top: 12px solid ${escapeHtml(report.color)}; }
+  img { max-width: 40%; max-height: 120px; margin-bottom: 48px; align-self: flex-start; }
+  h1 { font-size: 40px; margin: 0 0 8px; color: ${escapeHtml(report.color)}; }
+  h2 { font-size: 22px; font-weight: normal; margin: 0 0 32px; color: #555; }
+  .range { font-size: 20px; margin-bottom: 32px; }
+  table { border-collapse: collapse; margin-bottom: 32px; font-size: 16px; }
+  th { text-align: left; padding: 4px 24px 4px 0; color: #555; font-weight: normal; }
+  td { padding: 4px 0; }
+  .meta { font-size: 14px; color: #555; line-height: 1.6; }
+  .confidentiality { margin-top: 48px; font-size: 14px; font-weight: bold; text-transform: uppercase; color: #b00; }
+</style>
+</head>
+<body>
+  ${logo ? `<img src="${escapeHtml(logo)}" alt="">` : ''}
+  <h1>${escapeHtml(values.title)}</h1>
+  ${values.subtitle ? `<h2>${escapeHtml(values.subtitle)}</h2>` : ''}
+  <div class="range">${escapeHtml(values.timeRange)}</div>
+  ${variableRows ? `<table>${variableRows}</table>` : ''}
+  <div class="meta">
+    ${values.author ? `<div>Author: ${escapeHtml(values.author)}</div>` : ''}
+    <div>Generated on ${escapeHtml(values.generatedAt)}</div>
+  </div>
+  ${values.confidentiality ? `<div class="confidentiality">${escapeHtml(values.confidentiality)}</div>` : ''}
+</body>
+</html>`;
+}
+
+// Renders the cover page to a one page PDF of the given size, in points
+async function renderCoverPage(context, html, [width, height]) {
+    const page = await context.newPage();
+    try {
+        await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+        return await page.pdf({
+            width: `${Math.round(width / POINTS_PER_PX)}px`,
+            height: `${Math.round(height / POINTS_PER_PX)}px`,
+            printBackground: true,
+            pageRanges: '1',
+            margin: { top: 0, right: 0, bottom: 0, left: 0 }
+        });
+    } finally {
+        await page.close();
+    }
+}
+
+function drawLine(page, font, { left, right }, y, margin) {
+    const { width } = page.getSize();
+    const color = rgb(0.4, 0.4, 0.4);
+    if (left) {
+        page.drawText(left, { x: margin, y, size: FONT_SIZE, font, color });
+    }
+    if (right) {
+        page.drawText(right, { x: width - margin - font.widthOfTextAtSize(right, FONT_SIZE), y, size: FONT_SIZE, font, color });
+    }
+}
+
+/**
+ * Adds the report chrome to an exported PDF: a cover page, then a header and a footer with page numbers on every other page.
+ * Paginated PDFs get the header and footer in their margins. Other pages are extended with a band above and below the content,
+ * so that nothing of the dashboard is hidden.
+ * Resolves to { buffer, pageCount, panels } with the panel positions shifted accordingly.
+ */
+async function addReportChrome(buffer, { context, report, metadata, panels = [], paginated = false, now = new Date() }) {
+    const values = reportValues(report, metadata, now);
+    const document = await PDFDocument.load(buffer);
+    const font = await document.embedFont(StandardFonts.Helvetica);
+    const pages = document.getPages();
+
+    const band = paginated ? 0 : BAND_HEIGHT;
+    const header = report.header ? printable(font, renderTemplate(report.header, values)) : '';
+    const footer = report.footer ? printable(font, renderTemplate(report.footer, values)) : '';
+    const hasChrome = header || footer || report.pageNumbers;
+
+    pages.forEach((page, index) => {
+        if (!hasChrome) return;
+        const { x, y, width, height } = page.getMediaBox();
+        if (band > 0) {
+            page.setMediaBox(x, y - band, width, height + 2 * band);
+            page.setCropBox(x, y - band, width, height + 2 * band);
+        }
+        const top = y + height + band;
+        const bottom = y - band;
+        const margin = Math.max(band, 20);
+        const pageLabel = report.pageNumbers ? `Page ${index + 1} of ${pages.length}` : '';
+        drawLine(page, font, { left: header, right: values.generatedAt }, top - margin / 2 - FONT_SIZE / 2, margin);
+        drawLine(page, font, { left: footer, right: pageLabel }, bottom + margin / 2 - FONT_SIZE / 2, margin);
+    });
+
+    let shiftedPanels = panels.map(panel => ({ ...panel, y: panel.y + (hasChrome ? band : 0) }));
+    if (report.cover) {
+        // Unpaginated pages can be as tall as the dashboard, the cover page keeps a 4:3 ratio instead
+        const { width, height } = pages[0].getSize();
+        const size = paginated ? [width, height] : [width, Math.min(height, width * 0.75)];
+        const cover = await PDFDocument.load(await renderCoverPage(context, coverHtml(report, values, reportVariables(metadata)), size));
+        const [coverPage] = await document.copyPages(cover, [0]);
+        document.insertPage(0, coverPage);
+        shiftedPanels = shiftedPanels.map(panel => ({ ...panel, page: panel.page + 1 }));
+    }
+
+    return { buffer: Buffer.from(await document.save()), pageCount: document.getPageCount(), panels: shiftedPanels };
+}
+
+module.exports = { REPORT_DEFAULTS, normalizeReport, reportValues, addReportChrome };
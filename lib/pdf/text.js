@@ -0,0 +1,21 @@
+'use strict';
+
+// The standard PDF fonts only cover Latin-1, other characters are replaced
+function printable(font, text) {
+    const supported = new Set(font.getCharacterSet());
+    return Array.from(String(text).replace(/\s+/g, ' ').trim(), char => supported.has(char.codePointAt(0)) ? char : '?').join('');
+}
+
+// Shortens the text with an ellipsis so that it fits in `maxWidth` points
+function fitText(font, text, size, maxWidth) {
+    if (font.widthOfTextAtSize(text, size) <= maxWidth) {
+        return text;
+    }
+    let fitted = text;
+    while (fitted.length > 0 && font.widthOfTextAtSize(`${fitted}...`, size) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}...`;
+}
+
+module.exports = { printable, fitText };
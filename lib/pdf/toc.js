@@ -0,0 +1,84 @@
+'use strict';
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { printable, fitText } = require('./text');
+
+// Layout of the table of contents, relative to the page width so that it stays readable on wide dashboard pages
+function tocLayout([width, height]) {
+    const fontSize = Math.max(10, Math.round(width / 55));
+    const margin = fontSize * 4;
+    const titleHeight = fontSize * 5;
+    const rowHeight = fontSize * 1.8;
+    const rowsPerPage = Math.max(1, Math.floor((height - 2 * margin - titleHeight) / rowHeight));
+    return { width, height, fontSize, margin, titleHeight, rowHeight, rowsPerPage };
+}
+
+async function drawTableOfContents(document, entries, { title, subtitle, pageSize }) {
+    const layout = tocLayout(pageSize);
+    const font = await document.embedFont(StandardFonts.Helvetica);
+    const bold = await document.embedFont(StandardFonts.HelveticaBold);
+    const pageCount = Math.max(1, Math.ceil(entries.length / layout.rowsPerPage));
+
+    for (let index = 0; index < pageCount; index++) {
+        const page = document.insertPage(index, [layout.width, layout.height]);
+        let y = layout.height - layout.margin - layout.fontSize * 2;
+        page.drawText(printable(bold, title), { x: layout.margin, y, size: layout.fontSize * 2, font: bold });
+        if (subtitle) {
+            page.drawText(printable(font, subtitle), { x: layout.margin, y: y - layout.fontSize * 1.8, size: layout.fontSize, font, color: rgb(0.4, 0.4, 0.4) });
+        }
+        y = layout.height - layout.margin - layout.titleHeight;
+
+        for (const entry of entries.slice(index * layout.rowsPerPage, (index + 1) * layout.rowsPerPage)) {
+            const pageLabel = entry.page ? String(entry.page) : '-';
+            const labelWidth = font.widthOfTextAtSize(pageLabel, layout.fontSize);
+            const text = printable(font, entry.note ? `${entry.title} (${entry.note})` : entry.title);
+            page.drawText(fitText(font, text, layout.fontSize, layout.width - 2 * layout.margin - labelWidth - layout.fontSize * 2), {
+                x: layout.margin,
+                y,
+                size: layout.fontSize,
+                font,
+                color: entry.page ? rgb(0, 0, 0) : rgb(0.7, 0, 0)
+            });
+            page.drawText(pageLabel, { x: layout.width - layout.margin - labelWidth, y, size: layout.fontSize, font });
+            y -= layout.rowHeight;
+        }
+    }
+    return pageCount;
+}
+
+/**
+ * Merges the PDF `buffer` of every section after a table of contents listing the page each section starts on.
+ * Sections without a buffer (e.g. failed exports) are listed with their `note` and no page number.
+ * The table of contents uses the width of the first section page. `pageOffset` is the number of pages that will be
+ * added before it, e.g. a cover page, for the page numbers. Resolves to { buffer, pageCount, sections }.
+ */
+async function withTableOfContents(sections, { title, subtitle = null, pageOffset = 0 }) {
+    const output = await PDFDocument.create();
+    const sources = [];
+    for (const section of sections) {
+        sources.push(section.buffer ? await PDFDocument.load(section.buffer) : null);
+    }
+
+    const firstSource = sources.find(Boolean);
+    const [width, height] = firstSource ? [firstSource.getPage(0).getWidth(), firstSource.getPage(0).getHeight()] : [595.28, 841.89];
+    const pageSize = [width, Math.min(height, width * 1.414)];
+    const tocPages = Math.max(1, Math.ceil(sections.length / tocLayout(pageSize).rowsPerPage));
+
+    let nextPage = pageOffset + tocPages + 1;
+    const placed = sections.map((section, index) => {
+        const source = sources[index];
+        const entry = { title: section.title, note: section.note || null, page: source ? nextPage : null };
+        if (source) nextPage += source.getPageCount();
+        return entry;
+    });
+
+    for (const source of sources.filter(Boolean)) {
+        const pages = await output.copyPages(source, source.getPageIndices());
+        pages.forEach(page => output.addPage(page));
+    }
+    await drawTableOfContents(output, placed, { title, subtitle, pageSize });
+
+    return { buffer: Buffer.from(await output.save()), pageCount: output.getPageCount(), sections: placed };
+}
+
+module.exports = { withTableOfContents };
@@ -0,0 +1,57 @@
+'use strict';
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { printable, fitText } = require('./text');
+
+const STATUS_LABELS = { error: 'Error', 'no-data': 'No data', timeout: 'Not loaded in time' };
+const STATUS_COLORS = { error: rgb(0.75, 0, 0), 'no-data': rgb(0.4, 0.4, 0.4), timeout: rgb(0.8, 0.45, 0) };
+
+/**
+ * Appends pages listing the `issues`, the panels of the panel report that are not ok (see lib/panel_report.js),
+ * with the width of the last page of the PDF. Resolves to { buffer, pageCount }.
+ */
+async function addWarningsPage(buffer, issues, { title }) {
+    const document = await PDFDocument.load(buffer);
+    const font = await document.embedFont(StandardFonts.Helvetica);
+    const bold = await document.embedFont(StandardFonts.HelveticaBold);
+
+    const lastPage = document.getPage(document.getPageCount() - 1);
+    const width = lastPage.getWidth();
+    const height = Math.min(lastPage.getHeight(), width * 1.414);
+    const fontSize = Math.max(10, Math.round(width / 60));
+    const margin = fontSize * 4;
+    const rowHeight = fontSize * 1.8;
+    const labelWidth = Math.max(...Object.values(STATUS_LABELS).map(label => bold.widthOfTextAtSize(label, fontSize))) + fontSize;
+
+    let page = null;
+    let y = 0;
+    const newPage = () => {
+        page = document.addPage([width, height]);
+        y = height - margin - fontSize * 2;
+        page.drawText(printable(bold, `Warnings - ${title}`), { x: margin, y, size: fontSize * 2, font: bold });
+        page.drawText(`${issues.length} panel(s) may not show the expected data.`, { x: margin, y: y - fontSize * 1.8, size: fontSize, font, color: rgb(0.4, 0.4, 0.4) });
+        y -= fontSize * 5;
+    };
+
+    newPage();
+    for (const panel of issues) {
+        const lines = [`${panel.title} (panel ${panel.id})`, ...panel.errors];
+        if (y - rowHeight * lines.length < margin) newPage();
+
+        page.drawText(STATUS_LABELS[panel.status], { x: margin, y, size: fontSize, font: bold, color: STATUS_COLORS[panel.status] });
+        lines.forEach((line, index) => {
+            page.drawText(fitText(font, printable(font, line), fontSize, width - 2 * margin - labelWidth), {
+                x: margin + labelWidth,
+                y: y - index * rowHeight,
+                size: fontSize,
+                font: index === 0 ? bold : font,
+                color: index === 0 ? rgb(0, 0, 0) : rgb(0.3, 0.3, 0.3)
+            });
+        });
+        y -= rowHeight * (lines.length + 0.5);
+    }
+
+    return { buffer: Buffer.from(await document.save()), pageCount: document.getPageCount() };
+}
+
+module.exports = { addWarningsPage };
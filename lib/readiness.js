@@ -0,0 +1,169 @@
+'use strict';
+
+const { logger: rootLogger } = require('./logger');
+
+// Requests that load panel data, across data source types and Grafana versions
+const DATA_REQUEST_PATTERNS = [/\/api\/ds\/query/, /\/api\/datasources\/proxy\//, /\/api\/datasources\/uid\/[^/]+\/resources\//, /\/api\/tsdb\/query/];
+
+// Loading indicators of panels, across Grafana versions
+const LOADING_SELECTORS = [
+    '[aria-label="Panel loading bar"]',
+    '[data-testid="panel-loading-bar"]',
+    '.panel-loading',
+    '.panel-loading-bar'
+];
+
+/**
+ * Detects when a dashboard is fully rendered: no data request in flight, no panel loading indicator,
+ * and nothing happening for a quiet period. Data requests are followed through the Puppeteer request events,
+ * and attributed to panels with the X-Panel-Id header Grafana sends with its queries.
+ */
+class ReadinessDetector {
+    constructor(page, { quietPeriod = 500, timeout = 60000, stallTimeout = 30000, pollInterval = 100, logger = rootLogger } = {}) {
+        this.page = page;
+        this.logger = logger;
+        this.quietPeriod = quietPeriod;
+        this.timeout = timeout;
+        this.stallTimeout = stallTimeout;
+        this.pollInterval = pollInterval;
+        this.inFlight = new Map();
+        this.panels = new Map();
+        this.lastActivity = Date.now();
+        this.waits = [];
+
+        this.onRequest = request => {
+            if (!this._isDataRequest(request)) return;
+            const panel = this._panel(request);
+            this.inFlight.set(request, { panel, startedAt: Date.now() });
+            if (panel) {
+                panel.requests++;
+                panel.startedAt = panel.startedAt || Date.now();
+            }
+            this.lastActivity = Date.now();
+        };
+        this.onRequestDone = failed => request => {
+            const entry = this.inFlight.get(request);
+            if (!entry) return;
+            this.inFlight.delete(request);
+            if (entry.panel) {
+                entry.panel.finishedAt = Date.now();
+                if (failed) entry.panel.failed++;
+            }
+            this.lastActivity = Date.now();
+        };
+        this.onRequestFinished = this.onRequestDone(false);
+        this.onRequestFailed = this.onRequestDone(true);
+
+        page.on('request', this.onRequest);
+        page.on('requestfinished', this.onRequestFinished);
+        page.on('requestfailed', this.onRequestFailed);
+    }
+
+    _isDataRequest(request) {
+        const url = request.url();
+        return DATA_REQUEST_PATTERNS.some(pattern => pattern.test(url));
+    }
+
+    _panel(request) {
+        const id = request.headers()['x-panel-id'];
+        if (!id) return null;
+        if (!this.panels.has(id)) {
+            this.panels.set(id, { id, requests: 0, failed: 0, startedAt: null, finishedAt: null });
+        }
+        return this.panels.get(id);
+    }
+
+    // IDs of the panels showing a loading indicator, or '?' for indicators outside of an identified panel
+    async _loadingPanels() {
+        return this.page.evaluate(selectors => {
+            const ids = new Set();
+            for (const element of document.querySelectorAll(selectors.join(','))) {
+                if (element.offsetParent === null) continue;
+                const panel = element.closest('[data-panelid], [data-griditem-key]');
+                const id = panel && (panel.getAttribute('data-panelid') || panel.getAttribute('data-griditem-key').replace(/^grid-item-/, ''));
+                ids.add(id || '?');
+            }
+            return Array.from(ids);
+        }, LOADING_SELECTORS).catch(() => []);
+    }
+
+    /**
+     * Resolves once the page is ready, or when `timeout` is reached. A wait also ends early when requests are in flight
+     * but nothing happened for `stallTimeout`. Resolves to { step, ready, reason, waitedMs, pendingRequests, loadingPanels }.
+     * Intermediate waits (e.g. while scrolling) can be left out of the report and the logs with `record: false`.
+     */
+    async waitUntilReady(step, { quietPeriod = this.quietPeriod, timeout = this.timeout, record = true } = {}) {
+        const startedAt = Date.now();
+        let loadingPanels = [];
+        let quietSince = null;
+        let reason = 'timeout';
+
+        while (Date.now() - startedAt < timeout) {
+            loadingPanels = await this._loadingPanels();
+            const busy = this.inFlight.size > 0 || loadingPanels.length > 0;
+
+            if (busy) {
+                quietSince = null;
+                if (this.inFlight.size > 0 && Date.now() - this.lastActivity >= this.stallTimeout) {
+                    reason = 'stalled';
+                    break;
+                }
+            } else {
+                quietSince = Math.max(quietSince || Date.now(), this.lastActivity);
+                if (Date.now() - quietSince >= quietPeriod) {
+                    reason = null;
+                    break;
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+
+        const result = {
+            step,
+            ready: reason === null,
+            reason,
+            waitedMs: Date.now() - startedAt,
+            pendingRequests: Array.from(this.inFlight.keys()).map(request => request.url()),
+            loadingPanels
+        };
+        if (!record) {
+            return result;
+        }
+        this.waits.push(result);
+        if (result.ready) {
+            this.logger.info(`Ready after ${step}`, { step, waitedMs: result.waitedMs });
+        } else {
+            this.logger.warn(`Not ready after ${step}`, { step, reason, waitedMs: result.waitedMs, pendingRequests: result.pendingRequests.length, loadingPanels });
+        }
+        return result;
+    }
+
+    // Waits and the data requests of every panel, for the export metadata
+    report() {
+        const last = this.waits[this.waits.length - 1];
+        const loading = new Set(last ? last.loadingPanels : []);
+        const pending = Array.from(this.inFlight.values()).map(entry => entry.panel);
+        return {
+            ready: this.waits.every(wait => wait.ready),
+            waits: this.waits.map(({ step, ready, reason, waitedMs }) => ({ step, ready, reason, waitedMs })),
+            panels: Array.from(this.panels.values())
+                .sort((a, b) => Number(a.id) - Number(b.id))
+                .map(panel => ({
+                    id: panel.id,
+                    requests: panel.requests,
+                    failedRequests: panel.failed,
+                    pendingRequests: pending.filter(item => item === panel).length,
+                    dataMs: panel.finishedAt ? panel.finishedAt - panel.startedAt : null,
+                    loading: loading.has(panel.id)
+                }))
+        };
+    }
+
+    stop() {
+        this.page.off('request', this.onRequest);
+        this.page.off('requestfinished', this.onRequestFinished);
+        this.page.off('requestfailed', this.onRequestFailed);
+    }
+}
+
+module.exports = { ReadinessDetector, DATA_REQUEST_PATTERNS, LOADING_SELECTORS };
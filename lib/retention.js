@@ -0,0 +1,93 @@
+'use strict';
+
+const { logger } = require('./logger');
+
+/**
+ * Deletes stored files following the retention policies, every `intervalMs`:
+ * - `maxAgeMs`: files older than that,
+ * - `keepPerDashboard`: all but the last N exports of every dashboard (the files of an export are kept together),
+ * - `maxTotalBytes`: the oldest files, until the storage is under that size.
+ * `owners()` maps the keys to { dashboard, exportId }, e.g. from the export history. Files without an owner
+ * only follow the age and size policies. A policy set to 0 or null is disabled.
+ */
+class RetentionSweeper {
+    constructor({ storage, owners = () => new Map(), maxAgeMs = 0, keepPerDashboard = 0, maxTotalBytes = 0, intervalMs = 15 * 60 * 1000 }) {
+        this.storage = storage;
+        this.owners = owners;
+        this.maxAgeMs = maxAgeMs;
+        this.keepPerDashboard = keepPerDashboard;
+        this.maxTotalBytes = maxTotalBytes;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.running = null;
+    }
+
+    get enabled() {
+        return !!(this.maxAgeMs || this.keepPerDashboard || this.maxTotalBytes);
+    }
+
+    start() {
+        if (!this.enabled || this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.sweep().catch(error => logger.error('Retention sweep failed', { error })), this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Runs one sweep, or waits for the running one. Resolves to { deleted, freedBytes }.
+    sweep({ now = Date.now() } = {}) {
+        if (!this.running) {
+            this.running = this._sweep(now).finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async _sweep(now) {
+        const objects = (await this.storage.list()).sort((a, b) => b.modifiedAt - a.modifiedAt);
+        const expired = new Set();
+
+        if (this.maxAgeMs) {
+            objects.filter(object => now - object.modifiedAt > this.maxAgeMs).forEach(object => expired.add(object));
+        }
+
+        if (this.keepPerDashboard) {
+            const owners = this.owners();
+            const exportsByDashboard = new Map();
+            for (const object of objects) {
+                const owner = owners.get(object.key);
+                if (!owner || !owner.dashboard) continue;
+                if (!exportsByDashboard.has(owner.dashboard)) exportsByDashboard.set(owner.dashboard, new Set());
+                // Exports in the order of their newest file
+                const exportIds = exportsByDashboard.get(owner.dashboard).add(owner.exportId);
+                if (Array.from(exportIds).indexOf(owner.exportId) >= this.keepPerDashboard) expired.add(object);
+            }
+        }
+
+        if (this.maxTotalBytes) {
+            let total = objects.filter(object => !expired.has(object)).reduce((sum, object) => sum + object.size, 0);
+            for (const object of objects.slice().reverse()) {
+                if (total <= this.maxTotalBytes) break;
+                if (expired.has(object)) continue;
+                expired.add(object);
+                total -= object.size;
+            }
+        }
+
+        let freedBytes = 0;
+        for (const object of expired) {
+            await this.storage.delete(object.key);
+            freedBytes += object.size;
+        }
+        if (expired.size > 0) {
+            logger.info('Retention: deleted expired files', { deleted: expired.size, freedBytes });
+        }
+        return { deleted: expired.size, freedBytes };
+    }
+}
+
+module.exports = { RetentionSweeper };
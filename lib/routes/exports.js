@@ -0,0 +1,61 @@
+'use strict';
+
+const express = require('express');
+const { RequestError } = require('../errors');
+
+// `downloadUrl(req, key)` builds the signed download link of a stored file. `requester(req)` restricts the list
+// to the exports of a requester when it returns one, and `canAccess(req, entry)` tells whether an export is visible.
+// `rerun(req, res, entry)` submits an export again and resolves to the response body.
+// `debugBundle(entry)` returns the path of the debug bundle of an export, or null when it has none.
+function exportsRouter(history, { downloadUrl, requester = () => null, canAccess = () => true, rerun, debugBundle = () => null }) {
+    const router = express.Router();
+
+    // Adds download links to the files of an export. They fail once the retention policy deleted the files.
+    const withUrls = (req, entry) => ({
+        ...entry,
+        file: entry.file && entry.file.name ? { ...entry.file, url: downloadUrl(req, entry.file.name) } : entry.file,
+        files: (entry.files || []).map(file => ({ ...file, url: downloadUrl(req, file.name) })),
+        debugUrl: debugBundle(entry) ? `${req.protocol}://${req.get('host')}${req.baseUrl}/${entry.id}/debug` : null
+    });
+
+    router.get('/', (req, res) => {
+        const only = requester(req);
+        const page = history.list(only ? { ...req.query, requester: only } : req.query);
+        res.json({ ...page, exports: page.exports.map(entry => withUrls(req, entry)) });
+    });
+
+    const visibleEntry = req => {
+        const entry = history.get(req.params.id);
+        if (!canAccess(req, entry)) {
+            throw new RequestError(`Export not found: ${req.params.id}`, 404);
+        }
+        return entry;
+    };
+
+    router.get('/:id', (req, res) => {
+        res.json(withUrls(req, visibleEntry(req)));
+    });
+
+    // Exports the same dashboard, variables and time range again
+    router.post('/:id/rerun', async (req, res) => {
+        const entry = visibleEntry(req);
+        if (!entry.request) {
+            throw new RequestError(`Export ${entry.id} cannot be rerun, its parameters were not recorded`, 409);
+        }
+        res.status(202).json(await rerun(req, res, entry));
+    });
+
+    // ZIP of the screenshots, network traffic, browser console, DOM and configuration of the export, see lib/debug_bundle.js
+    router.get('/:id/debug', (req, res) => {
+        const entry = visibleEntry(req);
+        const file = debugBundle(entry);
+        if (!file) {
+            throw new RequestError(`Export ${entry.id} has no debug bundle`, 404);
+        }
+        res.download(file, `debug_${entry.id}.zip`);
+    });
+
+    return router;
+}
+
+module.exports = { exportsRouter };
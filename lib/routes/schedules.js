@@ -0,0 +1,43 @@
+'use strict';
+
+const express = require('express');
+
+function schedulesRouter(scheduler) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json(scheduler.list());
+    });
+
+    router.post('/', (req, res) => {
+        const schedule = scheduler.create(req.body || {});
+        res.status(201).json(scheduler.describe(schedule));
+    });
+
+    router.get('/:id', (req, res) => {
+        res.json(scheduler.describe(scheduler.get(req.params.id)));
+    });
+
+    router.put('/:id', (req, res) => {
+        const schedule = scheduler.update(req.params.id, req.body || {});
+        res.json(scheduler.describe(schedule));
+    });
+
+    router.delete('/:id', (req, res) => {
+        scheduler.remove(req.params.id);
+        res.status(204).end();
+    });
+
+    router.get('/:id/runs', (req, res) => {
+        res.json(scheduler.runs(req.params.id));
+    });
+
+    router.post('/:id/run', async (req, res) => {
+        const { record } = await scheduler.trigger(req.params.id);
+        res.status(202).json(record);
+    });
+
+    return router;
+}
+
+module.exports = { schedulesRouter };
@@ -0,0 +1,224 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Cron } = require('croner');
+const { RequestError } = require('./errors');
+const { readJson, writeJson } = require('./json_file');
+const { logger } = require('./logger');
+
+const SCHEDULE_FIELDS = ['name', 'format', 'url', 'instance', 'from', 'to', 'variables', 'width', 'height', 'panels', 'paperSize', 'orientation', 'report', 'data', 'embedData', 'panelErrors', 'email', 'targets', 'cron', 'timezone', 'enabled'];
+
+/**
+ * Runs report schedules defined in `file` at the times given by their cron expression.
+ * `run(schedule)` submits the export and resolves with the finished job.
+ * `validate(schedule)` throws a RequestError when the schedule cannot be exported (e.g. unknown instance).
+ * The last `historyLimit` runs of every schedule are kept in `historyFile`.
+ * A saved schedule that no longer validates (e.g. its instance was removed) is loaded disabled, with its error logged.
+ */
+class Scheduler {
+    constructor({ file, historyFile, historyLimit = 50, run, validate = () => {} }) {
+        this.file = file;
+        this.historyFile = historyFile;
+        this.historyLimit = historyLimit;
+        this.run = run;
+        this.validate = validate;
+        this.schedules = new Map();
+        this.crons = new Map();
+        this.history = {};
+    }
+
+    load() {
+        const { schedules = [] } = readJson(this.file, {});
+        this.history = readJson(this.historyFile, {});
+        for (const definition of schedules) {
+            let schedule;
+            try {
+                schedule = this._normalize(definition, definition.id);
+            } catch (error) {
+                logger.error('Invalid schedule, disabled', { schedule: definition.id, error });
+                schedule = { ...this._pick(definition), id: definition.id, enabled: false };
+            }
+            this.schedules.set(schedule.id, schedule);
+            this._start(schedule);
+        }
+        return this.schedules.size;
+    }
+
+    stop() {
+        this.crons.forEach(cron => cron.stop());
+        this.crons.clear();
+    }
+
+    list() {
+        return Array.from(this.schedules.values()).map(schedule => this.describe(schedule));
+    }
+
+    get(id) {
+        const schedule = this.schedules.get(id);
+        if (!schedule) {
+            throw new RequestError(`Schedule not found: ${id}`, 404);
+        }
+        return schedule;
+    }
+
+    describe(schedule) {
+        const cron = this.crons.get(schedule.id);
+        const nextRun = cron ? cron.nextRun() : null;
+        const runs = this.history[schedule.id] || [];
+        return {
+            ...schedule,
+            nextRun: nextRun ? nextRun.toISOString() : null,
+            lastRun: runs.length > 0 ? runs[runs.length - 1] : null
+        };
+    }
+
+    create(definition) {
+        const id = definition.id || crypto.randomUUID();
+        if (this.schedules.has(id)) {
+            throw new RequestError(`Schedule already exists: ${id}`, 409);
+        }
+        const schedule = this._normalize(definition, id);
+        this.schedules.set(id, schedule);
+        this._start(schedule);
+        this._save();
+        return schedule;
+    }
+
+    update(id, definition) {
+        this.get(id);
+        const schedule = this._normalize(definition, id);
+        this._stop(id);
+        this.schedules.set(id, schedule);
+        this._start(schedule);
+        this._save();
+        return schedule;
+    }
+
+    remove(id) {
+        this.get(id);
+        this._stop(id);
+        this.schedules.delete(id);
+        delete this.history[id];
+        this._save();
+        writeJson(this.historyFile, this.history);
+    }
+
+    runs(id) {
+        this.get(id);
+        return (this.history[id] || []).slice().reverse();
+    }
+
+    // Runs the schedule now, independently of its cron expression. Resolves once the run is recorded as started.
+    trigger(id) {
+        return this._execute(this.get(id), 'manual');
+    }
+
+    _pick(definition) {
+        const schedule = {};
+        for (const field of SCHEDULE_FIELDS) {
+            if (definition[field] !== undefined) schedule[field] = definition[field];
+        }
+        return schedule;
+    }
+
+    _normalize(definition, id) {
+        const schedule = { id, ...this._pick(definition) };
+        schedule.enabled = schedule.enabled !== false;
+
+        if (!schedule.url) {
+            throw new RequestError(`Schedule ${id}: "url" is required`);
+        }
+        if (!schedule.cron) {
+            throw new RequestError(`Schedule ${id}: "cron" is required`);
+        }
+        try {
+            // A paused job only checks the timezone once it computes a run
+            const cron = new Cron(schedule.cron, { timezone: schedule.timezone, paused: true });
+            cron.nextRun();
+            cron.stop();
+        } catch (error) {
+            throw new RequestError(`Schedule ${id}: invalid cron expression or timezone: ${error.message}`);
+        }
+        this.validate(schedule);
+        return schedule;
+    }
+
+    _start(schedule) {
+        if (!schedule.enabled) return;
+        // _execute() records its own failures, `catch` only keeps an unexpected one from crashing the process
+        const cron = new Cron(schedule.cron, {
+            timezone: schedule.timezone,
+            protect: true,
+            catch: error => logger.error('Schedule run failed', { schedule: schedule.id, error })
+        }, async () => {
+            const run = await this._execute(schedule, 'cron');
+            await run.finished;
+        });
+        this.crons.set(schedule.id, cron);
+    }
+
+    _stop(id) {
+        const cron = this.crons.get(id);
+        if (cron) {
+            cron.stop();
+            this.crons.delete(id);
+        }
+    }
+
+    async _execute(schedule, trigger) {
+        const record = {
+            id: crypto.randomUUID(),
+            trigger,
+            status: 'running',
+            jobId: null,
+            error: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        this._record(schedule.id, record);
+        logger.info('Running schedule', { schedule: schedule.id, trigger });
+
+        // run() may throw before returning its promise, e.g. when the schedule no longer validates
+        const finished = Promise.resolve().then(() => this.run(schedule, job => {
+            record.jobId = job.id;
+            this._saveHistory();
+        })).then(job => {
+            record.status = job.status;
+            record.error = job.error;
+            if (job.result && job.result.delivery) {
+                record.delivery = job.result.delivery;
+            }
+        }, error => {
+            record.status = 'failed';
+            record.error = error.message;
+        }).then(() => {
+            record.finishedAt = new Date().toISOString();
+            logger.log(record.status === 'failed' ? 'warn' : 'info', `Schedule run ${record.status}`, { schedule: schedule.id, exportId: record.jobId, error: record.error || undefined });
+            this._saveHistory();
+        });
+
+        return { record, finished };
+    }
+
+    _record(scheduleId, record) {
+        const runs = this.history[scheduleId] || (this.history[scheduleId] = []);
+        runs.push(record);
+        runs.splice(0, Math.max(0, runs.length - this.historyLimit));
+        this._saveHistory();
+    }
+
+    _save() {
+        writeJson(this.file, { schedules: Array.from(this.schedules.values()) });
+    }
+
+    // The run history is best effort: a failed write is logged, and the runs stay in memory until the next write
+    _saveHistory() {
+        try {
+            writeJson(this.historyFile, this.history);
+        } catch (error) {
+            logger.error('Unable to save the schedule runs', { file: this.historyFile, error });
+        }
+    }
+}
+
+module.exports = { Scheduler };
@@ -0,0 +1,36 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Time-limited download links: the key and the expiry time are signed with an HMAC of the server secret,
+ * so that links can be shared (emails, Slack...) without making the stored files browsable.
+ */
+class UrlSigner {
+    constructor({ secret, ttlSeconds = 24 * 60 * 60 }) {
+        this.secret = secret;
+        this.ttlSeconds = ttlSeconds;
+    }
+
+    _signature(key, expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${key}\n${expires}`).digest('base64url');
+    }
+
+    // Path and query of the download link of `key`, e.g. /downloads/report.pdf?expires=...&signature=...
+    sign(key, { now = Date.now(), ttlSeconds = this.ttlSeconds } = {}) {
+        const expires = Math.floor(now / 1000) + ttlSeconds;
+        return `/downloads/${encodeURIComponent(key)}?expires=${expires}&signature=${this._signature(key, expires)}`;
+    }
+
+    // True when the signature matches the key and the link has not expired
+    verify(key, expires, signature, { now = Date.now() } = {}) {
+        if (!/^\d+$/.test(String(expires)) || typeof signature !== 'string' || Number(expires) * 1000 < now) {
+            return false;
+        }
+        const expected = Buffer.from(this._signature(key, expires));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+}
+
+module.exports = { UrlSigner };
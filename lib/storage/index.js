@@ -0,0 +1,41 @@
+'use strict';
+
+const path = require('path');
+const { toBoolean } = require('../config');
+const { LocalStorage } = require('./local');
+const { S3Storage } = require('./s3');
+
+/**
+ * Storage of the exported files. Every backend provides:
+ * put(key, file, { contentType }) to move a local file into the storage, read(key), open(key) for downloads,
+ * delete(key) and list() for the retention sweeper. Keys are file names.
+ * The local storage defaults to the `stored` directory under the output directory: the renderer output directory
+ * also holds the files of running exports, which the retention sweeper must not see.
+ */
+function storageFromEnv(env = process.env, { outDir }) {
+    const backend = env.STORAGE_BACKEND || 'local';
+    if (backend === 'local') {
+        const dir = path.resolve(env.STORAGE_LOCAL_DIR || path.join(outDir, 'stored'));
+        if (dir === path.resolve(outDir)) {
+            throw new Error('STORAGE_LOCAL_DIR cannot be the output directory of the renderer, the retention policies would delete the files of running exports.');
+        }
+        return new LocalStorage({ dir });
+    }
+    if (backend === 's3') {
+        if (!env.S3_BUCKET) {
+            throw new Error('S3_BUCKET is required with STORAGE_BACKEND=s3.');
+        }
+        return new S3Storage({
+            bucket: env.S3_BUCKET,
+            prefix: env.S3_PREFIX || '',
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            forcePathStyle: toBoolean(env.S3_FORCE_PATH_STYLE) || false,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY
+        });
+    }
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}. Use local or s3.`);
+}
+
+module.exports = { storageFromEnv, LocalStorage, S3Storage };
@@ -0,0 +1,17 @@
+'use strict';
+
+// Keys are plain file names, so that they cannot point outside of the storage
+function checkKey(key) {
+    if (typeof key !== 'string' || !key || key.startsWith('.') || /[/\\]/.test(key)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+}
+
+// Turns a dashboard title or variable into a part of a storage key, keeping letters of any script but no quotes,
+// separators or control characters
+function keyPart(text) {
+    return String(text).replace(/[^\p{L}\p{N}_-]+/gu, '_');
+}
+
+module.exports = { checkKey, keyPart };
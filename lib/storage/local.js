@@ -0,0 +1,73 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { checkKey } = require('./keys');
+
+// Stores the exported files in a directory of the server, where they are moved once their export is done
+class LocalStorage {
+    constructor({ dir }) {
+        this.dir = path.resolve(dir);
+    }
+
+    _path(key) {
+        return path.join(this.dir, checkKey(key));
+    }
+
+    // Moves a file into the storage. Resolves to { key, size }.
+    async put(key, file) {
+        const target = this._path(key);
+        const { size } = await fs.promises.stat(file);
+        if (path.resolve(file) !== target) {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await fs.promises.copyFile(file, target);
+            await fs.promises.unlink(file);
+        }
+        return { key, size };
+    }
+
+    async read(key) {
+        return fs.promises.readFile(this._path(key));
+    }
+
+    // Resolves to { stream, size }, or null when the file does not exist
+    async open(key) {
+        const file = this._path(key);
+        try {
+            const { size } = await fs.promises.stat(file);
+            return { stream: fs.createReadStream(file), size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this._path(key), { force: true });
+    }
+
+    // Resolves to [{ key, size, modifiedAt }]
+    async list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const objects = [];
+        for (const name of names) {
+            const stats = await fs.promises.stat(path.join(this.dir, name));
+            if (stats.isFile() && !name.startsWith('.')) {
+                objects.push({ key: name, size: stats.size, modifiedAt: stats.mtime });
+            }
+        }
+        return objects;
+    }
+
+    describe() {
+        return `local directory ${this.dir}`;
+    }
+}
+
+module.exports = { LocalStorage };
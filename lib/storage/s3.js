@@ -0,0 +1,84 @@
+'use strict';
+
+const fs = require('fs');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { checkKey } = require('./keys');
+
+// Stores the exported files in an S3 bucket, or in an S3-compatible object store (MinIO, Ceph...) with `endpoint`.
+// Object stores that do not support virtual-hosted buckets need `forcePathStyle`.
+class S3Storage {
+    constructor({ bucket, prefix = '', region, endpoint, forcePathStyle = false, accessKeyId, secretAccessKey }) {
+        this.bucket = bucket;
+        this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+        this.client = new S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle,
+            credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+            // Checksums only when the operation requires them, many S3-compatible stores do not support the newer ones
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED'
+        });
+    }
+
+    _key(key) {
+        return this.prefix + checkKey(key);
+    }
+
+    // Uploads a file and removes the local copy. Resolves to { key, size }.
+    async put(key, file, { contentType } = {}) {
+        const { size } = await fs.promises.stat(file);
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this._key(key),
+            Body: fs.createReadStream(file),
+            ContentLength: size,
+            ContentType: contentType
+        }));
+        await fs.promises.unlink(file);
+        return { key, size };
+    }
+
+    async read(key) {
+        const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+        return Buffer.from(await Body.transformToByteArray());
+    }
+
+    // Resolves to { stream, size }, or null when the object does not exist
+    async open(key) {
+        try {
+            const { Body, ContentLength } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+            return { stream: Body, size: ContentLength };
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+    }
+
+    // Resolves to [{ key, size, modifiedAt }] for the objects under the prefix
+    async list() {
+        const objects = [];
+        let ContinuationToken;
+        do {
+            const page = await this.client.send(new ListObjectsV2Command({ Bucket: this.bucket, Prefix: this.prefix, ContinuationToken }));
+            for (const object of page.Contents || []) {
+                const key = object.Key.substring(this.prefix.length);
+                if (key && !key.includes('/')) {
+                    objects.push({ key, size: object.Size, modifiedAt: object.LastModified });
+                }
+            }
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return objects;
+    }
+
+    describe() {
+        return `S3 bucket ${this.bucket}${this.prefix ? '/' + this.prefix : ''}`;
+    }
+}
+
+module.exports = { S3Storage };
@@ -0,0 +1,31 @@
+'use strict';
+
+const path = require('path');
+const { describeVariables } = require('./variables');
+
+// Replaces {{name}} placeholders with the matching value. Unknown placeholders are replaced with an empty string.
+function renderTemplate(template, values) {
+    return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        const value = values[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// Placeholders available in the templates of delivered reports
+function reportTemplateValues({ path: file, metadata, pdfUrl }) {
+    const from = metadata.from || '';
+    const to = metadata.to || '';
+    return {
+        dashboardName: metadata.dashboardName,
+        url: metadata.url,
+        date: metadata.date,
+        from,
+        to,
+        timeRange: metadata.timeRange ? metadata.timeRange.label : (from && to ? `${from} to ${to}` : metadata.date),
+        variables: describeVariables(metadata.variables || {}),
+        filename: file ? path.basename(file) : '',
+        pdfUrl
+    };
+}
+
+module.exports = { renderTemplate, reportTemplateValues };
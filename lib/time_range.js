@@ -0,0 +1,119 @@
+'use strict';
+
+const { DateTime, IANAZone } = require('luxon');
+
+const UNITS = { s: 'second', m: 'minute', h: 'hour', d: 'day', w: 'week', M: 'month', y: 'year' };
+
+/**
+ * IANA name of a timezone option: an IANA zone such as Europe/Paris, `utc`, or `browser` for the zone of the server
+ * (which is also the one of the browsers rendering the dashboards). Empty values are UTC. Throws on unknown zones.
+ */
+function normalizeTimezone(timezone) {
+    if (!timezone || String(timezone).toLowerCase() === 'utc') {
+        return 'UTC';
+    }
+    if (timezone === 'browser') {
+        return DateTime.local().zoneName;
+    }
+    if (typeof timezone !== 'string' || !IANAZone.isValidZone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}. Use an IANA timezone such as Europe/Paris, utc or browser.`);
+    }
+    return timezone;
+}
+
+// Weeks start on Sunday, like in Grafana with its default locale
+function startOf(date, unit) {
+    if (unit === 'w') {
+        return date.startOf('day').minus({ days: date.weekday % 7 });
+    }
+    return date.startOf(UNITS[unit]);
+}
+
+function endOf(date, unit) {
+    return startOf(date, unit).plus({ [UNITS[unit]]: 1 }).minus({ milliseconds: 1 });
+}
+
+function toDateTime(expression, { now, roundUp, timezone }) {
+    const text = String(expression).trim();
+    if (/^\d+$/.test(text)) {
+        return DateTime.fromMillis(parseInt(text, 10), { zone: timezone });
+    }
+
+    const match = /^now((?:[+-]\d*[smhdwMy]|\/[smhdwMy])*)$/.exec(text);
+    if (!match) {
+        // Dates without offset are in the timezone
+        const date = DateTime.fromISO(text, { zone: timezone });
+        return date.isValid ? date : null;
+    }
+
+    let date = DateTime.fromMillis(new Date(now).getTime(), { zone: timezone });
+    for (const [, sign, amount, unit, roundTo] of match[1].matchAll(/([+-])(\d*)([smhdwMy])|\/([smhdwMy])/g)) {
+        if (roundTo) {
+            date = roundUp ? endOf(date, roundTo) : startOf(date, roundTo);
+        } else {
+            const count = amount === '' ? 1 : parseInt(amount, 10);
+            date = date.plus({ [UNITS[unit]]: sign === '-' ? -count : count });
+        }
+    }
+    return date;
+}
+
+/**
+ * Resolves a Grafana time expression (epoch in ms, ISO date, `now`, `now-7d`, `now-1d/d`, `now/M-1M`...) to a Date.
+ * Calendar units and rounding follow the `timezone` (UTC by default): `now/d` is the start of the day in that zone.
+ * Rounded expressions resolve to the start of the unit, or to its end when `roundUp` is set (for the `to` of a range).
+ * Returns null when the expression cannot be resolved.
+ */
+function resolveTime(expression, { now = new Date(), roundUp = false, timezone = 'UTC' } = {}) {
+    if (expression === undefined || expression === null || expression === '') {
+        return null;
+    }
+    const date = toDateTime(expression, { now, roundUp, timezone: normalizeTimezone(timezone) });
+    return date ? date.toJSDate() : null;
+}
+
+// e.g. "2024-01-01 00:00 UTC" or "2024-01-01 00:00 GMT+1"
+function formatDate(date, timezone = 'UTC') {
+    return DateTime.fromJSDate(date, { zone: normalizeTimezone(timezone) }).toFormat('yyyy-MM-dd HH:mm ZZZZ');
+}
+
+/**
+ * Absolute bounds of a time range, or null when it cannot be resolved:
+ * { from, to, timezone, expression: { from, to }, label } where `from` and `to` are ISO dates in the timezone
+ * and `label` is the human readable range.
+ */
+function resolveTimeRange(from, to, { now = new Date(), timezone = 'UTC' } = {}) {
+    const zone = normalizeTimezone(timezone);
+    const fromDate = resolveTime(from, { now, timezone: zone });
+    const toDate = resolveTime(to, { now, roundUp: true, timezone: zone });
+    if (!fromDate || !toDate) {
+        return null;
+    }
+    return {
+        from: DateTime.fromJSDate(fromDate, { zone }).toISO(),
+        to: DateTime.fromJSDate(toDate, { zone }).toISO(),
+        timezone: zone,
+        expression: { from: String(from), to: String(to) },
+        label: `${formatDate(fromDate, zone)} to ${formatDate(toDate, zone)}`
+    };
+}
+
+// Human readable absolute time range, e.g. "2024-01-01 00:00 UTC to 2024-01-08 00:00 UTC"
+function describeTimeRange(from, to, { now = new Date(), timezone = 'UTC' } = {}) {
+    const range = resolveTimeRange(from, to, { now, timezone });
+    if (!range) {
+        return from && to ? `${from} to ${to}` : '';
+    }
+    return range.label;
+}
+
+// File name friendly label of a resolved range: dates for whole days, e.g. 2024-01-01_to_2024-01-07, else dates and times
+function fileLabel(range) {
+    const from = DateTime.fromISO(range.from, { setZone: true });
+    const to = DateTime.fromISO(range.to, { setZone: true });
+    const wholeDays = from.equals(from.startOf('day')) && (to.equals(to.startOf('day')) || to.equals(to.endOf('day')));
+    const format = wholeDays ? 'yyyy-MM-dd' : 'yyyy-MM-dd_HHmm';
+    return `${from.toFormat(format)}_to_${to.toFormat(format)}`;
+}
+
+module.exports = { normalizeTimezone, resolveTime, resolveTimeRange, describeTimeRange, formatDate, fileLabel };
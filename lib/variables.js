@@ -0,0 +1,97 @@
+'use strict';
+
+// Value Grafana uses in the URL when "All" is selected
+const ALL_VALUE = '$__all';
+
+/**
+ * Validates the `variables` of an export request: { name: value } or { name: [values] } for multi-value variables.
+ * Names may be given with or without the `var-` prefix. Returns { name: [values] } and throws on invalid input.
+ */
+function normalizeVariables(variables) {
+    if (variables === undefined || variables === null) {
+        return {};
+    }
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        throw new Error('"variables" must be an object mapping variable names to a value or a list of values.');
+    }
+
+    const normalized = {};
+    for (const [key, value] of Object.entries(variables)) {
+        const name = key.replace(/^var-/, '');
+        const values = Array.isArray(value) ? value : [value];
+        if (!name || values.some(item => !['string', 'number', 'boolean'].includes(typeof item))) {
+            throw new Error(`Invalid value for variable "${key}": use a string, a number or a list of them.`);
+        }
+        normalized[name] = values.map(String);
+    }
+    return normalized;
+}
+
+// Sets the var-* parameters of the URL, replacing the values already in the URL for the given variables
+function applyVariables(urlObj, variables) {
+    for (const [name, values] of Object.entries(variables)) {
+        urlObj.searchParams.delete(`var-${name}`);
+        for (const value of values) {
+            urlObj.searchParams.append(`var-${name}`, value);
+        }
+    }
+    return urlObj;
+}
+
+// Template variables of the dashboard URL (var-* parameters), as { name: [values] }
+function urlVariables(url) {
+    const variables = {};
+    for (const [key, value] of new URL(url).searchParams) {
+        if (key.startsWith('var-')) {
+            (variables[key.slice(4)] = variables[key.slice(4)] || []).push(value);
+        }
+    }
+    return variables;
+}
+
+// Values as shown to users, with the "All" option spelled out
+function displayValues(values) {
+    return values.map(value => value === ALL_VALUE ? 'All' : value);
+}
+
+// "host=a, b; region=eu", for report templates
+function describeVariables(variables) {
+    return Object.entries(variables)
+        .map(([name, values]) => `${name}=${displayValues(values).join(', ')}`)
+        .join('; ');
+}
+
+// File name friendly label of the variable values, e.g. "a+b_eu", truncated to keep file names short
+function variablesLabel(variables, maxLength = 80) {
+    const label = Object.values(variables)
+        .map(values => displayValues(values).join('+'))
+        .filter(Boolean)
+        .join('_')
+        .replace(/[^\w+.-]+/g, '-');
+    return label.length > maxLength ? label.substring(0, maxLength) : label;
+}
+
+/**
+ * Values of a template variable as resolved by the dashboard open in `page`, e.g. the result of the query of a query
+ * variable. Waits for the variable to be loaded in the dashboard scene, which Grafana 11 and later expose.
+ * Resolves to the list of values without the "All" option, or null when the page has no such scene or variable.
+ */
+async function readVariableOptions(page, name, { timeout = 30000 } = {}) {
+    const handle = await page.waitForFunction(variableName => {
+        const scene = window.__grafanaSceneContext;
+        const variableSet = scene && scene.state && scene.state.$variables;
+        const variable = variableSet && variableSet.getByName ? variableSet.getByName(variableName) : null;
+        if (!variable) {
+            return { values: null };
+        }
+        if (variable.state.loading) {
+            return false;
+        }
+        return { values: (variable.state.options || []).map(option => String(option.value)) };
+    }, { timeout, polling: 250 }, name);
+    const { values } = await handle.jsonValue();
+    await handle.dispose();
+    return values && values.filter(value => value !== ALL_VALUE);
+}
+
+module.exports = { normalizeVariables, applyVariables, urlVariables, displayValues, describeVariables, variablesLabel, readVariableOptions };
@@ -0,0 +1,26 @@
+'use strict';
+
+const archiver = require('archiver');
+
+// Creates a ZIP archive in memory. Every entry is { name, path } for a file on disk or { name, content }.
+function zipEntries(entries) {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip');
+        const chunks = [];
+        archive.on('data', chunk => chunks.push(chunk));
+        archive.on('end', () => resolve(Buffer.concat(chunks)));
+        archive.on('error', reject);
+        // archiver only warns about missing files, which would leave them out of the archive
+        archive.on('warning', reject);
+        for (const entry of entries) {
+            if (entry.path) {
+                archive.file(entry.path, { name: entry.name });
+            } else {
+                archive.append(entry.content, { name: entry.name });
+            }
+        }
+        archive.finalize();
+    });
+}
+
+module.exports = { zipEntries };
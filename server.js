@@ -1,67 +1,643 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const contentDisposition = require('content-disposition');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
-const { fork } = require('child_process');
+const { pipeline } = require('stream');
+const { exportDashboard, fetchVariableValues, DEFAULT_OPTIONS, LAUNCH_OPTIONS } = require('./grafana_pdf');
+const { JobQueue } = require('./lib/job_queue');
+const { BrowserPool } = require('./lib/browser_pool');
+const { rendererOptionsFromEnv, grafanaAuthFromEnv } = require('./lib/config');
+const { loadInstanceRegistry } = require('./lib/instances');
+const { RequestError } = require('./lib/errors');
+const { Scheduler } = require('./lib/scheduler');
+const { schedulesRouter } = require('./lib/routes/schedules');
+const { exportsRouter } = require('./lib/routes/exports');
+const { ExportHistory, exportRecord } = require('./lib/export_history');
+const { storageFromEnv } = require('./lib/storage');
+const { UrlSigner } = require('./lib/signed_url');
+const { RetentionSweeper } = require('./lib/retention');
+const { DeliveryManager } = require('./lib/delivery');
+const { paperDimensions } = require('./lib/pdf/paginate');
+const { normalizeReport, addReportChrome } = require('./lib/pdf/report');
+const { normalizeVariables } = require('./lib/variables');
+const { normalizeBatch, variableValues, runBatch } = require('./lib/batch');
+const { normalizeBundle, runBundle } = require('./lib/bundle');
+const { validateImageOptions } = require('./lib/formats');
+const { validateDataFormat } = require('./lib/data_export');
+const { validatePanelErrorMode } = require('./lib/panel_report');
+const { normalizeTimezone } = require('./lib/time_range');
+const { Authenticator, requireToken, checkScopes, requireAdmin, canAccess } = require('./lib/auth');
+const { parseDashboardUrl, fetchDashboard } = require('./lib/grafana_api');
+const { authorizationHeader } = require('./lib/grafana_auth');
+const { ExportMetrics } = require('./lib/metrics');
+const { HealthChecker } = require('./lib/health');
+const { logger, normalizeBrowserConsole } = require('./lib/logger');
+const { validateDebugBundleMode, debugBundlePath } = require('./lib/debug_bundle');
 
-const GRAFANA_USER = process.env.GRAFANA_USER;
-const GRAFANA_PASSWORD = process.env.GRAFANA_PASSWORD;
+const RENDERER_OPTIONS = rendererOptionsFromEnv();
 
 const app = express();
 const port = process.env.EXPORT_SERVER_PORT || 3001;
+const publicUrl = (process.env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, '');
 
-if (!GRAFANA_USER || !GRAFANA_PASSWORD) {
-    console.error('.env file do not seems to be found or missing required fields. Please check README.md for more information. ');
-    process.exit(1);
+let instances, storage, auth;
+try {
+  instances = loadInstanceRegistry(process.env, grafanaAuthFromEnv());
+  storage = storageFromEnv(process.env, { outDir: RENDERER_OPTIONS.outDir || DEFAULT_OPTIONS.outDir });
+  auth = Authenticator.fromEnv(process.env);
+  normalizeBrowserConsole(RENDERER_OPTIONS.browserConsole);
+  validateDebugBundleMode(RENDERER_OPTIONS.debugBundle);
+} catch (error) {
+  logger.error(`${error.message} Please check README.md for more information.`);
+  process.exit(1);
+}
+
+if (instances.allowAnyOrigin) {
+  logger.warn('GRAFANA_ALLOW_ANY_URL is set, Grafana credentials will be sent to any URL given to /generate-pdf.');
+} else {
+  logger.info('Grafana instances', { instances: instances.list() });
+}
+
+if (!auth.enabled) {
+  logger.warn('No API key nor JWT secret is configured, anyone who can reach the server can export dashboards and download the exports.');
+}
+
+// Origins allowed to call the server from a browser, e.g. the Grafana URL for the injected button. All origins when not set.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+
+const queue = new JobQueue({
+  concurrency: parseInt(process.env.EXPORT_CONCURRENCY, 10) || 2,
+  retentionMs: parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000
+});
+
+const pool = new BrowserPool({
+  size: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1,
+  maxPagesPerBrowser: parseInt(process.env.BROWSER_MAX_PAGES, 10) || 2,
+  maxJobsPerBrowser: parseInt(process.env.BROWSER_MAX_JOBS, 10) || 50,
+  launchOptions: { ...LAUNCH_OPTIONS, executablePath: RENDERER_OPTIONS.executablePath }
+});
+
+const metrics = new ExportMetrics({ queue, pool, storage });
+
+// Every job is logged with its ID, which is also the export ID returned to the clients
+queue.on('queued', job => logger.info(`${job.meta.type} queued`, { exportId: job.id, url: job.meta.url, instance: job.meta.instance, requester: job.meta.requester }));
+queue.on('started', job => logger.info(`${job.meta.type} started`, { exportId: job.id }));
+queue.on('finished', job => logger.log(job.status === 'failed' ? 'warn' : 'info', `${job.meta.type} ${job.status}`, {
+  exportId: job.id,
+  durationMs: Date.parse(job.finishedAt) - Date.parse(job.startedAt),
+  phases: job.phases,
+  error: job.error || undefined
+}));
+
+const health = new HealthChecker({
+  pool,
+  instances,
+  cacheMs: parseInt(process.env.HEALTH_CHECK_CACHE_MS, 10) || 10 * 1000,
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 10 * 1000
+});
+
+const history = new ExportHistory({
+  file: process.env.EXPORT_HISTORY_FILE || './data/exports.jsonl',
+  limit: parseInt(process.env.EXPORT_HISTORY_LIMIT, 10) || 10000
+});
+
+const deliveries = DeliveryManager.fromEnv(process.env);
+
+if (!process.env.DOWNLOAD_URL_SECRET) {
+  logger.warn('DOWNLOAD_URL_SECRET is not set, download links will stop working when the server restarts.');
+}
+const signer = new UrlSigner({
+  secret: process.env.DOWNLOAD_URL_SECRET || crypto.randomBytes(32).toString('hex'),
+  ttlSeconds: parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10) || 24 * 60 * 60
+});
+
+const sweeper = new RetentionSweeper({
+  storage,
+  owners: () => history.fileOwners(),
+  maxAgeMs: (parseFloat(process.env.RETENTION_MAX_AGE_HOURS) || 0) * 60 * 60 * 1000,
+  keepPerDashboard: parseInt(process.env.RETENTION_KEEP_PER_DASHBOARD, 10) || 0,
+  maxTotalBytes: (parseFloat(process.env.RETENTION_MAX_TOTAL_MB) || 0) * 1024 * 1024,
+  intervalMs: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS, 10) || 15 * 60 * 1000
+});
+
+const DEBUG_DIR = RENDERER_OPTIONS.debugDir || DEFAULT_OPTIONS.debugDir;
+
+// Path of the debug bundle of an export, null when it has none, see lib/debug_bundle.js
+function debugBundleOf(exportId) {
+  const file = debugBundlePath(DEBUG_DIR, exportId);
+  return fs.existsSync(file) ? file : null;
+}
+
+// Signed, time-limited link to a stored file
+function downloadUrl(baseUrl, key) {
+  return baseUrl + signer.sign(key);
+}
+
+function requestBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// Moves the files of a finished export into the storage, setting their `key` and `size`
+async function storeResult(result) {
+  Object.assign(result, await storage.put(path.basename(result.path), result.path, { contentType: result.metadata.contentType }));
+  for (const file of (result.files || []).filter(item => item.path)) {
+    Object.assign(file, await storage.put(file.name, file.path, { contentType: file.contentType }));
+  }
+  return result;
+}
+
+// Streams a stored file to the client
+async function sendStored(res, key, { contentType, disposition = 'inline' } = {}) {
+  const object = await storage.open(key);
+  if (!object) {
+    return res.status(404).send('File not found, it may have been deleted by the retention policy');
+  }
+  res.type(contentType || path.extname(key));
+  res.set('Content-Disposition', contentDisposition(key, { type: disposition }));
+  if (object.size !== undefined) res.set('Content-Length', String(object.size));
+  pipeline(object.stream, res, error => {
+    if (error) logger.warn('Download failed', { key, error });
+  });
 }
 
 app.use(express.json());
-app.use(cors());
-app.use('/output', express.static(path.join(__dirname, 'output')));
+app.use(cors({ ...(corsOrigins.length > 0 && { origin: corsOrigins }), exposedHeaders: ['X-Export-Id'] }));
+
+const authenticate = auth.middleware();
+
+// The metrics are labelled with instances and dashboards: they take METRICS_TOKEN when set, else an admin key or token
+const authenticateMetrics = process.env.METRICS_TOKEN ? requireToken(process.env.METRICS_TOKEN) : [authenticate, (req, res, next) => {
+  requireAdmin(req.principal);
+  next();
+}];
+
+async function runExport(instance, options, reportProgress) {
+  const { context, release } = await pool.acquire();
+  try {
+    const { path: outfile, metadata, files } = await exportDashboard({
+      ...RENDERER_OPTIONS,
+      ...instance.rendererOptions,
+      ...options,
+      auth: instance.auth,
+      context,
+      onProgress: reportProgress
+    });
+    return { path: outfile, metadata, files };
+  } finally {
+    await release();
+  }
+}
+
+// Validates an export request and resolves its Grafana instance, throwing a RequestError if it is invalid
+// Relative time ranges are resolved at `now`, the time of the request unless given (e.g. to rerun an export).
+function prepareExport({ url: requestUrl, instance: instanceName, format, deviceScaleFactor, quality, from, to, timezone, now, variables, width, height, panels, paperSize, orientation, report, data, embedData, panelErrors, debug, email, targets }) {
+  if (!requestUrl) {
+    throw new RequestError('URL is required');
+  }
+
+  const { instance, url } = instances.resolve(requestUrl, instanceName);
+
+  const options = { url, from, to, now: now || Date.now() };
+  if (timezone) options.timezone = timezone;
+  if (format) options.format = format;
+  if (deviceScaleFactor) options.deviceScaleFactor = deviceScaleFactor;
+  if (quality) options.quality = quality;
+  if (data) options.data = data;
+  if (embedData) options.embedData = true;
+  if (panelErrors) options.panelErrors = panelErrors;
+  if (debug) options.debugBundle = 'always';
+  if (width) options.width = width;
+  if (height) options.height = height;
+  if (panels) options.panels = panels;
+  if (paperSize) {
+    try {
+      paperDimensions(paperSize, orientation || 'portrait');
+    } catch (error) {
+      throw new RequestError(error.message);
+    }
+    options.paperSize = paperSize;
+    if (orientation) options.orientation = orientation;
+  }
+  try {
+    validateImageOptions({ format: format || 'pdf', deviceScaleFactor, quality });
+    validateDataFormat(data);
+    validatePanelErrorMode(panelErrors);
+    if (timezone) normalizeTimezone(timezone);
+    if (embedData && format && format !== 'pdf') {
+      throw new Error('Data files can only be embedded in PDF exports.');
+    }
+    options.variables = normalizeVariables(variables);
+    if (format && format !== 'pdf') {
+      if (paperSize || report) {
+        throw new Error('Paper sizes and report options only apply to PDF exports.');
+      }
+    } else {
+      options.report = normalizeReport(report, instance.branding, { untrusted: true });
+    }
+  } catch (error) {
+    throw new RequestError(error.message);
+  }
+
+  return { instance, options, targets: deliveries.normalize({ email, targets }) };
+}
+
+// Export parameters recorded in the history to rerun an export. Deliveries are not repeated.
+const RERUN_FIELDS = ['url', 'instance', 'format', 'deviceScaleFactor', 'quality', 'from', 'to', 'timezone', 'variables', 'width', 'height', 'panels', 'paperSize', 'orientation', 'report', 'data', 'embedData', 'panelErrors'];
+
+// Queues the export of a dashboard and its delivery, and records it in the export history once finished.
+// Used by /generate-pdf, by batches and by the scheduler. The job ID is also the export ID.
+function submitExport(params, meta = {}) {
+  const { instance, options, targets } = prepareExport(params);
+  const request = { now: options.now };
+  RERUN_FIELDS.filter(field => params[field] !== undefined && params[field] !== null).forEach(field => { request[field] = params[field]; });
+
+  const job = queue.enqueue(async (reportProgress, job, releaseSlot) => {
+    const result = await storeResult(await runExport(instance, { ...options, exportId: job.id }, reportProgress));
+    if (targets.length > 0) {
+      // Slow targets must not hold up the next exports
+      releaseSlot();
+      reportProgress(95, 'delivering');
+      result.delivery = await deliveries.deliver(targets, result, {
+        jobId: job.id,
+        pdfUrl: downloadUrl(publicUrl, result.key),
+        read: file => storage.read(file.key)
+      });
+    }
+    return result;
+  }, { ...meta, type: 'export', url: options.url, instance: instance.name, format: options.format || 'pdf', from: options.from, to: options.to, request });
+
+  queue.wait(job)
+    .then(finished => history.record(exportRecord(finished)))
+    .catch(error => logger.error('Unable to record the export in the history', { exportId: job.id, error }));
+  return job;
+}
+
+// Parameters to export a recorded export again. Succeeded exports are rerun from their final URL, where the time range
+// is pinned as epochs. Others resolve their relative time range again at the time of the original request.
+function rerunParams(entry) {
+  const params = { ...entry.request };
+  if (entry.status === 'succeeded' && entry.timeRange) {
+    params.url = entry.url;
+    params.instance = entry.instance;
+  }
+  return params;
+}
+
+// Who asked for an export: the authenticated API key or token, else the X-Requested-By header when a client sets it, or the client IP
+function requesterOf(req) {
+  if (req.principal) {
+    return req.principal.name;
+  }
+  return req.get('X-Requested-By') || req.ip;
+}
+
+// Checks the scopes of the API key or token against the dashboard to export. The folder of the dashboard
+// is only fetched from Grafana when the scopes are limited to some folders.
+async function authorizeExport(principal, { url, instance: instanceName }) {
+  if (!principal) {
+    return;
+  }
+  if (!url) {
+    throw new RequestError('URL is required');
+  }
+  const { instance, url: dashboardUrl } = instances.resolve(url, instanceName);
+  const parsed = parseDashboardUrl(dashboardUrl);
+  let folder = null;
+  if (principal.scopes.folders && parsed) {
+    let meta;
+    try {
+      ({ meta } = await fetchDashboard(dashboardUrl, authorizationHeader(instance.auth)));
+    } catch (error) {
+      throw new RequestError(`Unable to check the folder of the dashboard: ${error.message}`, 502);
+    }
+    folder = { uid: meta.folderUid || '', title: meta.folderTitle || 'General' };
+  }
+  checkScopes(principal, { instance: instance.name, dashboardUid: parsed ? parsed.uid : null, folder });
+}
+
+// Job of the request, if the API key or token may see it
+function requestedJob(req) {
+  const job = queue.get(req.params.id);
+  return job && canAccess(req.principal, job.meta.requester) ? job : null;
+}
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 100;
+
+// Starts a batch of exports, one per value of a template variable. The batch job does not take an export slot itself.
+function submitBatch(params, batch, meta = {}) {
+  let variable, values, output;
+  try {
+    ({ variable, values, output } = normalizeBatch(batch, { maxItems: BATCH_MAX_ITEMS }));
+  } catch (error) {
+    throw new RequestError(error.message);
+  }
+  // Every export of the batch covers the same time range, resolved at the time of the request
+  params = { ...params, now: params.now || Date.now() };
+  const { instance, options } = prepareExport(params);
+
+  return queue.track(async (reportProgress, job) => {
+    if (values === 'all') {
+      const { dashboard } = await fetchDashboard(options.url, authorizationHeader(instance.auth));
+      values = await variableValues(dashboard, variable, {
+        // Query variables are resolved by opening the dashboard, which runs their query
+        resolve: async () => {
+          const { context, release } = await pool.acquire();
+          try {
+            return await fetchVariableValues({ ...RENDERER_OPTIONS, ...options, auth: instance.auth, context, logger: logger.child({ exportId: job.id }) }, variable);
+          } finally {
+            await release();
+          }
+        }
+      });
+      if (values.length > BATCH_MAX_ITEMS) {
+        throw new Error(`Variable "${variable}" has ${values.length} values, a batch is limited to ${BATCH_MAX_ITEMS} values.`);
+      }
+    }
+
+    return storeResult(await runBatch({
+      variable,
+      values,
+      output,
+      outDir: RENDERER_OPTIONS.outDir || DEFAULT_OPTIONS.outDir,
+      submit: value => submitExport({ ...params, variables: { ...params.variables, [variable]: value } }, { batch: job.id, requester: meta.requester }),
+      wait: itemJob => queue.wait(itemJob),
+      read: result => storage.read(result.key),
+      logger: logger.child({ exportId: job.id })
+    }, job, reportProgress));
+  }, { ...meta, type: 'batch', url: options.url, instance: instance.name, variable });
+}
+
+const BUNDLE_MAX_ENTRIES = parseInt(process.env.BUNDLE_MAX_ENTRIES, 10) || 20;
+
+// Validates a report bundle, see lib/bundle.js. Its entries are validated like single exports, as PDFs without report chrome:
+// the bundle adds its own, with page numbers running through the whole report.
+function prepareBundle({ title, subtitle, instance, from, to, timezone, variables, entries, width, paperSize, orientation, report, panelErrors }) {
+  const defaults = instances.list();
+  let bundle, bundleReport;
+  try {
+    bundle = normalizeBundle({ title, entries, instance, from, to, timezone, variables }, {
+      maxEntries: BUNDLE_MAX_ENTRIES,
+      defaultInstance: defaults.length === 1 ? defaults[0].name : null
+    });
+    bundleReport = normalizeReport(report === false ? false : { cover: false, header: '{{title}}', footer: '', ...report }, null, { untrusted: true });
+    if (timezone) normalizeTimezone(timezone);
+  } catch (error) {
+    throw new RequestError(error.message);
+  }
+  // Relative time ranges of every entry are resolved at the time of the request
+  const now = Date.now();
+  bundle.entries = bundle.entries.map(entry => ({ ...entry, now, width, paperSize, orientation, panelErrors, report: false }));
+  bundle.entries.forEach(entry => prepareExport(entry));
+  return { ...bundle, subtitle: subtitle || null, from: from || null, to: to || null, timezone: timezone || null, now, report: bundleReport, paginated: !!paperSize };
+}
+
+// Starts a report bundle: one export per entry, merged in a single PDF. Like batches, it does not take an export slot itself.
+function submitBundle(bundle, meta = {}) {
+  const { title, subtitle, entries, report, paginated } = bundle;
+
+  return queue.track(async (reportProgress, job) => storeResult(await runBundle({
+    title,
+    subtitle,
+    entries,
+    report,
+    outDir: RENDERER_OPTIONS.outDir || DEFAULT_OPTIONS.outDir,
+    submit: entry => submitExport(entry, { bundle: job.id, requester: meta.requester }),
+    wait: entryJob => queue.wait(entryJob),
+    read: result => storage.read(result.key),
+    logger: logger.child({ exportId: job.id }),
+    addChrome: async (buffer, positions) => {
+      // A browser is only needed to render the cover page
+      const lease = report.cover ? await pool.acquire() : null;
+      try {
+        return await addReportChrome(buffer, {
+          context: lease && lease.context,
+          report,
+          metadata: { url: null, dashboardName: title, from: bundle.from, to: bundle.to, timezone: bundle.timezone },
+          panels: positions,
+          paginated
+        });
+      } finally {
+        if (lease) await lease.release();
+      }
+    }
+  }, job, reportProgress)), { ...meta, type: 'bundle', title, entries: entries.length });
+}
+
+const scheduler = new Scheduler({
+  file: process.env.SCHEDULES_FILE || './data/schedules.json',
+  historyFile: process.env.SCHEDULES_HISTORY_FILE || './data/schedule_runs.json',
+  historyLimit: parseInt(process.env.SCHEDULES_HISTORY_LIMIT, 10) || 50,
+  validate: schedule => prepareExport(schedule),
+  run: (schedule, onQueued) => {
+    const job = submitExport(schedule, { schedule: schedule.id, requester: `schedule:${schedule.id}` });
+    onQueued(job);
+    return queue.wait(job);
+  }
+});
+
+// Response to a request starting a job. The export ID is also sent in the X-Export-Id header.
+function acceptedJob(req, res, job) {
+  res.set('X-Export-Id', job.id);
+  return { jobId: job.id, exportId: job.id, status: job.status, ...jobUrls(req, job) };
+}
+
+function jobUrls(req, job) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return {
+    statusUrl: `${baseUrl}/jobs/${job.id}`,
+    resultUrl: `${baseUrl}/jobs/${job.id}/result`
+  };
+}
 
 app.get('/check-status', (req, res) => {
   res.send('Server is running');
 });
-app.post('/generate-pdf', (req, res) => {
-  let { url: requestUrl, from, to, pdfWidthPx, pdfHeightPx } = req.body;
 
-  if (!requestUrl) {
-    return res.status(400).send('URL is required');
+// Liveness probe: Chromium can be launched
+app.get('/healthz', async (req, res) => {
+  const report = await health.liveness();
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+// Readiness probe: Chromium can be launched and every configured Grafana instance is reachable
+app.get('/readyz', async (req, res) => {
+  const report = await health.readiness();
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+app.get('/metrics', authenticateMetrics, async (req, res) => {
+  res.set('Content-Type', metrics.contentType).send(await metrics.metrics());
+});
+
+app.post('/generate-pdf', authenticate, async (req, res) => {
+  const {
+    url, instance, format, deviceScaleFactor, quality, from, to, timezone, variables,
+    pdfWidthPx, pdfHeightPx, panels, paperSize, orientation, report, data, embedData, panelErrors, debug, email, targets
+  } = req.body || {};
+
+  await authorizeExport(req.principal, { url, instance });
+  const job = submitExport({
+    url, instance, format, deviceScaleFactor, quality, from, to, timezone, variables,
+    width: pdfWidthPx, height: pdfHeightPx, panels, paperSize, orientation, report, data, embedData, panelErrors, debug, email, targets
+  }, { requester: requesterOf(req) });
+
+  res.status(202).json(acceptedJob(req, res, job));
+});
+
+app.post('/batches', authenticate, async (req, res) => {
+  const { url, instance, format, deviceScaleFactor, quality, from, to, timezone, variables, pdfWidthPx, pdfHeightPx, paperSize, orientation, report, variable, values, output } = req.body || {};
+
+  await authorizeExport(req.principal, { url, instance });
+  const job = submitBatch(
+    { url, instance, format, deviceScaleFactor, quality, from, to, timezone, variables, width: pdfWidthPx, height: pdfHeightPx, paperSize, orientation, report },
+    { variable, values, output, format },
+    { requester: requesterOf(req) }
+  );
+
+  res.status(202).json(acceptedJob(req, res, job));
+});
+
+app.post('/bundles', authenticate, async (req, res) => {
+  const { title, subtitle, instance, from, to, timezone, variables, entries, pdfWidthPx, paperSize, orientation, report, panelErrors } = req.body || {};
+
+  const bundle = prepareBundle({ title, subtitle, instance, from, to, timezone, variables, entries, width: pdfWidthPx, paperSize, orientation, report, panelErrors });
+  for (const entry of bundle.entries) {
+    await authorizeExport(req.principal, entry);
   }
+  const job = submitBundle(bundle, { requester: requesterOf(req) });
 
-  const urlObj = new URL(requestUrl);
+  res.status(202).json(acceptedJob(req, res, job));
+});
+
+app.get('/jobs/:id', authenticate, (req, res) => {
+  const job = requestedJob(req);
+  if (!job) {
+    return res.status(404).send('Job not found');
+  }
+
+  const body = {
+    id: job.id,
+    exportId: job.id,
+    status: job.status,
+    progress: job.progress,
+    phase: job.phase,
+    phases: job.phases,
+    queuePosition: queue.queuePosition(job),
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    debugUrl: job.finishedAt && debugBundleOf(job.id) ? `${requestBaseUrl(req)}/exports/${job.id}/debug` : null,
+    ...jobUrls(req, job)
+  };
+  if (job.status === 'succeeded') {
+    body.pdfUrl = downloadUrl(requestBaseUrl(req), job.result.key);
+    body.contentType = job.result.metadata.contentType || null;
+    body.delivery = job.result.delivery || null;
+    body.panelReport = job.result.metadata.panelReport || null;
+    body.readiness = job.result.metadata.readiness || null;
+    body.files = (job.result.files || []).filter(file => file.key).map(file => ({
+      name: file.name,
+      contentType: file.contentType,
+      panels: file.panels,
+      url: `${jobUrls(req, job).statusUrl}/files/${encodeURIComponent(file.name)}`
+    }));
+  }
+  if (job.items) {
+    body.items = job.items;
+  }
+  res.json(body);
+});
 
-  if (from && !urlObj.searchParams.has('from')) {
-    urlObj.searchParams.append('from', from);
+app.get('/jobs/:id/result', authenticate, async (req, res) => {
+  const job = requestedJob(req);
+  if (!job) {
+    return res.status(404).send('Job not found');
+  }
+  if (job.status === 'failed') {
+    return res.status(500).send(`Error generating PDF: ${job.error}`);
   }
-  if (to && !urlObj.searchParams.has('to')) {
-    urlObj.searchParams.append('to', to);
+  if (job.status !== 'succeeded') {
+    return res.status(409).send(`Job is ${job.status}`);
   }
 
-  const finalUrl = urlObj.toString();
+  await sendStored(res, job.result.key, { contentType: job.result.metadata.contentType });
+});
 
-  const args = [finalUrl, `${GRAFANA_USER}:${GRAFANA_PASSWORD}`];
+// Data files exported next to the result of a job
+app.get('/jobs/:id/files/:name', authenticate, async (req, res) => {
+  const job = requestedJob(req);
+  if (!job || job.status !== 'succeeded') {
+    return res.status(404).send('Job not found or not finished');
+  }
+  const file = (job.result.files || []).find(item => item.key && item.name === req.params.name);
+  if (!file) {
+    return res.status(404).send('File not found');
+  }
 
-  if (pdfWidthPx) args.push(`--pdfWidthPx=${pdfWidthPx}`);
-  if (pdfHeightPx) args.push(`--pdfHeightPx=${pdfHeightPx}`);
+  await sendStored(res, file.key, { contentType: file.contentType, disposition: 'attachment' });
+});
 
-  const script = fork('grafana_pdf.js', args);
+// Signed download links of stored files, see lib/signed_url.js. The signature replaces the authentication.
+app.get('/downloads/:key', async (req, res) => {
+  const { expires, signature } = req.query;
+  if (!signer.verify(req.params.key, expires, signature)) {
+    return res.status(403).send('Invalid or expired download link');
+  }
+  await sendStored(res, req.params.key);
+});
 
-  script.on('message', (message) => {
-    if (message.success) {
-      const pdfPath = message.path;
-      const pdfUrl = `${req.protocol}://${req.get('host')}/output/${path.basename(pdfPath)}`;
-      res.json({ pdfUrl });
-    } else {
-      res.status(500).send(`Error generating PDF: ${message.error}`);
-    }
-  });
+// Schedules export dashboards on their own, without scopes, so only admins can manage them
+app.use('/schedules', authenticate, (req, res, next) => {
+  requireAdmin(req.principal);
+  next();
+}, schedulesRouter(scheduler));
+app.use('/exports', authenticate, exportsRouter(history, {
+  downloadUrl: (req, key) => downloadUrl(requestBaseUrl(req), key),
+  canAccess: (req, entry) => canAccess(req.principal, entry.requester),
+  // Principals that are not admins only see their own exports
+  requester: req => (req.principal && !req.principal.admin ? req.principal.name : null),
+  debugBundle: entry => debugBundleOf(entry.id),
+  rerun: async (req, res, entry) => {
+    const params = rerunParams(entry);
+    await authorizeExport(req.principal, params);
+    const job = submitExport(params, { requester: requesterOf(req), rerunOf: entry.id });
+    return acceptedJob(req, res, job);
+  }
+}));
 
-  script.on('error', (error) => {
-    res.status(500).send(`Error generating PDF: ${error.message}`);
-  });
+app.use((error, req, res, next) => {
+  if (error instanceof RequestError || error.expose) {
+    return res.status(error.status).send(error.message);
+  }
+  logger.error('Unexpected error', { method: req.method, path: req.path, error: error.message, stack: error.stack });
+  res.status(500).send(error.message);
 });
 
+try {
+  logger.info(`Loaded ${history.load()} export(s) from the history`);
+  logger.info(`Loaded ${scheduler.load()} schedule(s)`);
+} catch (error) {
+  logger.error('Unable to load the export history or the schedules', { error });
+  process.exit(1);
+}
+
 app.listen(port, () => {
-  console.log(`Server is listening on port ${port}`);
+  logger.info(`Server is listening on port ${port}, storing exports in ${storage.describe()}`);
+  sweeper.start();
+  pool.warmUp().then(() => logger.info(`Browser pool ready with ${pool.stats.browsers} browser(s)`));
 });
+
+async function shutdown() {
+  logger.info('Shutting down, closing browsers...');
+  scheduler.stop();
+  sweeper.stop();
+  await pool.close();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,111 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { Authenticator, requireToken, checkScopes, requireAdmin, canAccess } = require('../lib/auth');
+
+function request(headers = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { get: name => lower[name.toLowerCase()] };
+}
+
+function apiKeysFile(keys) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-')), 'api_keys.json');
+    fs.writeFileSync(file, JSON.stringify({ keys }));
+    return file;
+}
+
+const authenticator = Authenticator.fromEnv({
+    API_KEYS_FILE: apiKeysFile([
+        { name: 'ops', key: '${OPS_KEY}', admin: true },
+        { name: 'sales', key: 'sales-key', instances: ['prod'], folders: ['Sales'] }
+    ]),
+    OPS_KEY: 'ops-key',
+    AUTH_JWT_SECRET: 'jwt-secret',
+    AUTH_JWT_ISSUER: 'portal'
+});
+
+const status = code => error => error.status === code;
+
+test('loads API keys with their scopes and rejects invalid ones', () => {
+    assert.equal(authenticator.enabled, true);
+    assert.equal(Authenticator.fromEnv({ API_KEYS_FILE: apiKeysFile([]) }).enabled, false);
+    assert.throws(() => Authenticator.fromEnv({ API_KEYS_FILE: '/nonexistent/api_keys.json' }), /API keys file not found/);
+    assert.throws(() => Authenticator.fromEnv({ API_KEYS_FILE: apiKeysFile([{ name: 'no key' }]) }), /needs a "name" and a "key"/);
+    assert.throws(() => Authenticator.fromEnv({ API_KEYS_FILE: apiKeysFile([{ name: 'a', key: 'k', dashboards: 'abc' }]) }), /Invalid "dashboards" scope for API key "a"/);
+});
+
+test('authenticates API keys from the Authorization or X-API-Key header', () => {
+    assert.deepEqual(authenticator.authenticate(request({ Authorization: 'Bearer ops-key' })), {
+        name: 'ops', type: 'api-key', admin: true, scopes: { instances: null, folders: null, dashboards: null }
+    });
+    assert.deepEqual(authenticator.authenticate(request({ 'X-API-Key': 'sales-key' })).scopes, { instances: ['prod'], folders: ['Sales'], dashboards: null });
+    assert.throws(() => authenticator.authenticate(request()), status(401));
+    assert.throws(() => authenticator.authenticate(request({ Authorization: 'Bearer wrong' })), /Invalid API key/);
+});
+
+test('authenticates JSON Web Tokens with their claims as scopes', () => {
+    const token = jwt.sign({ sub: 'alice', dashboards: ['abc'] }, 'jwt-secret', { issuer: 'portal', expiresIn: 60 });
+    assert.deepEqual(authenticator.authenticate(request({ Authorization: `Bearer ${token}` })), {
+        name: 'alice', type: 'jwt', admin: false, scopes: { instances: null, folders: null, dashboards: ['abc'] }
+    });
+
+    const invalid = [
+        jwt.sign({ sub: 'alice' }, 'other-secret', { issuer: 'portal' }),
+        jwt.sign({ sub: 'alice' }, 'jwt-secret', { issuer: 'other' }),
+        jwt.sign({ sub: 'alice', exp: Math.floor(Date.now() / 1000) - 60 }, 'jwt-secret', { issuer: 'portal' }),
+        jwt.sign({ admin: true }, 'jwt-secret', { issuer: 'portal' }),
+        jwt.sign({ sub: 'alice', folders: 'Sales' }, 'jwt-secret', { issuer: 'portal' }),
+        jwt.sign({ sub: 'alice', admin: true }, null, { algorithm: 'none', issuer: 'portal' })
+    ];
+    for (const credentials of invalid) {
+        assert.throws(() => authenticator.authenticate(request({ Authorization: `Bearer ${credentials}` })), status(401));
+    }
+});
+
+test('the middleware sets the principal, or null when authentication is disabled', () => {
+    const req = request({ Authorization: 'Bearer ops-key' });
+    authenticator.middleware()(req, {}, () => {});
+    assert.equal(req.principal.name, 'ops');
+
+    const open = request();
+    new Authenticator({}).middleware()(open, {}, () => {});
+    assert.equal(open.principal, null);
+});
+
+test('requireToken only accepts the configured token', () => {
+    const middleware = requireToken('scrape-token');
+    let calls = 0;
+    middleware(request({ Authorization: 'Bearer scrape-token' }), {}, () => calls++);
+    middleware(request({ 'X-API-Key': 'scrape-token' }), {}, () => calls++);
+    assert.equal(calls, 2);
+    assert.throws(() => middleware(request({ Authorization: 'Bearer ops-key' }), {}, () => calls++), status(401));
+    assert.throws(() => middleware(request(), {}, () => calls++), status(401));
+});
+
+test('checkScopes restricts instances, dashboards and folders by UID or title', () => {
+    const sales = authenticator.authenticate(request({ 'X-API-Key': 'sales-key' }));
+    checkScopes(null, { instance: 'dev', dashboardUid: 'x', folder: null });
+    checkScopes(sales, { instance: 'prod', dashboardUid: 'x', folder: { uid: 'f1', title: 'Sales' } });
+    assert.throws(() => checkScopes(sales, { instance: 'dev', dashboardUid: 'x', folder: { uid: 'f1', title: 'Sales' } }), /may not export dashboards of the Grafana instance "dev"/);
+    assert.throws(() => checkScopes(sales, { instance: 'prod', dashboardUid: 'x', folder: null }), status(403));
+
+    const alice = { name: 'alice', admin: false, scopes: { instances: null, folders: null, dashboards: ['abc'] } };
+    assert.throws(() => checkScopes(alice, { instance: 'prod', dashboardUid: 'xyz', folder: null }), /may not export the dashboard "xyz"/);
+});
+
+test('requireAdmin and canAccess let admins see everything and others their own jobs', () => {
+    const ops = { name: 'ops', admin: true };
+    const sales = { name: 'sales', admin: false };
+    requireAdmin(null);
+    requireAdmin(ops);
+    assert.throws(() => requireAdmin(sales), status(403));
+    assert.equal(canAccess(null, 'anyone'), true);
+    assert.equal(canAccess(ops, 'sales'), true);
+    assert.equal(canAccess(sales, 'sales'), true);
+    assert.equal(canAccess(sales, 'ops'), false);
+});
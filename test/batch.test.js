@@ -0,0 +1,92 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBatch, variableValues, runBatch } = require('../lib/batch');
+
+const dashboard = {
+    title: 'Customers',
+    templating: {
+        list: [
+            { name: 'env', type: 'constant', query: 'prod' },
+            { name: 'dc', type: 'custom', query: 'Paris : par1, London : lon1,nyc\\,2' },
+            { name: 'customer', type: 'query', query: 'label_values(up, customer)', options: [], current: {} },
+            { name: 'host', type: 'query', query: 'label_values(up, host)', options: [{ value: '$__all' }, { value: 'a' }, { value: 'b' }] }
+        ]
+    }
+};
+
+test('normalizeBatch validates the variable, the values and the output', () => {
+    assert.deepEqual(normalizeBatch({ variable: 'var-dc', values: ['par1', 2] }), { variable: 'dc', values: ['par1', '2'], output: 'pdf' });
+    assert.deepEqual(normalizeBatch({ variable: 'dc', values: 'all', format: 'png' }), { variable: 'dc', values: 'all', output: 'zip' });
+    assert.throws(() => normalizeBatch({ values: ['a'] }), /"variable" is required/);
+    assert.throws(() => normalizeBatch({ variable: 'dc', values: [] }), /non-empty list/);
+    assert.throws(() => normalizeBatch({ variable: 'dc', values: ['a', 'b'] }, { maxItems: 1 }), /limited to 1 values/);
+    assert.throws(() => normalizeBatch({ variable: 'dc', values: ['a'], format: 'png', output: 'pdf' }), /only be returned as a ZIP/);
+});
+
+test('variableValues reads constant and custom variables from their definition', async () => {
+    assert.deepEqual(await variableValues(dashboard, 'env'), ['prod']);
+    assert.deepEqual(await variableValues(dashboard, 'dc'), ['par1', 'lon1', 'nyc,2']);
+});
+
+test('variableValues resolves a query variable whose options are not saved', async () => {
+    const resolved = [];
+    const values = await variableValues(dashboard, 'customer', {
+        resolve: async variable => {
+            resolved.push(variable.name);
+            return ['acme', 'globex', 'acme', '$__all'];
+        }
+    });
+    assert.deepEqual(resolved, ['customer']);
+    assert.deepEqual(values, ['acme', 'globex']);
+});
+
+test('variableValues falls back to the saved options when the variable cannot be resolved', async () => {
+    assert.deepEqual(await variableValues(dashboard, 'host'), ['a', 'b']);
+    await assert.rejects(variableValues(dashboard, 'customer'), /has no values in Grafana/);
+    await assert.rejects(variableValues(dashboard, 'missing'), /Variable "missing" not found in dashboard "Customers"/);
+});
+
+test('runBatch exports every value, reports failures and names the output after the batch job', async () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+    const job = { id: '0123abcd-0000-0000-0000-000000000000' };
+    const progress = [];
+    const result = await runBatch({
+        variable: 'dc',
+        values: ['par1', 'lon1'],
+        output: 'zip',
+        outDir,
+        submit: value => ({ id: `job-${value}`, value }),
+        wait: async itemJob => {
+            if (itemJob.value === 'lon1') {
+                Object.assign(itemJob, { status: 'failed', error: 'Grafana is down' });
+            } else {
+                Object.assign(itemJob, { status: 'succeeded', result: { path: `/exports/${itemJob.value}.pdf`, metadata: { dashboardName: 'My dashboard' } } });
+            }
+        },
+        read: async itemResult => Buffer.from(itemResult.path)
+    }, job, (value, phase) => progress.push(phase));
+
+    assert.equal(result.path, path.join(outDir, 'My_dashboard_dc_batch_0123abcd.zip'));
+    assert.ok(fs.existsSync(result.path));
+    assert.deepEqual(job.items.map(item => [item.value, item.jobId, item.status, item.error]), [
+        ['par1', 'job-par1', 'succeeded', undefined],
+        ['lon1', 'job-lon1', 'failed', 'Grafana is down']
+    ]);
+    assert.deepEqual(Array.from(new Set(progress)), ['exporting', 'combining']);
+    fs.rmSync(outDir, { recursive: true });
+});
+
+test('runBatch fails when every export failed', async () => {
+    await assert.rejects(runBatch({
+        variable: 'dc',
+        values: ['par1'],
+        output: 'zip',
+        outDir: os.tmpdir(),
+        submit: () => { throw new Error('Queue is full'); }
+    }, { id: 'batch' }, () => {}), /Every export of the batch failed/);
+});
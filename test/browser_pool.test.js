@@ -0,0 +1,105 @@
+'use strict';
+
+const EventEmitter = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+const { BrowserPool } = require('../lib/browser_pool');
+
+// Browsers launched by the pool, without Chromium
+const launched = [];
+puppeteer.launch = async () => {
+    const browser = new EventEmitter();
+    Object.assign(browser, {
+        connected: true,
+        contexts: [],
+        closed: false,
+        async createBrowserContext() {
+            const context = { closed: false, close: async () => { context.closed = true; } };
+            browser.contexts.push(context);
+            return context;
+        },
+        async version() {
+            return 'Chrome/137.0';
+        },
+        async close() {
+            browser.closed = true;
+            browser.connected = false;
+            browser.emit('disconnected');
+        }
+    });
+    launched.push(browser);
+    return browser;
+};
+
+test.beforeEach(() => {
+    launched.length = 0;
+});
+
+test('hands out one browser context per export and closes it on release', async () => {
+    const pool = new BrowserPool({ size: 1, maxPagesPerBrowser: 2 });
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    assert.equal(launched.length, 1);
+    assert.notEqual(first.context, second.context);
+    assert.deepEqual(pool.stats, { browsers: 1, activeContexts: 2, waiting: 0 });
+
+    await first.release();
+    await first.release();
+    assert.equal(first.context.closed, true);
+    assert.deepEqual(pool.stats, { browsers: 1, activeContexts: 1, waiting: 0 });
+    await second.release();
+    await pool.close();
+});
+
+test('waits for a free slot when every browser serves `maxPagesPerBrowser` exports', async () => {
+    const pool = new BrowserPool({ size: 1, maxPagesPerBrowser: 1 });
+    const first = await pool.acquire();
+    let acquired = false;
+    const waiting = pool.acquire().then(lease => { acquired = true; return lease; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(acquired, false);
+    assert.equal(pool.stats.waiting, 1);
+
+    await first.release();
+    const second = await waiting;
+    assert.equal(launched.length, 1);
+    await second.release();
+    await pool.close();
+});
+
+test('recycles a browser after `maxJobsPerBrowser` exports', async () => {
+    const pool = new BrowserPool({ size: 1, maxPagesPerBrowser: 2, maxJobsPerBrowser: 2 });
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    await first.release();
+    assert.equal(launched[0].closed, false);
+    await second.release();
+    assert.equal(launched[0].closed, true);
+
+    const third = await pool.acquire();
+    assert.equal(launched.length, 2);
+    await third.release();
+    await pool.close();
+});
+
+test('check() asks a running browser for its version, or launches a throwaway one', async () => {
+    const pool = new BrowserPool();
+    assert.equal(await pool.check(), 'Chrome/137.0');
+    assert.equal(launched.length, 1);
+    assert.equal(launched[0].closed, true);
+
+    await pool.warmUp();
+    assert.equal(await pool.check(), 'Chrome/137.0');
+    assert.equal(launched.length, 2);
+    assert.equal(launched[1].closed, false);
+    await pool.close();
+});
+
+test('rejects new exports once closed', async () => {
+    const pool = new BrowserPool();
+    await pool.warmUp();
+    await pool.close();
+    assert.equal(launched[0].closed, true);
+    await assert.rejects(pool.acquire(), /Browser pool is closed/);
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { normalizeBundle, runBundle } = require('../lib/bundle');
+const { addOutline } = require('../lib/pdf/outline');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+async function pdf(pages) {
+    const document = await PDFDocument.create();
+    for (let index = 0; index < pages; index++) {
+        document.addPage([600, 800]);
+    }
+    return Buffer.from(await document.save());
+}
+
+// Outline items of a PDF as [title, page number, children]
+function outline(document) {
+    const pages = document.getPages().map(page => page.ref);
+    const read = first => {
+        const items = [];
+        for (let ref = first; ref; ref = document.context.lookup(ref).get(PDFName.of('Next'))) {
+            const item = document.context.lookup(ref);
+            const page = pages.indexOf(item.lookup(PDFName.of('Dest')).get(0)) + 1;
+            const children = item.get(PDFName.of('First'));
+            items.push([item.lookup(PDFName.of('Title')).decodeText(), page, ...(children ? [read(children)] : [])]);
+        }
+        return items;
+    };
+    const root = document.catalog.lookup(PDFName.of('Outlines'));
+    return root ? read(root.get(PDFName.of('First'))) : [];
+}
+
+test('normalizeBundle applies the defaults of the bundle to its entries', () => {
+    assert.deepEqual(normalizeBundle({
+        title: 'Weekly',
+        from: 'now-7d',
+        variables: { env: 'prod' },
+        entries: [
+            { url: 'http://grafana/d/abc', title: 'Sales', to: 'now', variables: { 'var-host': ['a', 'b'] } },
+            { uid: 'x/y', timezone: 'Europe/Paris', panels: [2] }
+        ]
+    }, { defaultInstance: 'default' }).entries, [
+        { title: 'Sales', url: 'http://grafana/d/abc', instance: null, from: 'now-7d', to: 'now', timezone: null, variables: { env: ['prod'], host: ['a', 'b'] }, panels: null },
+        { title: null, url: 'd/x%2Fy', instance: 'default', from: 'now-7d', to: null, timezone: 'Europe/Paris', variables: { env: ['prod'] }, panels: [2] }
+    ]);
+});
+
+test('normalizeBundle rejects invalid bundles', () => {
+    const entries = [{ url: 'http://grafana/d/abc' }];
+    assert.throws(() => normalizeBundle({ entries }), /"title" is required/);
+    assert.throws(() => normalizeBundle({ title: 'T', entries: [] }), /"entries" must be a non-empty list/);
+    assert.throws(() => normalizeBundle({ title: 'T', entries: [...entries, ...entries] }, { maxEntries: 1 }), /limited to 1 entries/);
+    assert.throws(() => normalizeBundle({ title: 'T', entries: ['http://grafana/d/abc'] }), /Entry 1 must be an object/);
+    assert.throws(() => normalizeBundle({ title: 'T', entries: [{ url: 'http://grafana/d/abc', uid: 'abc' }] }), /needs either a "url" or a dashboard "uid"/);
+    assert.throws(() => normalizeBundle({ title: 'T', entries: [{ uid: 'abc', title: 3 }] }), /The title of entry 1 must be a string/);
+    assert.throws(() => normalizeBundle({ title: 'T', entries: [{ uid: 'abc' }] }), /needs an "instance" to find the dashboard "abc"/);
+});
+
+test('addOutline adds nested bookmarks pointing to their pages', async () => {
+    const document = await PDFDocument.load(await addOutline(await pdf(3), [
+        { title: 'Table of contents', page: 1, y: 0 },
+        { title: 'Ventes – été', page: 2, y: 0, children: [{ title: 'Requests', page: 2, y: 100 }, { title: 'Errors', page: 3, y: 10 }] }
+    ]));
+    assert.deepEqual(outline(document), [['Table of contents', 1], ['Ventes – été', 2, [['Requests', 2], ['Errors', 3]]]]);
+    assert.equal(document.catalog.get(PDFName.of('PageMode')), PDFName.of('UseOutlines'));
+    assert.deepEqual(outline(await PDFDocument.load(await addOutline(await pdf(1), []))), []);
+});
+
+test('runBundle merges the entries after a table of contents and reports failed entries', async () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-'));
+    const jobs = [
+        { id: 'job-1', status: 'succeeded', error: null, result: { buffer: await pdf(2), metadata: { dashboardName: 'Sales', panels: [{ title: 'Requests', page: 2, y: 50 }, { title: '', page: 1, y: 0 }] } } },
+        { id: 'job-2', status: 'failed', error: 'Navigation timeout', result: null },
+        { id: 'job-3', status: 'succeeded', error: null, result: { buffer: await pdf(1), metadata: { dashboardName: 'Traffic' } } }
+    ];
+    const job = { id: 'a1b2c3d4e5f6' };
+    const progress = [];
+    const result = await runBundle({
+        title: 'Weekly report',
+        entries: [{ title: null, url: 'http://grafana/d/sales' }, { title: 'Errors', url: 'http://grafana/d/errors' }, { title: 'Traffic', url: 'd/traffic' }],
+        outDir,
+        submit: () => jobs.shift(),
+        wait: async () => {},
+        read: async result => result.buffer
+    }, job, (percent, stage) => progress.push(stage));
+
+    assert.equal(result.path, path.join(outDir, 'Weekly_report_report_a1b2c3d4.pdf'));
+    assert.equal(result.metadata.pageCount, 4);
+    assert.deepEqual(job.items.map(item => [item.title, item.jobId, item.status, item.error, item.page]), [
+        ['Sales', 'job-1', 'succeeded', null, 2],
+        ['Errors', 'job-2', 'failed', 'Navigation timeout', null],
+        ['Traffic', 'job-3', 'succeeded', null, 4]
+    ]);
+    assert.deepEqual(outline(await PDFDocument.load(fs.readFileSync(result.path))), [
+        ['Table of contents', 1],
+        ['Sales', 2, [['Requests', 3]]],
+        ['Traffic', 4]
+    ]);
+    assert.deepEqual(Array.from(new Set(progress)), ['exporting', 'combining']);
+});
+
+test('runBundle fails when every entry failed', async () => {
+    await assert.rejects(runBundle({
+        title: 'Weekly report',
+        entries: [{ url: 'http://grafana/d/sales' }],
+        outDir: os.tmpdir(),
+        submit: () => { throw new Error('Unknown Grafana instance: dev'); },
+        wait: async () => {},
+        read: async () => null
+    }, { id: 'job' }, () => {}), /Every entry of the report failed \(1 entries\)/);
+});
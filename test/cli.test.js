@@ -0,0 +1,45 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportDashboard } = require('../grafana_pdf');
+
+const CLI = path.join(__dirname, '..', 'bin', 'grafana-pdf.js');
+
+// Runs the CLI outside of the repository, so that no .env file applies
+function cli(...args) {
+    const env = { ...process.env };
+    ['GRAFANA_TOKEN', 'GRAFANA_USER', 'GRAFANA_PASSWORD', 'EXPORT_FORMAT'].forEach(name => delete env[name]);
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: os.tmpdir(), env, encoding: 'utf8', timeout: 30000 });
+}
+
+test('the CLI prints its usage with --help', () => {
+    const result = cli('--help');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^Usage: grafana-pdf export <url> \[options\]/);
+});
+
+test('the CLI exits with 2 on invalid usage', () => {
+    const cases = [
+        [[], /Missing command/],
+        [['print'], /Unknown command: print/],
+        [['export'], /Missing dashboard URL/],
+        [['export', 'http://grafana/d/abc'], /Grafana credentials are missing/],
+        [['export', 'http://grafana/d/abc', '--token', 't', '--format', 'gif'], /Unknown format: gif/],
+        [['export', 'http://grafana/d/abc', '--token', 't', '--panel-errors', 'maybe'], /Unknown panel error mode: maybe/]
+    ];
+    for (const [args, message] of cases) {
+        const result = cli(...args);
+        assert.equal(result.status, 2, args.join(' '));
+        assert.match(result.stderr, message);
+    }
+});
+
+test('exportDashboard() validates its options before rendering', async () => {
+    await assert.rejects(exportDashboard({ auth: { token: 't' } }), /The dashboard URL is required/);
+    await assert.rejects(exportDashboard({ url: 'http://grafana/d/abc' }), /Grafana credentials are required/);
+    await assert.rejects(exportDashboard({ url: 'http://grafana/d/abc', auth: { token: 't' }, debugBundle: 'sometimes' }), /Unknown debug bundle mode/);
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rendererOptionsFromEnv, toBoolean, toInteger } = require('../lib/config');
+
+test('maps the environment variables onto renderer options', () => {
+    assert.deepEqual(rendererOptionsFromEnv({
+        PDF_WIDTH_PX: '1280',
+        PDF_HEIGHT_PX: 'auto',
+        DEVICE_SCALE_FACTOR: '1.5',
+        FORCE_KIOSK_MODE: 'true',
+        DEBUG_MODE: 'false',
+        EXPAND_TABLES: 'false',
+        PUPPETEER_NAVIGATION_TIMEOUT: '30000'
+    }), {
+        width: 1280,
+        height: null,
+        deviceScaleFactor: 1.5,
+        forceKioskMode: true,
+        debug: false,
+        expandTables: false,
+        navigationTimeout: 30000
+    });
+});
+
+test('leaves unset variables out, so that the renderer defaults apply', () => {
+    assert.deepEqual(rendererOptionsFromEnv({}), {});
+    assert.deepEqual(rendererOptionsFromEnv({ PDF_WIDTH_PX: 'wide', FORCE_KIOSK_MODE: '' }), {});
+});
+
+test('NAVIGATION_TIMEOUT takes precedence over PUPPETEER_NAVIGATION_TIMEOUT', () => {
+    assert.equal(rendererOptionsFromEnv({ NAVIGATION_TIMEOUT: '1000', PUPPETEER_NAVIGATION_TIMEOUT: '2000' }).navigationTimeout, 1000);
+});
+
+test('toBoolean and toInteger return undefined for unset values', () => {
+    assert.equal(toBoolean(undefined), undefined);
+    assert.equal(toBoolean(''), undefined);
+    assert.equal(toBoolean('true'), true);
+    assert.equal(toBoolean('yes'), false);
+    assert.equal(toInteger('42'), 42);
+    assert.equal(toInteger('abc'), undefined);
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const EventEmitter = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { validateDataFormat, QueryDataCapture, frameRows, buildDataFiles } = require('../lib/data_export');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+const FRAME = {
+    schema: {
+        name: 'requests',
+        fields: [
+            { name: 'Time', type: 'time' },
+            { name: 'Value', type: 'number', labels: { host: 'a', env: 'prod' } },
+            { name: 'Note', type: 'string', config: { displayNameFromDS: 'Comment' } }
+        ]
+    },
+    data: { values: [[1704067200000, 1704067260000], [1.5, null], ['a, "quoted"\nnote', { tags: ['x'] }]] }
+};
+
+function response(url, body, { ok = true, panelId } = {}) {
+    return {
+        url: () => url,
+        ok: () => ok,
+        json: async () => body,
+        request: () => ({ headers: () => (panelId ? { 'x-panel-id': panelId } : {}) })
+    };
+}
+
+test('validateDataFormat accepts csv and xlsx', () => {
+    validateDataFormat(undefined);
+    validateDataFormat('xlsx');
+    assert.throws(() => validateDataFormat('json'), /Unknown data format: json\. Use csv or xlsx\./);
+    assert.throws(() => validateDataFormat('toString'), /Unknown data format/);
+});
+
+test('frameRows lists the header with labels, then the values with ISO dates', () => {
+    assert.deepEqual(frameRows(FRAME), [
+        ['Time', 'Value {host="a", env="prod"}', 'Comment'],
+        ['2024-01-01T00:00:00.000Z', 1.5, 'a, "quoted"\nnote'],
+        ['2024-01-01T00:01:00.000Z', null, { tags: ['x'] }]
+    ]);
+    assert.deepEqual(frameRows({}), [[]]);
+});
+
+test('buildDataFiles writes one escaped CSV file per panel with data', async () => {
+    const files = await buildDataFiles([
+        { id: '2', title: 'Requests / s', frames: [{ refId: 'A', ...FRAME }, { refId: 'B', schema: { fields: [{ name: 'x' }] }, data: { values: [[1]] } }] },
+        { id: '3', title: 'Empty', frames: [] }
+    ], { format: 'csv', baseName: 'sales' });
+
+    assert.deepEqual(files.map(file => [file.name, file.contentType, file.panels]), [['sales_panel-2_Requests_s.csv', 'text/csv', ['2']]]);
+    assert.equal(files[0].buffer.toString(), [
+        '# requests',
+        'Time,"Value {host=""a"", env=""prod""}",Comment',
+        '2024-01-01T00:00:00.000Z,1.5,"a, ""quoted""',
+        'note"',
+        '2024-01-01T00:01:00.000Z,,"{""tags"":[""x""]}"',
+        '',
+        '# B',
+        'x',
+        '1',
+        ''
+    ].join('\n'));
+    assert.deepEqual(await buildDataFiles([{ id: '3', title: 'Empty', frames: [] }], { format: 'csv', baseName: 'sales' }), []);
+});
+
+test('buildDataFiles writes an XLSX workbook with a unique sheet per panel', async () => {
+    const title = 'A title longer than the sheet name limit';
+    const [file] = await buildDataFiles([
+        { id: '1', title, frames: [{ refId: 'A', ...FRAME }] },
+        { id: '1', title, frames: [{ refId: 'A', ...FRAME }] }
+    ], { format: 'xlsx', baseName: 'sales' });
+
+    assert.equal(file.name, 'sales_data.xlsx');
+    assert.deepEqual(file.panels, ['1', '1']);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['1 A title longer than the sheet', '1 A title longer than the sh_1']);
+    const sheet = workbook.worksheets[0];
+    assert.equal(sheet.getCell('A1').value, 'requests');
+    assert.equal(sheet.getCell('B2').value, 'Value {host="a", env="prod"}');
+    assert.equal(sheet.getCell('B3').value, 1.5);
+    assert.equal(sheet.getCell('C4').value, '{"tags":["x"]}');
+});
+
+test('QueryDataCapture keeps the last response of every query, by panel', async () => {
+    const page = new EventEmitter();
+    const capture = new QueryDataCapture(page);
+    const frames = values => [{ schema: { fields: [{ name: 'v' }] }, data: { values: [values] } }];
+
+    page.emit('response', response('http://grafana/api/dashboards/uid/abc', { dashboard: { panels: [{ id: 2, title: 'Requests', type: 'stat' }] } }));
+    page.emit('response', response('http://grafana/api/ds/query', { results: { A: { frames: frames([1]) } } }, { panelId: '2' }));
+    page.emit('response', response('http://grafana/api/ds/query', { results: { A: { frames: frames([2]) }, B: { frames: frames([3]) } } }, { panelId: '2' }));
+    page.emit('response', response('http://grafana/api/ds/query', { results: { A: { frames: frames([4]) } } }, { panelId: '10' }));
+    page.emit('response', response('http://grafana/api/ds/query', { results: { A: { frames: frames([5]) } } }));
+    page.emit('response', response('http://grafana/api/ds/query', {}, { ok: false, panelId: '3' }));
+
+    const panels = await capture.stop();
+    assert.equal(page.listenerCount('response'), 0);
+    assert.deepEqual(panels.map(panel => [panel.id, panel.title, panel.frames.map(frame => [frame.refId, frame.data.values[0][0]])]), [
+        ['2', 'Requests', [['A', 2], ['B', 3]]],
+        ['10', 'Panel 10', [['A', 4]]]
+    ]);
+});
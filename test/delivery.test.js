@@ -0,0 +1,126 @@
+'use strict';
+
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DeliveryManager } = require('../lib/delivery');
+const { withRetry } = require('../lib/delivery/retry');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+const RESULT = {
+    path: '/output/dashboard.pdf',
+    metadata: { dashboardName: 'Sales', url: 'http://grafana/d/abc', date: '2024-01-01', timeRange: { label: 'Last 7 days' } }
+};
+
+// Records the requests it receives and answers with the given statuses, then 200
+async function receiver(t, statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() || 200);
+            res.end('done');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+test('normalize validates the targets and their type', () => {
+    const manager = new DeliveryManager({});
+    assert.deepEqual(manager.normalize({ targets: [{ type: 'webhook', url: 'https://example.com/hook' }] }), [
+        { type: 'webhook', name: undefined, url: 'https://example.com/hook', mode: 'json', headers: {} }
+    ]);
+    assert.equal(manager.normalize({ targets: [{ type: 'slack', url: 'https://hooks.slack.com/x' }] })[0].text.includes('{{pdfUrl}}'), true);
+
+    const invalid = [
+        { targets: 'webhook' },
+        { targets: [null] },
+        { targets: ['https://example.com/hook'] },
+        { targets: [{ type: 'toString' }] },
+        { targets: [{ type: 'ftp' }] },
+        { targets: [{ type: 'webhook', url: 'file:///etc/passwd' }] },
+        { targets: [{ type: 'webhook', url: 'https://example.com', mode: 'xml' }] },
+        { targets: [{ type: 'webhook', url: 'https://example.com', headers: 'X-Token: secret' }] },
+        { targets: [{ type: 'webhook', url: 'https://example.com', headers: { 'X-Count': 1 } }] },
+        { targets: [{ type: 'webhook', url: 'https://example.com', headers: { 'X Token': 'secret' } }] },
+        { email: 'ops@example.com' },
+        { email: { to: 'ops@example.com' } }
+    ];
+    for (const request of invalid) {
+        assert.throws(() => manager.normalize(request), error => error.status === 400, JSON.stringify(request));
+    }
+});
+
+test('withRetry retries with a doubling delay, except errors that are not retryable', async () => {
+    let calls = 0;
+    assert.deepEqual(await withRetry(async () => { if (++calls < 3) throw new Error('down'); return 'ok'; }, { delayMs: 1 }), { value: 'ok', attempts: 3 });
+
+    await assert.rejects(withRetry(async () => { throw new Error('down'); }, { retries: 1, delayMs: 1 }), { message: 'down', attempts: 2 });
+    await assert.rejects(withRetry(async () => { throw Object.assign(new Error('bad request'), { retryable: false }); }, { delayMs: 1 }), { attempts: 1 });
+});
+
+test('deliver posts to webhooks and slack, retrying server errors', async t => {
+    const hook = await receiver(t, [503]);
+    const chat = await receiver(t);
+    const manager = new DeliveryManager({ retryDelayMs: 1 });
+    const targets = manager.normalize({ targets: [
+        { type: 'webhook', url: hook.url, headers: { 'X-Token': 'secret' } },
+        { type: 'slack', name: 'ops channel', url: chat.url, channel: '#ops' }
+    ] });
+
+    const reports = await manager.deliver(targets, RESULT, { jobId: 'job-1', pdfUrl: 'http://exporter/output/dashboard.pdf' });
+    assert.deepEqual(reports, [
+        { type: 'webhook', target: `127.0.0.1:${new URL(hook.url).port}`, status: 'sent', attempts: 2, httpStatus: 200 },
+        { type: 'slack', target: 'ops channel', status: 'sent', attempts: 1, httpStatus: 200 }
+    ]);
+    assert.equal(hook.requests[1].headers['x-token'], 'secret');
+    assert.deepEqual(JSON.parse(hook.requests[1].body), {
+        event: 'export.succeeded',
+        jobId: 'job-1',
+        dashboardName: 'Sales',
+        dashboardUrl: 'http://grafana/d/abc',
+        from: '',
+        to: '',
+        timeRange: 'Last 7 days',
+        filename: 'dashboard.pdf',
+        pdfUrl: 'http://exporter/output/dashboard.pdf'
+    });
+    assert.deepEqual(JSON.parse(chat.requests[0].body), {
+        text: ':bar_chart: *Sales* (Last 7 days)\n<http://exporter/output/dashboard.pdf|Download the PDF>',
+        channel: '#ops'
+    });
+});
+
+test('deliver reports failed targets without throwing, and does not retry client errors', async t => {
+    const hook = await receiver(t, [404]);
+    const manager = new DeliveryManager({ retryDelayMs: 1 });
+    const [report] = await manager.deliver(manager.normalize({ targets: [{ type: 'webhook', url: hook.url }] }), RESULT, { jobId: 'job-1' });
+    assert.deepEqual(report, { type: 'webhook', target: `127.0.0.1:${new URL(hook.url).port}`, status: 'failed', attempts: 1, error: 'HTTP 404: done' });
+    assert.equal(hook.requests.length, 1);
+});
+
+test('deliver gives up on an attempt after `timeoutMs`, and uploads the stored file in multipart mode', async t => {
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    const manager = new DeliveryManager({ retries: 1, retryDelayMs: 1, timeoutMs: 50 });
+    const [timedOut] = await manager.deliver(manager.normalize({ targets: [{ type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hook` }] }), RESULT, { jobId: 'job-1' });
+    assert.equal(timedOut.status, 'failed');
+    assert.equal(timedOut.attempts, 2);
+    assert.match(timedOut.error, /timeout/i);
+
+    const hook = await receiver(t);
+    const read = async file => Buffer.from(`content of ${file.key}`);
+    const [sent] = await manager.deliver(manager.normalize({ targets: [{ type: 'webhook', url: hook.url, mode: 'multipart' }] }), { ...RESULT, key: 'dashboard.pdf' }, { jobId: 'job-1', read });
+    assert.equal(sent.status, 'sent');
+    assert.match(hook.requests[0].body, /filename="dashboard.pdf"\r\nContent-Type: application\/pdf\r\n\r\ncontent of dashboard.pdf/);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, reportTemplateValues } = require('../lib/template');
+const { EmailDelivery } = require('../lib/delivery/email');
+
+const RESULT = {
+    path: '/output/dashboard_2024-01-01.pdf',
+    metadata: { dashboardName: 'Sales', url: 'http://grafana/d/abc', date: '2024-01-01', from: 'now-7d', to: 'now', variables: { region: ['eu', 'us'] } },
+    pdfUrl: 'http://exporter/output/dashboard_2024-01-01.pdf'
+};
+
+test('renderTemplate replaces placeholders and blanks unknown ones', () => {
+    assert.equal(renderTemplate('{{ name }} - {{missing}} - {{count}}', { name: 'Sales', count: 0, missing: null }), 'Sales -  - 0');
+});
+
+test('reportTemplateValues describes the exported report', () => {
+    assert.deepEqual(reportTemplateValues(RESULT), {
+        dashboardName: 'Sales',
+        url: 'http://grafana/d/abc',
+        date: '2024-01-01',
+        from: 'now-7d',
+        to: 'now',
+        timeRange: 'now-7d to now',
+        variables: 'region=eu, us',
+        filename: 'dashboard_2024-01-01.pdf',
+        pdfUrl: 'http://exporter/output/dashboard_2024-01-01.pdf'
+    });
+    assert.equal(reportTemplateValues({ metadata: { date: '2024-01-01', timeRange: { label: 'Last 7 days' } } }).timeRange, 'Last 7 days');
+    assert.equal(reportTemplateValues({ metadata: { date: '2024-01-01' } }).timeRange, '2024-01-01');
+});
+
+test('fromEnv is only configured with SMTP_HOST', () => {
+    assert.equal(EmailDelivery.fromEnv({}), null);
+    const delivery = EmailDelivery.fromEnv({ SMTP_HOST: 'smtp.example.com', SMTP_USER: 'reports@example.com' });
+    assert.equal(delivery.from, 'reports@example.com');
+    assert.equal(delivery.transport.options.port, 587);
+});
+
+test('normalize splits recipients and requires at least one', () => {
+    assert.deepEqual(EmailDelivery.normalize({ to: 'a@example.com, b@example.com', cc: ['c@example.com'] }), {
+        to: ['a@example.com', 'b@example.com'],
+        cc: ['c@example.com'],
+        bcc: [],
+        subject: 'Grafana report: {{dashboardName}} ({{timeRange}})',
+        body: 'Please find attached the export of the dashboard "{{dashboardName}}" for {{timeRange}}.\n\n{{url}}'
+    });
+    assert.throws(() => EmailDelivery.normalize({ to: ' , ' }), error => error.status === 400);
+});
+
+test('send renders the templates and attaches the stored report with its stored data files', async () => {
+    const delivery = new EmailDelivery({ host: 'smtp.example.com', from: 'reports@example.com' });
+    const messages = [];
+    delivery.transport = {
+        sendMail: async message => {
+            messages.push(message);
+            return { messageId: '<1@example.com>', accepted: message.to, rejected: [] };
+        }
+    };
+    const email = EmailDelivery.normalize({ to: 'ops@example.com', subject: 'Report {{dashboardName}}', body: 'See {{filename}}' });
+    const sent = await delivery.send(email, {
+        ...RESULT,
+        key: 'dashboard_2024-01-01.pdf',
+        files: [{ name: 'data.csv', key: 'data.csv', contentType: 'text/csv' }, { name: 'inline.json', buffer: Buffer.from('{}') }],
+        read: async file => Buffer.from(file.key)
+    });
+
+    assert.deepEqual(sent, { status: 'sent', messageId: '<1@example.com>', accepted: ['ops@example.com'], rejected: [] });
+    assert.deepEqual(messages, [{
+        from: 'reports@example.com',
+        to: ['ops@example.com'],
+        cc: [],
+        bcc: [],
+        subject: 'Report Sales',
+        text: 'See dashboard_2024-01-01.pdf',
+        attachments: [
+            { filename: 'dashboard_2024-01-01.pdf', content: Buffer.from('dashboard_2024-01-01.pdf'), contentType: 'application/pdf' },
+            { filename: 'data.csv', content: Buffer.from('data.csv'), contentType: 'text/csv' }
+        ]
+    }]);
+});
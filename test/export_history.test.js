@@ -0,0 +1,115 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExportHistory, exportRecord, exportWarnings } = require('../lib/export_history');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+function historyFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'exports', 'exports.jsonl');
+}
+
+function entry(id, fields = {}) {
+    return { id, status: 'succeeded', dashboardUid: 'abc', createdAt: `2024-01-0${id}T00:00:00.000Z`, file: { name: `${id}.pdf` }, files: [], ...fields };
+}
+
+test('exportWarnings lists the panels that are not ok and the waits that timed out', () => {
+    assert.deepEqual(exportWarnings({
+        panelReport: { panels: [{ id: '1', title: 'Ok', status: 'ok', errors: [] }, { id: '2', title: 'Errors', status: 'error', errors: ['A: timeout', 'B: 500'] }, { id: '3', title: 'Empty', status: 'no-data', errors: [] }] },
+        readiness: { waits: [{ step: 'load', ready: true }, { step: 'scroll', ready: false, reason: 'stalled', waitedMs: 30000 }] }
+    }), [
+        'Panel "Errors" (2): A: timeout; B: 500',
+        'Panel "Empty" (3): no-data',
+        'Dashboard not ready after scroll (stalled after 30000ms)'
+    ]);
+    assert.deepEqual(exportWarnings({}), []);
+});
+
+test('exportRecord reads failed exports from the requested URL', () => {
+    const record = exportRecord({
+        id: 'job-1',
+        status: 'failed',
+        error: 'Navigation timeout',
+        meta: { url: 'http://grafana/d/abc/sales?from=now-7d&to=now&var-host=a', requester: 'ops', format: 'pdf' },
+        result: null,
+        createdAt: '2024-01-01T00:00:00.000Z'
+    });
+    assert.equal(record.dashboardUid, 'abc');
+    assert.equal(record.requester, 'ops');
+    assert.equal(record.from, 'now-7d');
+    assert.deepEqual(record.variables, { host: ['a'] });
+    assert.equal(record.file, null);
+    assert.deepEqual(record.warnings, []);
+});
+
+test('exportRecord describes the stored files of succeeded exports', () => {
+    const record = exportRecord({
+        id: 'job-2',
+        status: 'succeeded',
+        meta: { url: 'http://grafana/d/abc', instance: 'prod' },
+        result: {
+            key: 'sales.pdf',
+            size: 1024,
+            files: [{ key: 'sales_data.xlsx', size: 10, contentType: 'text/csv' }, { name: 'inline.csv' }],
+            metadata: { url: 'http://grafana/d/abc?from=1&to=2', dashboardUid: 'abc', dashboardName: 'Sales', contentType: 'application/pdf', pageCount: 3 }
+        }
+    });
+    assert.equal(record.instance, 'prod');
+    assert.equal(record.dashboardTitle, 'Sales');
+    assert.equal(record.from, '1');
+    assert.deepEqual(record.file, { name: 'sales.pdf', size: 1024, contentType: 'application/pdf' });
+    assert.deepEqual(record.files, [{ name: 'sales_data.xlsx', size: 10, contentType: 'text/csv' }]);
+});
+
+test('records exports as JSON lines and loads them back, skipping invalid lines', () => {
+    const file = historyFile();
+    const history = new ExportHistory({ file });
+    history.record(entry('1'));
+    history.record(entry('2', { status: 'failed', file: null }));
+    history.record(entry('1', { status: 'failed' }));
+    fs.appendFileSync(file, 'not json\n');
+
+    const loaded = new ExportHistory({ file });
+    assert.equal(loaded.load(), 2);
+    assert.equal(loaded.get('1').status, 'failed');
+    assert.throws(() => loaded.get('3'), error => error.status === 404);
+    assert.equal(new ExportHistory({ file: historyFile() }).load(), 0);
+});
+
+test('keeps the last `limit` exports once the file grows past the limit by a tenth', () => {
+    const file = historyFile();
+    const history = new ExportHistory({ file, limit: 5 });
+    for (let index = 1; index <= 6; index++) history.record(entry(String(index)));
+    assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 5);
+    assert.throws(() => history.get('1'), /Export not found/);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+    for (let index = 7; index <= 9; index++) fs.appendFileSync(file, JSON.stringify(entry(String(index))) + '\n');
+    const loaded = new ExportHistory({ file, limit: 5 });
+    assert.equal(loaded.load(), 5);
+    assert.deepEqual(loaded.list().exports.map(item => item.id), ['9', '8', '7', '6', '5']);
+});
+
+test('lists the exports newest first, filtered and paginated', () => {
+    const history = new ExportHistory({ file: historyFile() });
+    history.record(entry('1', { requester: 'ops' }));
+    history.record(entry('2', { status: 'failed', file: null }));
+    history.record(entry('3', { requester: 'ops', files: [{ name: '3.csv' }] }));
+
+    assert.deepEqual(history.list({ requester: 'ops' }).exports.map(item => item.id), ['3', '1']);
+    assert.deepEqual(history.list({ since: '2024-01-02', until: '2024-01-03' }).exports.map(item => item.id), ['2']);
+    assert.deepEqual(history.list({ limit: '1', offset: '1' }), { total: 3, offset: 1, limit: 1, exports: [history.get('2')] });
+    assert.equal(history.list({ limit: '100000' }).limit, 500);
+    assert.throws(() => history.list({ since: 'yesterday' }), error => error.status === 400 && /Invalid "since" date/.test(error.message));
+
+    assert.deepEqual(Array.from(history.fileOwners()), [
+        ['1.pdf', { dashboard: 'abc', exportId: '1' }],
+        ['3.pdf', { dashboard: 'abc', exportId: '3' }],
+        ['3.csv', { dashboard: 'abc', exportId: '3' }]
+    ]);
+});
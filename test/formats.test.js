@@ -0,0 +1,44 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatInfo, validateImageOptions } = require('../lib/formats');
+const { zipEntries } = require('../lib/zip');
+const { unzip } = require('./helpers');
+
+test('formatInfo describes the supported formats', () => {
+    assert.deepEqual(formatInfo('jpeg'), { extension: 'jpg', contentType: 'image/jpeg' });
+    assert.throws(() => formatInfo('gif'), /Unknown format: gif\. Supported formats: pdf, png, jpeg, webp/);
+    for (const format of ['toString', '__proto__', 'constructor']) {
+        assert.throws(() => formatInfo(format), /Unknown format/);
+    }
+});
+
+test('validateImageOptions checks the scale factor and quality', () => {
+    validateImageOptions({ format: 'png' });
+    validateImageOptions({ format: 'webp', deviceScaleFactor: 0.5, quality: 100 });
+    assert.throws(() => validateImageOptions({ format: 'tiff' }), /Unknown format/);
+    for (const deviceScaleFactor of [0, 5, '2', NaN]) {
+        assert.throws(() => validateImageOptions({ format: 'png', deviceScaleFactor }), /Invalid device scale factor/);
+    }
+    for (const quality of [0, 101, 50.5, '90']) {
+        assert.throws(() => validateImageOptions({ format: 'jpeg', quality }), /Invalid quality/);
+    }
+});
+
+test('zipEntries archives files and in-memory content', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'zip-')), 'panel.png');
+    fs.writeFileSync(file, 'image data');
+    const buffer = await zipEntries([
+        { name: 'panels/panel.png', path: file },
+        { name: 'metadata.json', content: JSON.stringify({ panels: 1 }) }
+    ]);
+    assert.deepEqual(unzip(buffer), { 'panels/panel.png': 'image data', 'metadata.json': '{"panels":1}' });
+});
+
+test('zipEntries rejects when a file is missing', async () => {
+    await assert.rejects(zipEntries([{ name: 'missing.png', path: '/nonexistent/missing.png' }]), /ENOENT/);
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasCredentials, authorizationHeader } = require('../lib/grafana_auth');
+const { grafanaAuthFromEnv } = require('../lib/config');
+
+test('hasCredentials accepts a token, or a user and a password', () => {
+    assert.equal(hasCredentials({ token: 'glsa_abc' }), true);
+    assert.equal(hasCredentials({ username: 'admin', password: 'secret' }), true);
+    assert.equal(hasCredentials({ username: 'admin' }), false);
+    assert.equal(hasCredentials({}), false);
+    assert.equal(hasCredentials(null), false);
+});
+
+test('authorizationHeader sends tokens as bearer and users with basic auth', () => {
+    assert.equal(authorizationHeader({ token: 'glsa_abc' }), 'Bearer glsa_abc');
+    assert.equal(authorizationHeader({ username: 'admin', password: 'secret' }), `Basic ${Buffer.from('admin:secret').toString('base64')}`);
+    assert.equal(authorizationHeader({ token: 'glsa_abc', username: 'admin', password: 'secret' }), 'Bearer glsa_abc');
+});
+
+test('GRAFANA_TOKEN takes precedence over GRAFANA_USER and GRAFANA_PASSWORD', () => {
+    assert.deepEqual(grafanaAuthFromEnv({ GRAFANA_TOKEN: 't', GRAFANA_USER: 'u', GRAFANA_PASSWORD: 'p' }), { token: 't' });
+    assert.deepEqual(grafanaAuthFromEnv({ GRAFANA_USER: 'u', GRAFANA_PASSWORD: 'p' }), { username: 'u', password: 'p' });
+});
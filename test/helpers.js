@@ -0,0 +1,24 @@
+'use strict';
+
+const zlib = require('zlib');
+
+// Reads the entries of a ZIP archive through its central directory, as { name: content }
+function unzip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const entries = {};
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let index = 0; index < buffer.readUInt16LE(end + 10); index++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        const data = buffer.subarray(start, start + size);
+        entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString();
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return entries;
+}
+
+module.exports = { unzip };
@@ -0,0 +1,82 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInstanceRegistry, expandEnv } = require('../lib/instances');
+const { RequestError } = require('../lib/errors');
+
+function instancesFile(instances) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instances-'));
+    const file = path.join(dir, 'instances.json');
+    fs.writeFileSync(file, JSON.stringify({ instances }));
+    return file;
+}
+
+const registry = loadInstanceRegistry({
+    GRAFANA_INSTANCES_FILE: instancesFile([
+        { name: 'prod', url: 'https://grafana.example.com', auth: { token: '${PROD_TOKEN}' } },
+        { name: 'team', url: 'https://grafana.example.com/team/', auth: { username: 'u', password: 'p' }, kiosk: true },
+        { name: 'staging', url: 'http://staging:3000', auth: { token: 's' } }
+    ]),
+    PROD_TOKEN: 'glsa_prod'
+});
+
+test('expandEnv replaces ${VAR} references in nested values', () => {
+    assert.deepEqual(expandEnv({ a: '${A}-x', b: ['${B}', 1], c: { d: '${MISSING}' } }, { A: 'a', B: 'b' }), { a: 'a-x', b: ['b', 1], c: { d: '' } });
+});
+
+test('loads the instances with their credentials from the environment', () => {
+    assert.deepEqual(registry.list(), [
+        { name: 'prod', url: 'https://grafana.example.com' },
+        { name: 'team', url: 'https://grafana.example.com/team' },
+        { name: 'staging', url: 'http://staging:3000' }
+    ]);
+    assert.deepEqual(registry.get('prod').auth, { token: 'glsa_prod' });
+    assert.deepEqual(registry.get('team').rendererOptions, { forceKioskMode: true });
+});
+
+test('matches dashboard URLs by origin and by the longest path prefix', () => {
+    assert.equal(registry.resolve('https://grafana.example.com/d/abc').instance.name, 'prod');
+    assert.equal(registry.resolve('https://grafana.example.com/team/d/abc').instance.name, 'team');
+    assert.equal(registry.resolve('https://grafana.example.com/teams/d/abc').instance.name, 'prod');
+    assert.throws(() => registry.resolve('https://evil.example.com/d/abc'), error => error instanceof RequestError && error.status === 403);
+    assert.throws(() => registry.resolve('not a url'), error => error.status === 400);
+});
+
+test('resolves relative URLs against the requested instance and checks absolute ones', () => {
+    assert.equal(registry.resolve('d/abc?orgId=1', 'team').url, 'https://grafana.example.com/team/d/abc?orgId=1');
+    assert.throws(() => registry.resolve('/d/abc', 'team'), error => error.status === 403);
+    assert.throws(() => registry.resolve('http://staging:3000/d/abc', 'prod'), /does not belong to the Grafana instance "prod"/);
+    assert.throws(() => registry.resolve('/d/abc', 'dev'), /Unknown Grafana instance: dev/);
+});
+
+test('validates the instances of the file', () => {
+    assert.throws(() => loadInstanceRegistry({ GRAFANA_INSTANCES_FILE: instancesFile([{ url: 'http://g' }]) }), /needs a "name"/);
+    assert.throws(() => loadInstanceRegistry({ GRAFANA_INSTANCES_FILE: instancesFile([{ name: 'g', url: 'nope', auth: { token: 't' } }]) }), /invalid "url"/);
+    assert.throws(() => loadInstanceRegistry({ GRAFANA_INSTANCES_FILE: instancesFile([{ name: 'g', url: 'http://g' }]) }), /has no credentials/);
+    assert.throws(() => loadInstanceRegistry({ GRAFANA_INSTANCES_FILE: instancesFile([{ name: 'g', url: 'http://g', auth: { token: 't' }, branding: { logo: '/nonexistent/logo.png' } }]) }), /logo file not found/);
+    assert.throws(() => loadInstanceRegistry({ GRAFANA_INSTANCES_FILE: instancesFile([]) }), /No Grafana instance defined/);
+    assert.throws(() => loadInstanceRegistry({ GRAFANA_INSTANCES_FILE: '/nonexistent/instances.json' }), /file not found/);
+});
+
+test('without a file, builds a default instance from GRAFANA_URL, or one accepting any origin on request', t => {
+    // Away from a ./config/instances.json of the working copy
+    const cwd = process.cwd();
+    process.chdir(os.tmpdir());
+    t.after(() => process.chdir(cwd));
+
+    const single = loadInstanceRegistry({ GRAFANA_URL: 'http://grafana:3000' }, { token: 't' });
+    assert.equal(single.resolve('http://grafana:3000/d/abc').instance.name, 'default');
+    assert.throws(() => single.resolve('http://other/d/abc'), /does not match any configured Grafana instance/);
+    const pinned = loadInstanceRegistry({ GRAFANA_URL: 'http://grafana:3000', GRAFANA_ALLOW_ANY_URL: 'true' }, { token: 't' });
+    assert.throws(() => pinned.resolve('http://other/d/abc'), error => error.status === 403);
+
+    assert.throws(() => loadInstanceRegistry({}, { token: 't' }), /No Grafana instance configured/);
+    assert.throws(() => loadInstanceRegistry({ GRAFANA_ALLOW_ANY_URL: 'yes' }, { token: 't' }), /No Grafana instance configured/);
+    const any = loadInstanceRegistry({ GRAFANA_ALLOW_ANY_URL: 'true' }, { token: 't' });
+    assert.equal(any.resolve('http://other/d/abc').instance.name, 'default');
+    assert.throws(() => loadInstanceRegistry({}, {}), /No Grafana credentials configured/);
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/job_queue');
+
+function deferred() {
+    const result = {};
+    result.promise = new Promise((resolve, reject) => Object.assign(result, { resolve, reject }));
+    return result;
+}
+
+test('runs at most `concurrency` jobs at a time, in order', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const first = deferred();
+    const started = [];
+    const a = queue.enqueue(async () => { started.push('a'); await first.promise; return 'A'; });
+    const b = queue.enqueue(async () => { started.push('b'); return 'B'; });
+
+    assert.equal(a.status, 'running');
+    assert.equal(b.status, 'queued');
+    assert.equal(queue.queuePosition(b), 1);
+    assert.equal(queue.depth, 1);
+
+    first.resolve();
+    await queue.wait(b);
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual([a.status, a.result, b.status, b.result], ['succeeded', 'A', 'succeeded', 'B']);
+    assert.equal(queue.running, 0);
+    assert.equal(queue.queuePosition(b), null);
+});
+
+test('records the error of a failed job and keeps running the next ones', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const failed = queue.enqueue(async () => { throw new Error('Grafana is down'); });
+    const next = queue.enqueue(async () => 'ok');
+    await queue.wait(next);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Grafana is down');
+    assert.equal(next.status, 'succeeded');
+});
+
+test('reports progress and the time spent in every phase', async () => {
+    const queue = new JobQueue();
+    const progress = [];
+    const job = queue.enqueue(async (reportProgress, running) => {
+        reportProgress(10, 'navigating');
+        reportProgress(5, 'navigating');
+        progress.push(running.progress);
+        reportProgress(150, 'writing');
+        progress.push(running.progress);
+    });
+    await queue.wait(job);
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual(progress, [10, 100]);
+    assert.deepEqual(Object.keys(job.phases), ['navigating', 'writing']);
+    assert.ok(Object.values(job.phases).every(ms => ms >= 0));
+    assert.equal(job.phase, 'writing');
+});
+
+test('emits queued, started and finished events', async () => {
+    const queue = new JobQueue();
+    const events = [];
+    ['queued', 'started', 'finished'].forEach(name => queue.on(name, job => events.push(`${name}:${job.meta.type}`)));
+    await queue.wait(queue.enqueue(async () => null, { type: 'export' }));
+    assert.deepEqual(events, ['queued:export', 'started:export', 'finished:export']);
+});
+
+test('tracked jobs run outside of the concurrency limit', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const blocker = deferred();
+    const running = queue.enqueue(() => blocker.promise);
+    const tracked = queue.track(async () => 'done');
+    await queue.wait(tracked);
+    assert.equal(tracked.status, 'succeeded');
+    assert.equal(running.status, 'running');
+    blocker.resolve();
+    await queue.wait(running);
+});
+
+test('a job that releases its slot lets the next job start before it ends', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const delivering = deferred();
+    const first = queue.enqueue(async (reportProgress, job, releaseSlot) => {
+        releaseSlot();
+        releaseSlot();
+        await delivering.promise;
+        return 'delivered';
+    });
+    const second = queue.enqueue(async () => 'B');
+    const third = queue.enqueue(async () => 'C');
+    await queue.wait(third);
+    assert.equal(second.status, 'succeeded');
+    assert.equal(first.status, 'running');
+    assert.equal(queue.running, 0);
+
+    delivering.resolve();
+    await queue.wait(first);
+    assert.equal(first.result, 'delivered');
+    assert.equal(queue.running, 0);
+});
+
+test('wait() does not add a listener per waiter and resolves finished jobs right away', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const jobs = Array.from({ length: 20 }, (value, index) => queue.enqueue(async () => index));
+    const waiting = jobs.map(job => queue.wait(job));
+    assert.equal(queue.listenerCount('finished'), 0);
+    const finished = await Promise.all(waiting);
+    assert.deepEqual(finished.map(job => job.result), jobs.map((job, index) => index));
+    assert.equal(await queue.wait(jobs[0]), jobs[0]);
+    assert.equal(await queue.wait({ status: 'succeeded' }).then(job => job.status), 'succeeded');
+});
+
+test('finished jobs are forgotten after `retentionMs`', async () => {
+    const queue = new JobQueue({ retentionMs: 10 });
+    const job = queue.enqueue(async () => null);
+    assert.equal(queue.get(job.id), job);
+    await queue.wait(job);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(queue.get(job.id), null);
+});
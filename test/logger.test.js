@@ -0,0 +1,98 @@
+'use strict';
+
+const EventEmitter = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, settingsFromEnv, normalizeBrowserConsole, logBrowserConsole } = require('../lib/logger');
+
+// Logger writing to an array of lines
+function memoryLogger(settings = {}) {
+    const lines = [];
+    const logger = new Logger({ level: 'info', format: 'json', stream: { write: line => lines.push(line) }, ...settings });
+    return { logger, lines, records: () => lines.map(line => JSON.parse(line)) };
+}
+
+test('writes JSON lines with the fields of the logger and of the call', () => {
+    const { logger, records } = memoryLogger();
+    logger.child({ exportId: 'job-1' }).info('Export started', { url: 'http://grafana/d/abc', skipped: undefined });
+    logger.debug('Not logged');
+    const [record] = records();
+    assert.match(record.time, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual({ ...record, time: undefined }, { time: undefined, level: 'info', msg: 'Export started', exportId: 'job-1', url: 'http://grafana/d/abc' });
+    assert.equal(records().length, 1);
+});
+
+test('logs errors with their message, and their stack at the debug level', () => {
+    const { logger, records } = memoryLogger();
+    const error = new Error('Navigation timeout');
+    logger.error('Export failed', { error });
+    logger.configure({ level: 'debug' });
+    logger.error('Export failed', { error });
+    const [info, debug] = records();
+    assert.equal(info.error, 'Navigation timeout');
+    assert.equal(info.errorStack, undefined);
+    assert.match(debug.errorStack, /^Error: Navigation timeout\n/);
+});
+
+test('children follow the settings configured on their parent', () => {
+    const { logger, lines } = memoryLogger();
+    const child = logger.child({ exportId: 'job-1' });
+    logger.configure({ level: 'warn', format: 'text' });
+    child.info('Dropped');
+    child.warn('Not ready after load', { step: 'load', panels: ['2'] });
+    assert.deepEqual(lines.map(line => line.replace(/^\S+ /, '')), ['WARN  Not ready after load exportId=job-1 step=load panels=["2"]\n']);
+});
+
+test('validates the settings and survives fields that cannot be serialized', () => {
+    assert.throws(() => memoryLogger({ level: 'verbose' }), /Unknown log level: verbose/);
+    assert.throws(() => memoryLogger({ level: 'toString' }), /Unknown log level: toString/);
+    assert.throws(() => memoryLogger({ format: 'xml' }), /Unknown log format: xml/);
+    const { logger, records } = memoryLogger();
+    assert.throws(() => logger.configure({ level: 'trace' }), /Unknown log level/);
+
+    const circular = {};
+    circular.self = circular;
+    logger.info('Circular', { circular });
+    assert.match(records()[0].logError, /circular/i);
+});
+
+test('settingsFromEnv falls back to the default level and format with a warning', () => {
+    assert.deepEqual(settingsFromEnv({}), { settings: { level: 'info', format: 'json' }, warnings: [] });
+    assert.deepEqual(settingsFromEnv({ DEBUG_MODE: 'true', LOG_FORMAT: 'text' }).settings, { level: 'debug', format: 'text' });
+    assert.deepEqual(settingsFromEnv({ LOG_LEVEL: 'warn' }).settings, { level: 'warn', format: 'json' });
+
+    const { settings, warnings } = settingsFromEnv({ LOG_LEVEL: 'constructor', LOG_FORMAT: 'xml' });
+    assert.deepEqual(settings, { level: 'info', format: 'json' });
+    assert.deepEqual(warnings, [
+        'Unknown LOG_LEVEL: constructor, using info. Use debug, info, warn, error or silent.',
+        'Unknown LOG_FORMAT: xml, using json. Use json or text.'
+    ]);
+});
+
+test('normalizeBrowserConsole validates the console message types', () => {
+    assert.deepEqual(normalizeBrowserConsole(undefined), []);
+    assert.deepEqual(normalizeBrowserConsole('warn, error'), ['warn', 'error']);
+    assert.deepEqual(normalizeBrowserConsole(['all']), ['debug', 'log', 'info', 'warn', 'error']);
+    assert.throws(() => normalizeBrowserConsole('verbose'), /Unknown browser console level: verbose/);
+});
+
+test('logBrowserConsole logs the selected console messages and page errors', () => {
+    const { logger, records } = memoryLogger({ level: 'debug' });
+    const page = new EventEmitter();
+    const message = (type, text) => ({ type: () => type, text: () => text });
+    logBrowserConsole(page, logger, ['warn', 'error']);
+    page.emit('console', message('log', 'ignored'));
+    page.emit('console', message('warning', 'Deprecated option'));
+    page.emit('console', message('assert', 'Assertion failed'));
+    page.emit('pageerror', new Error('Uncaught TypeError'));
+
+    assert.deepEqual(records().map(({ level, msg, consoleType, text, error }) => [level, msg, consoleType || null, text || error]), [
+        ['warn', 'Browser console', 'warn', 'Deprecated option'],
+        ['error', 'Browser console', 'assert', 'Assertion failed'],
+        ['error', 'Browser page error', null, 'Uncaught TypeError']
+    ]);
+
+    const quiet = new EventEmitter();
+    logBrowserConsole(quiet, logger, []);
+    assert.equal(quiet.listenerCount('console'), 0);
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const EventEmitter = require('events');
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExportMetrics } = require('../lib/metrics');
+const { HealthChecker } = require('../lib/health');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+function fakeQueue() {
+    return Object.assign(new EventEmitter(), { depth: 2, running: 1 });
+}
+
+// Value of a sample of the Prometheus text format, e.g. 'grafana_export_queue_depth' or 'name{label="value"}'
+function sample(text, name) {
+    const line = text.split('\n').find(item => item.startsWith(`${name} `));
+    return line ? Number(line.split(' ')[1]) : undefined;
+}
+
+const JOB = {
+    meta: { type: 'export', instance: 'prod', url: 'http://grafana/d/abc/sales' },
+    status: 'succeeded',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    startedAt: '2024-01-01T00:00:03.000Z',
+    finishedAt: '2024-01-01T00:00:15.000Z',
+    phases: { navigating: 2000, writing: 500 }
+};
+
+test('counts the exports of the queue with their durations and phases', async () => {
+    const queue = fakeQueue();
+    const metrics = new ExportMetrics({ queue, pool: { stats: { browsers: 1, activeContexts: 1 } }, storage: { list: async () => [] } });
+    queue.emit('started', JOB);
+    queue.emit('finished', JOB);
+    queue.emit('started', { ...JOB, meta: { type: 'batch', url: JOB.meta.url } });
+    queue.emit('finished', { ...JOB, meta: { type: 'export' }, status: 'failed', phases: {} });
+
+    const text = await metrics.metrics();
+    assert.match(metrics.contentType, /^text\/plain/);
+    assert.equal(sample(text, 'grafana_export_exports_started_total{instance="prod",dashboard="abc"}'), 1);
+    assert.equal(sample(text, 'grafana_export_exports_finished_total{instance="prod",dashboard="abc",status="succeeded"}'), 1);
+    assert.equal(sample(text, 'grafana_export_exports_finished_total{instance="default",dashboard="unknown",status="failed"}'), 1);
+    assert.equal(sample(text, 'grafana_export_export_duration_seconds_sum{instance="prod",status="succeeded"}'), 12);
+    assert.equal(sample(text, 'grafana_export_queue_wait_seconds_sum'), 3);
+    assert.equal(sample(text, 'grafana_export_phase_duration_seconds_sum{phase="navigating"}'), 2);
+    assert.match(text, /^grafana_export_process_cpu_seconds_total /m);
+});
+
+test('reports the queue, the browser pool and the cached storage usage', async () => {
+    let listed = 0;
+    const storage = { list: async () => { listed++; return [{ key: 'a.pdf', size: 100 }, { key: 'b.pdf', size: 50 }]; } };
+    const metrics = new ExportMetrics({ queue: fakeQueue(), pool: { stats: { browsers: 2, activeContexts: 3 } }, storage });
+
+    const text = await metrics.metrics();
+    assert.equal(sample(text, 'grafana_export_queue_depth'), 2);
+    assert.equal(sample(text, 'grafana_export_running_exports'), 1);
+    assert.equal(sample(text, 'grafana_export_browsers'), 2);
+    assert.equal(sample(text, 'grafana_export_browser_contexts'), 3);
+    assert.equal(sample(text, 'grafana_export_storage_bytes'), 150);
+    assert.equal(sample(text, 'grafana_export_storage_files'), 2);
+    await metrics.metrics();
+    assert.equal(listed, 1);
+});
+
+test('keeps the last storage usage when the storage cannot be listed', async () => {
+    const listings = [[{ key: 'a.pdf', size: 100 }]];
+    const storage = { list: async () => { if (listings.length === 0) throw new Error('Access Denied'); return listings.shift(); } };
+    const metrics = new ExportMetrics({ queue: fakeQueue(), pool: { stats: { browsers: 0, activeContexts: 0 } }, storage, storageCacheMs: -1 });
+    assert.equal(sample(await metrics.metrics(), 'grafana_export_storage_bytes'), 100);
+    assert.equal(sample(await metrics.metrics(), 'grafana_export_storage_bytes'), 100);
+});
+
+test('checks the browser and every Grafana instance, caching the results', async t => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(req.url === '/down/api/health' ? { database: 'failing' } : { database: 'ok', version: '11.2.0' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    let checks = 0;
+    const pool = { check: async () => { checks++; } };
+    const instances = { list: () => [{ name: 'prod', url: base }, { name: 'any', url: null }] };
+    const health = new HealthChecker({ pool, instances });
+
+    const ready = await health.readiness();
+    assert.equal(ready.status, 'ok');
+    assert.deepEqual(Object.keys(ready.checks.grafana), ['prod']);
+    assert.equal(ready.checks.grafana.prod.version, '11.2.0');
+    assert.equal((await health.liveness()).status, 'ok');
+    assert.equal(checks, 1);
+
+    const failing = new HealthChecker({ pool, instances: { list: () => [{ name: 'down', url: `${base}/down` }] } });
+    const report = await failing.readiness();
+    assert.equal(report.status, 'failing');
+    assert.equal(report.checks.grafana.down.error, 'Grafana database is failing');
+});
+
+test('reports a browser that cannot be launched in time as failing', async () => {
+    const health = new HealthChecker({ pool: { check: () => new Promise(() => {}) }, instances: { list: () => [] }, timeoutMs: 20 });
+    const { status, checks } = await health.liveness();
+    assert.equal(status, 'failing');
+    assert.equal(checks.browser.error, 'browser timed out after 20 ms');
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const { paperDimensions, computePageBreaks, paginatePdf, fitPagesOnPaper } = require('../lib/pdf/paginate');
+
+// A single page PDF of `width` x `height` CSS px, as printed by Chrome
+async function tallPdf(width, height, pages = 1) {
+    const document = await PDFDocument.create();
+    for (let index = 0; index < pages; index++) {
+        document.addPage([width * 0.75, height * 0.75]).drawRectangle({ x: 10, y: 10, width: 20, height: 20 });
+    }
+    return Buffer.from(await document.save());
+}
+
+test('paperDimensions supports the paper sizes in any case and both orientations', () => {
+    assert.deepEqual(paperDimensions('a4'), PageSizes.A4);
+    assert.deepEqual(paperDimensions('Letter', 'landscape'), [792, 612]);
+    assert.throws(() => paperDimensions('B5'), /Unknown paper size: B5\. Supported sizes: A3, A4, A5, Letter, Legal, Tabloid/);
+    assert.throws(() => paperDimensions('A4', 'sideways'), /Unknown orientation: sideways/);
+});
+
+test('computePageBreaks breaks between panels, and cuts panels taller than a page', () => {
+    const panels = [{ top: 0, bottom: 500 }, { top: 500, bottom: 1200 }, { top: 1200, bottom: 3000 }];
+    assert.deepEqual(computePageBreaks(panels, 3000, 1000), [[0, 500], [500, 1200], [1200, 2200], [2200, 3000]]);
+    assert.deepEqual(computePageBreaks([], 2500, 1000), [[0, 1000], [1000, 2000], [2000, 2500]]);
+    assert.deepEqual(computePageBreaks(panels, 400, 1000), [[0, 400]]);
+});
+
+test('computePageBreaks keeps side by side panels on the same page', () => {
+    const panels = [{ top: 0, bottom: 600 }, { top: 300, bottom: 900 }, { top: 900, bottom: 1000 }];
+    assert.deepEqual(computePageBreaks(panels, 1000, 950), [[0, 900], [900, 1000]]);
+});
+
+test('paginatePdf lays out a tall page on paper pages and places the panels', async () => {
+    const panels = [{ id: 1, top: 0, bottom: 500 }, { id: 2, top: 500, bottom: 1200 }, { id: 3, top: 1200, bottom: 3000 }];
+    const result = await paginatePdf(await tallPdf(800, 3000), { paperSize: 'A4', orientation: 'portrait', panels });
+
+    assert.equal(result.pageCount, 4);
+    const document = await PDFDocument.load(result.buffer);
+    assert.equal(document.getPageCount(), 4);
+    assert.deepEqual(document.getPage(0).getSize(), { width: PageSizes.A4[0], height: PageSizes.A4[1] });
+    assert.deepEqual(result.panels.map(panel => panel.page), [1, 2, 3]);
+    const margin = 10 * 72 / 25.4;
+    assert.ok(result.panels.every(panel => Math.abs(panel.y - margin) < 1e-6));
+});
+
+test('fitPagesOnPaper scales every page onto the paper size', async () => {
+    const result = await fitPagesOnPaper(await tallPdf(2000, 500, 2), { paperSize: 'A4', orientation: 'landscape' });
+    assert.equal(result.pageCount, 2);
+    const document = await PDFDocument.load(result.buffer);
+    assert.deepEqual(document.getPages().map(page => page.getSize()), [
+        { width: PageSizes.A4[1], height: PageSizes.A4[0] },
+        { width: PageSizes.A4[1], height: PageSizes.A4[0] }
+    ]);
+});
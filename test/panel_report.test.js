@@ -0,0 +1,80 @@
+'use strict';
+
+const EventEmitter = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePanelErrorMode, QueryErrorCapture, buildPanelReport, panelIssues, panelErrorsMessage } = require('../lib/panel_report');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+function response(body, { panelId, status = 200 } = {}) {
+    return {
+        url: () => 'http://grafana/api/ds/query?ds_type=prometheus',
+        ok: () => status < 400,
+        status: () => status,
+        json: async () => { if (body === null) throw new Error('Unexpected end of JSON input'); return body; },
+        request: () => ({ headers: () => (panelId ? { 'x-panel-id': panelId } : {}) })
+    };
+}
+
+const frame = rows => ({ data: { values: [Array.from({ length: rows }, (_, index) => index)] } });
+
+test('validatePanelErrorMode accepts ignore, annotate and fail', () => {
+    validatePanelErrorMode(undefined);
+    validatePanelErrorMode('annotate');
+    assert.throws(() => validatePanelErrorMode('warn'), /Unknown panel error mode: warn\. Use ignore, annotate, fail\./);
+});
+
+test('QueryErrorCapture records the errors and empty results of the last query responses', async () => {
+    const page = new EventEmitter();
+    const capture = new QueryErrorCapture(page);
+    page.emit('response', response({ results: { A: { error: 'timeout' } } }, { panelId: '1' }));
+    page.emit('response', response({ results: { A: { frames: [frame(3)] }, B: { frames: [frame(0)] } } }, { panelId: '1' }));
+    page.emit('response', response({ results: { A: { frames: [frame(0)] } } }, { panelId: '2' }));
+    page.emit('response', response({ results: { A: { error: 'parse error' } } }, { panelId: '3' }));
+    page.emit('response', response({ message: 'Data source not found' }, { panelId: '4', status: 404 }));
+    page.emit('response', response(null, { panelId: '5', status: 502 }));
+
+    assert.deepEqual(await capture.stop(), {
+        1: { errors: [], noData: false },
+        2: { errors: [], noData: true },
+        3: { errors: ['A: parse error'], noData: false },
+        4: { errors: ['Data source not found'], noData: false },
+        5: { errors: ['HTTP 502'], noData: false }
+    });
+    assert.equal(page.listenerCount('response'), 0);
+});
+
+test('buildPanelReport combines the page, the queries and the readiness of every panel', () => {
+    const report = buildPanelReport({
+        panels: [
+            { id: '1', title: 'Requests', errors: [], noData: false },
+            { id: '2', title: 'Errors', errors: ['Panel status error'], noData: false },
+            { id: '3', title: 'Latency', errors: ['Panel status error'], noData: false },
+            { id: '10', title: '', errors: [], noData: true }
+        ],
+        queries: { 3: { errors: ['A: parse error', 'A: parse error'], noData: false }, 4: { errors: [], noData: false } },
+        readiness: { panels: [{ id: '4', loading: false, pendingRequests: 1 }] }
+    });
+    assert.deepEqual(report, {
+        panels: [
+            { id: '1', title: 'Requests', status: 'ok', errors: [] },
+            { id: '2', title: 'Errors', status: 'error', errors: ['Panel status error'] },
+            { id: '3', title: 'Latency', status: 'error', errors: ['A: parse error'] },
+            { id: '4', title: 'Panel 4', status: 'timeout', errors: [] },
+            { id: '10', title: 'Panel 10', status: 'no-data', errors: [] }
+        ],
+        errors: 2,
+        noData: 1,
+        timeouts: 1
+    });
+    assert.deepEqual(panelIssues(report).map(panel => panel.id), ['2', '3', '4', '10']);
+    assert.equal(panelErrorsMessage(report),
+        '3 panel(s) failed to render: "Errors" (2): Panel status error, "Latency" (3): A: parse error, "Panel 4" (4): data not loaded in time');
+});
+
+test('panelErrorsMessage does not fail exports for panels without data', () => {
+    const report = buildPanelReport({ panels: [{ id: '1', title: 'Empty', errors: [], noData: true }], queries: {}, readiness: null });
+    assert.equal(panelErrorsMessage(report), null);
+});
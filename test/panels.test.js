@@ -0,0 +1,61 @@
+'use strict';
+
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { flattenPanels, selectPanels } = require('../lib/panels');
+const { parseDashboardUrl, fetchDashboard } = require('../lib/grafana_api');
+
+const PANELS = [
+    { id: 1, title: 'Requests', type: 'timeseries', gridPos: { x: 0, y: 0 } },
+    { id: 2, title: 'Errors', type: 'stat', gridPos: { x: 12, y: 0 } },
+    { id: 3, type: 'row', title: 'Details', collapsed: true, panels: [
+        { id: 5, title: 'Latency', type: 'timeseries', gridPos: { x: 0, y: 10 } },
+        { id: 4, title: 'Notes', type: 'text', gridPos: { x: 0, y: 9 } }
+    ] }
+];
+
+test('flattenPanels lists the panels of collapsed rows in reading order', () => {
+    assert.deepEqual(flattenPanels(PANELS).map(panel => panel.id), [1, 2, 4, 5]);
+    assert.deepEqual(flattenPanels([{ id: 7, type: 'graph' }]), [{ id: 7, title: '', type: 'graph', gridPos: {} }]);
+    assert.deepEqual(flattenPanels(), []);
+});
+
+test('selectPanels selects by ID or title in the order of the selection', () => {
+    const panels = flattenPanels(PANELS);
+    assert.deepEqual(selectPanels(panels, 'all').map(panel => panel.id), [1, 2, 5]);
+    assert.deepEqual(selectPanels(panels, ' latency, 1 ').map(panel => panel.id), [5, 1]);
+    assert.deepEqual(selectPanels(panels, [2, 'Notes']).map(panel => panel.id), [2, 4]);
+    assert.throws(() => selectPanels(panels, 'Throughput'), /Panel not found in the dashboard: Throughput/);
+    assert.throws(() => selectPanels(panels, '42'), /Panel not found/);
+});
+
+test('parseDashboardUrl supports sub-paths and solo panel URLs', () => {
+    assert.deepEqual(parseDashboardUrl('http://grafana:3000/d/abc/sales?orgId=1'), { baseUrl: 'http://grafana:3000', uid: 'abc', slug: 'sales' });
+    assert.deepEqual(parseDashboardUrl('https://example.com/grafana/d-solo/abc?panelId=2'), { baseUrl: 'https://example.com/grafana', uid: 'abc', slug: '' });
+    assert.equal(parseDashboardUrl('http://grafana:3000/explore'), null);
+});
+
+test('fetchDashboard reads the dashboard model with the auth header', async t => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, authorization: req.headers.authorization });
+        if (req.url !== '/grafana/api/dashboards/uid/abc') {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ dashboard: { uid: 'abc', panels: PANELS }, meta: { slug: 'sales' } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}/grafana`;
+
+    const result = await fetchDashboard(`${base}/d/abc/sales`, 'Bearer token');
+    assert.equal(result.baseUrl, base);
+    assert.equal(result.dashboard.panels.length, 3);
+    assert.deepEqual(requests, [{ url: '/grafana/api/dashboards/uid/abc', authorization: 'Bearer token' }]);
+
+    await assert.rejects(fetchDashboard(`${base}/d/missing`, 'Bearer token'), /returned HTTP status 404/);
+    await assert.rejects(fetchDashboard(`${base}/explore`, 'Bearer token'), /Not a Grafana dashboard URL/);
+});
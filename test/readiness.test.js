@@ -0,0 +1,85 @@
+'use strict';
+
+const EventEmitter = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReadinessDetector } = require('../lib/readiness');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+// Page whose panel loading indicators are the IDs in `loading`
+function fakePage() {
+    const page = new EventEmitter();
+    page.loading = [];
+    page.evaluate = async () => page.loading;
+    return page;
+}
+
+function request(url, panelId) {
+    return { url: () => url, headers: () => (panelId ? { 'x-panel-id': panelId } : {}) };
+}
+
+const TIMINGS = { quietPeriod: 20, pollInterval: 5, timeout: 1000, stallTimeout: 1000 };
+
+test('waits for the data requests in flight and the quiet period', async () => {
+    const page = fakePage();
+    const detector = new ReadinessDetector(page, TIMINGS);
+    const query = request('http://grafana/api/ds/query?ds_type=prometheus', '2');
+    page.emit('request', query);
+    page.emit('request', request('http://grafana/public/build/app.js'));
+    setTimeout(() => page.emit('requestfinished', query), 50);
+
+    const result = await detector.waitUntilReady('load');
+    assert.equal(result.ready, true);
+    assert.equal(result.reason, null);
+    assert.ok(result.waitedMs >= 50 + TIMINGS.quietPeriod);
+    assert.deepEqual(result.pendingRequests, []);
+    detector.stop();
+    assert.equal(page.listenerCount('request'), 0);
+});
+
+test('waits for the panel loading indicators', async () => {
+    const page = fakePage();
+    page.loading = ['3'];
+    const detector = new ReadinessDetector(page, TIMINGS);
+    setTimeout(() => { page.loading = []; }, 50);
+    const result = await detector.waitUntilReady('scroll');
+    assert.equal(result.ready, true);
+    assert.ok(result.waitedMs >= 50);
+});
+
+test('reports stalled and timed out waits, and the requests of every panel', async () => {
+    const page = fakePage();
+    const detector = new ReadinessDetector(page, { ...TIMINGS, stallTimeout: 30 });
+    page.emit('request', request('http://grafana/api/ds/query', '10'));
+    const failed = request('http://grafana/api/datasources/proxy/1/api/v1/query', '2');
+    page.emit('request', failed);
+    page.emit('requestfailed', failed);
+
+    const stalled = await detector.waitUntilReady('load');
+    assert.equal(stalled.reason, 'stalled');
+    assert.deepEqual(stalled.pendingRequests, ['http://grafana/api/ds/query']);
+
+    page.loading = ['2'];
+    const intermediate = await detector.waitUntilReady('scroll', { timeout: 20, record: false });
+    assert.equal(intermediate.reason, 'stalled');
+
+    const report = detector.report();
+    assert.equal(report.ready, false);
+    assert.deepEqual(report.waits.map(wait => [wait.step, wait.reason]), [['load', 'stalled']]);
+    assert.deepEqual(report.panels.map(({ dataMs, ...panel }) => panel), [
+        { id: '2', requests: 1, failedRequests: 1, pendingRequests: 0, loading: false },
+        { id: '10', requests: 1, failedRequests: 0, pendingRequests: 1, loading: false }
+    ]);
+    assert.equal(report.panels[1].dataMs, null);
+});
+
+test('ends a wait at the timeout while panels keep loading', async () => {
+    const page = fakePage();
+    page.loading = ['?'];
+    const detector = new ReadinessDetector(page, TIMINGS);
+    const result = await detector.waitUntilReady('load', { timeout: 30 });
+    assert.equal(result.reason, 'timeout');
+    assert.deepEqual(result.loadingPanels, ['?']);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { REPORT_DEFAULTS, normalizeReport, reportValues, addReportChrome } = require('../lib/pdf/report');
+
+const METADATA = {
+    dashboardName: 'Sales',
+    url: 'http://grafana/d/abc?var-region=eu&var-region=us&from=now-1d',
+    from: '2024-01-01T00:00:00Z',
+    to: '2024-01-02T00:00:00Z',
+    timezone: 'Europe/Paris'
+};
+const NOW = new Date('2024-01-03T10:00:00Z');
+
+async function pdf(pages, [width, height] = [600, 800]) {
+    const document = await PDFDocument.create();
+    for (let index = 0; index < pages; index++) {
+        document.addPage([width, height]);
+    }
+    return Buffer.from(await document.save());
+}
+
+// Browser context rendering the cover page HTML to a blank page
+function fakeContext() {
+    const rendered = [];
+    return {
+        rendered,
+        newPage: async () => ({
+            setContent: async html => { rendered.push({ html }); },
+            pdf: async options => {
+                rendered[rendered.length - 1].options = options;
+                return pdf(1, [parseInt(options.width, 10) * 0.75, parseInt(options.height, 10) * 0.75]);
+            },
+            close: async () => {}
+        })
+    };
+}
+
+test('normalizeReport merges the request over the branding and the defaults', () => {
+    assert.equal(normalizeReport(undefined, undefined), null);
+    assert.equal(normalizeReport(false, { title: 'Acme' }), null);
+    assert.deepEqual(normalizeReport(true), REPORT_DEFAULTS);
+    assert.deepEqual(normalizeReport({ title: 'Weekly', cover: false }, { title: 'Acme', color: '#ff0000', unknown: 1 }), {
+        ...REPORT_DEFAULTS,
+        title: 'Weekly',
+        color: '#ff0000',
+        cover: false
+    });
+    assert.throws(() => normalizeReport([]), /"report" must be an object/);
+    assert.throws(() => normalizeReport({ title: 42 }), /Report option "title" must be a string/);
+    assert.throws(() => normalizeReport({ cover: 'yes' }), /Report option "cover" must be true or false/);
+    assert.equal(normalizeReport({ color: 'Teal' }).color, 'Teal');
+    assert.equal(normalizeReport({ color: '#0a0' }).color, '#0a0');
+    for (const color of ['red; background: url(http://attacker/)', '#12345g', 'rgb(0, 0, 0)', '']) {
+        assert.throws(() => normalizeReport({ color }), /Report option "color" must be a hex color/, color);
+    }
+});
+
+test('normalizeReport only accepts data:image/ logos from untrusted requests', () => {
+    const branding = { logo: '/etc/grafana/logo.png' };
+    assert.equal(normalizeReport({}, branding, { untrusted: true }).logo, '/etc/grafana/logo.png');
+    assert.equal(normalizeReport({ logo: 'data:image/png;base64,AAAA' }, branding, { untrusted: true }).logo, 'data:image/png;base64,AAAA');
+    assert.equal(normalizeReport({ logo: '/etc/passwd' }).logo, '/etc/passwd');
+    for (const logo of ['/etc/passwd', 'http://169.254.169.254/latest', 'file:///etc/passwd', 'data:text/html,<script>']) {
+        assert.throws(() => normalizeReport({ logo }, branding, { untrusted: true }), /must be a data:image\/ URI/);
+    }
+});
+
+test('reportValues resolves the time range and variables in the timezone of the export', () => {
+    assert.deepEqual(reportValues({ ...REPORT_DEFAULTS, author: 'Ops' }, METADATA, NOW), {
+        title: 'Sales',
+        subtitle: '',
+        dashboardName: 'Sales',
+        url: METADATA.url,
+        from: METADATA.from,
+        to: METADATA.to,
+        timeRange: '2024-01-01 01:00 GMT+1 to 2024-01-02 01:00 GMT+1',
+        variables: 'region=eu, us',
+        author: 'Ops',
+        confidentiality: '',
+        generatedAt: '2024-01-03 11:00 GMT+1'
+    });
+    assert.equal(reportValues(REPORT_DEFAULTS, { dashboardName: 'Bundle' }, NOW).timeRange, 'Default dashboard time range');
+});
+
+test('addReportChrome adds a cover page and bands around unpaginated pages', async () => {
+    const context = fakeContext();
+    const report = normalizeReport({ title: 'Weekly <sales>', confidentiality: 'Internal' });
+    const result = await addReportChrome(await pdf(1, [600, 2000]), { context, report, metadata: METADATA, panels: [{ id: 1, page: 1, y: 0 }], now: NOW });
+
+    assert.equal(result.pageCount, 2);
+    assert.deepEqual(result.panels, [{ id: 1, page: 2, y: 24 }]);
+    const document = await PDFDocument.load(result.buffer);
+    assert.deepEqual(document.getPage(1).getSize(), { width: 600, height: 2048 });
+    // The cover page keeps a 4:3 ratio
+    assert.deepEqual(context.rendered[0].options.height, '600px');
+    assert.match(context.rendered[0].html, /<h1>Weekly &#60;sales&#62;<\/h1>/);
+    assert.match(context.rendered[0].html, /<th>region<\/th><td>eu, us<\/td>/);
+});
+
+test('addReportChrome keeps the size of paginated pages', async () => {
+    const context = fakeContext();
+    const report = normalizeReport({ cover: false });
+    const result = await addReportChrome(await pdf(2), { context, report, metadata: METADATA, panels: [{ id: 1, page: 2, y: 40 }], paginated: true, now: NOW });
+
+    assert.equal(result.pageCount, 2);
+    assert.deepEqual(result.panels, [{ id: 1, page: 2, y: 40 }]);
+    assert.deepEqual((await PDFDocument.load(result.buffer)).getPage(0).getSize(), { width: 600, height: 800 });
+    assert.equal(context.rendered.length, 0);
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler } = require('../lib/scheduler');
+const { readJson, writeJson } = require('../lib/json_file');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+}
+
+function scheduler(dir, options = {}) {
+    return new Scheduler({
+        file: path.join(dir, 'schedules.json'),
+        historyFile: path.join(dir, 'runs.json'),
+        run: async (schedule, onQueued) => {
+            onQueued({ id: `job-${schedule.id}` });
+            return { id: `job-${schedule.id}`, status: 'succeeded', error: null, result: { delivery: [{ type: 'email', status: 'sent' }] } };
+        },
+        ...options
+    });
+}
+
+const WEEKLY = { url: 'http://grafana/d/abc', cron: '0 8 * * 1', timezone: 'Europe/Paris' };
+
+test('writeJson writes atomically and readJson falls back when the file is missing', () => {
+    const file = path.join(tempDir(), 'nested', 'data.json');
+    assert.deepEqual(readJson(file, { empty: true }), { empty: true });
+    writeJson(file, { a: 1 });
+    assert.deepEqual(readJson(file), { a: 1 });
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('creates, updates and removes schedules, and saves them', t => {
+    const dir = tempDir();
+    const schedules = scheduler(dir);
+    t.after(() => schedules.stop());
+
+    const created = schedules.create({ id: 'weekly', ...WEEKLY, unknown: 'dropped' });
+    assert.deepEqual(created, { id: 'weekly', ...WEEKLY, enabled: true });
+    assert.ok(schedules.describe(created).nextRun);
+    assert.throws(() => schedules.create({ id: 'weekly', ...WEEKLY }), error => error.status === 409);
+
+    schedules.update('weekly', { ...WEEKLY, enabled: false });
+    assert.equal(schedules.describe(schedules.get('weekly')).nextRun, null);
+    assert.deepEqual(readJson(path.join(dir, 'schedules.json')).schedules.map(schedule => schedule.enabled), [false]);
+
+    schedules.remove('weekly');
+    assert.throws(() => schedules.get('weekly'), error => error.status === 404);
+    assert.deepEqual(readJson(path.join(dir, 'schedules.json')), { schedules: [] });
+});
+
+test('rejects schedules without url, with an invalid cron expression or failing validation', t => {
+    const schedules = scheduler(tempDir(), { validate: schedule => { if (schedule.instance === 'dev') throw new Error('Unknown Grafana instance: dev'); } });
+    t.after(() => schedules.stop());
+    assert.throws(() => schedules.create({ cron: '* * * * *' }), /"url" is required/);
+    assert.throws(() => schedules.create({ url: 'http://grafana/d/abc' }), /"cron" is required/);
+    assert.throws(() => schedules.create({ ...WEEKLY, cron: 'every monday' }), /invalid cron expression/);
+    assert.throws(() => schedules.create({ ...WEEKLY, timezone: 'Mars/Olympus' }), /invalid cron expression or timezone/);
+    assert.throws(() => schedules.create({ ...WEEKLY, instance: 'dev' }), /Unknown Grafana instance: dev/);
+});
+
+test('records the runs of a schedule with their job and delivery, up to `historyLimit`', async t => {
+    const dir = tempDir();
+    const schedules = scheduler(dir, { historyLimit: 2 });
+    t.after(() => schedules.stop());
+    schedules.create({ id: 'weekly', ...WEEKLY });
+
+    for (let index = 0; index < 3; index++) {
+        const { record, finished } = await schedules.trigger('weekly');
+        assert.equal(record.status, 'running');
+        await finished;
+    }
+    const runs = schedules.runs('weekly');
+    assert.equal(runs.length, 2);
+    assert.deepEqual(
+        { ...runs[0], id: undefined, startedAt: undefined, finishedAt: undefined },
+        { id: undefined, trigger: 'manual', status: 'succeeded', jobId: 'job-weekly', error: null, startedAt: undefined, finishedAt: undefined, delivery: [{ type: 'email', status: 'sent' }] }
+    );
+    assert.deepEqual(readJson(path.join(dir, 'runs.json')).weekly.length, 2);
+});
+
+test('records a run as failed when run() throws, and survives history write errors', async t => {
+    const dir = tempDir();
+    // A file where the history directory should be makes every write of the history fail
+    fs.writeFileSync(path.join(dir, 'blocked'), '');
+    const schedules = new Scheduler({
+        file: path.join(dir, 'schedules.json'),
+        historyFile: path.join(dir, 'blocked', 'runs.json'),
+        run: () => { throw new Error('Unknown Grafana instance: dev'); }
+    });
+    t.after(() => schedules.stop());
+    schedules.create({ id: 'weekly', ...WEEKLY });
+
+    await schedules.crons.get('weekly').trigger();
+    const [run] = schedules.runs('weekly');
+    assert.equal(run.trigger, 'cron');
+    assert.equal(run.status, 'failed');
+    assert.equal(run.error, 'Unknown Grafana instance: dev');
+    assert.ok(run.finishedAt);
+});
+
+test('loads saved schedules, disabling the ones that no longer validate', t => {
+    const dir = tempDir();
+    writeJson(path.join(dir, 'schedules.json'), { schedules: [
+        { id: 'ok', ...WEEKLY },
+        { id: 'email', ...WEEKLY, email: { to: ['ops@example.com'] } }
+    ] });
+    const schedules = scheduler(dir, { validate: schedule => { if (schedule.email) throw new Error('Email delivery is not configured on this server'); } });
+    t.after(() => schedules.stop());
+
+    assert.equal(schedules.load(), 2);
+    assert.deepEqual(schedules.list().map(schedule => [schedule.id, schedule.enabled, !!schedule.nextRun]), [['ok', true, true], ['email', false, false]]);
+    assert.deepEqual(schedules.get('email').email, { to: ['ops@example.com'] });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storageFromEnv, LocalStorage, S3Storage } = require('../lib/storage');
+const { checkKey, keyPart } = require('../lib/storage/keys');
+const { UrlSigner } = require('../lib/signed_url');
+const { RetentionSweeper } = require('../lib/retention');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'silent' });
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-01-10T00:00:00Z');
+
+// In-memory storage listing { key, size, modifiedAt } objects
+function fakeStorage(objects) {
+    const stored = new Map(objects.map(object => [object.key, object]));
+    return {
+        stored,
+        list: async () => Array.from(stored.values()),
+        delete: async key => { stored.delete(key); }
+    };
+}
+
+test('checkKey only accepts plain file names', () => {
+    assert.equal(checkKey('report.pdf'), 'report.pdf');
+    for (const key of ['', '.env', '../secret', 'a/b.pdf', 'a\\b.pdf', null]) {
+        assert.throws(() => checkKey(key), /Invalid storage key/);
+    }
+});
+
+test('keyPart keeps letters but no quotes, separators or control characters', () => {
+    assert.equal(keyPart('Ops "prod" / eu\\west\n'), 'Ops_prod_eu_west_');
+    assert.equal(keyPart('Übersicht Zürich_2024-01-01'), 'Übersicht_Zürich_2024-01-01');
+    assert.equal(keyPart('../.env'), '_env');
+});
+
+test('storageFromEnv builds the local or S3 backend', () => {
+    assert.equal(storageFromEnv({}, { outDir: '/output' }).describe(), `local directory ${path.resolve('/output/stored')}`);
+    assert.equal(storageFromEnv({ STORAGE_LOCAL_DIR: '/data/exports' }, { outDir: '/output' }).dir, path.resolve('/data/exports'));
+    assert.equal(storageFromEnv({ STORAGE_BACKEND: 's3', S3_BUCKET: 'reports', S3_PREFIX: 'grafana' }, { outDir: '/output' }).describe(), 'S3 bucket reports/grafana/');
+    assert.throws(() => storageFromEnv({ STORAGE_LOCAL_DIR: '/output/' }, { outDir: '/output' }), /cannot be the output directory/);
+    assert.throws(() => storageFromEnv({ STORAGE_BACKEND: 's3' }, { outDir: '/output' }), /S3_BUCKET is required/);
+    assert.throws(() => storageFromEnv({ STORAGE_BACKEND: 'ftp' }, { outDir: '/output' }), /Unknown STORAGE_BACKEND: ftp/);
+});
+
+test('LocalStorage moves files into its directory and lists them', async () => {
+    const dir = tempDir();
+    const storage = new LocalStorage({ dir: path.join(dir, 'storage') });
+    const file = path.join(dir, 'report.pdf');
+    fs.writeFileSync(file, '%PDF');
+
+    assert.deepEqual(await storage.put('report.pdf', file), { key: 'report.pdf', size: 4 });
+    assert.equal(fs.existsSync(file), false);
+    // Files already in the directory stay in place
+    assert.deepEqual(await storage.put('report.pdf', path.join(dir, 'storage', 'report.pdf')), { key: 'report.pdf', size: 4 });
+    fs.writeFileSync(path.join(dir, 'storage', '.hidden'), '');
+
+    assert.equal((await storage.read('report.pdf')).toString(), '%PDF');
+    assert.equal((await storage.open('report.pdf')).size, 4);
+    (await storage.open('report.pdf')).stream.destroy();
+    assert.equal(await storage.open('missing.pdf'), null);
+    assert.deepEqual((await storage.list()).map(object => [object.key, object.size]), [['report.pdf', 4]]);
+    await assert.rejects(storage.read('../report.pdf'), /Invalid storage key/);
+
+    await storage.delete('report.pdf');
+    await storage.delete('report.pdf');
+    assert.deepEqual(await storage.list(), []);
+    assert.deepEqual(await new LocalStorage({ dir: path.join(dir, 'missing') }).list(), []);
+});
+
+test('The retention sweeper does not see the files of running exports', async () => {
+    const outDir = tempDir();
+    const storage = storageFromEnv({}, { outDir });
+    fs.writeFileSync(path.join(outDir, 'done.pdf'), '%PDF');
+    await storage.put('done.pdf', path.join(outDir, 'done.pdf'));
+    fs.writeFileSync(path.join(outDir, 'rendering.pdf'), '%PDF');
+
+    const sweeper = new RetentionSweeper({ storage, maxAgeMs: 1 });
+    assert.deepEqual(await sweeper.sweep({ now: Date.now() + DAY }), { deleted: 1, freedBytes: 4 });
+    assert.equal(fs.existsSync(path.join(outDir, 'rendering.pdf')), true);
+    assert.deepEqual(await storage.list(), []);
+});
+
+test('S3Storage prefixes the keys and lists the objects under the prefix', async () => {
+    const storage = new S3Storage({ bucket: 'reports', prefix: 'grafana' });
+    const commands = [];
+    const pages = [
+        { Contents: [{ Key: 'grafana/a.pdf', Size: 1, LastModified: new Date(NOW) }, { Key: 'grafana/nested/b.pdf', Size: 2 }], IsTruncated: true, NextContinuationToken: 'next' },
+        { Contents: [{ Key: 'grafana/c.pdf', Size: 3, LastModified: new Date(NOW) }] }
+    ];
+    storage.client = {
+        send: async command => {
+            commands.push([command.constructor.name, command.input]);
+            if (command.constructor.name === 'GetObjectCommand') throw Object.assign(new Error('missing'), { name: 'NoSuchKey' });
+            return command.constructor.name === 'ListObjectsV2Command' ? pages.shift() : {};
+        }
+    };
+
+    assert.deepEqual((await storage.list()).map(object => [object.key, object.size]), [['a.pdf', 1], ['c.pdf', 3]]);
+    assert.equal(await storage.open('a.pdf'), null);
+    await storage.delete('a.pdf');
+    assert.deepEqual(commands, [
+        ['ListObjectsV2Command', { Bucket: 'reports', Prefix: 'grafana/', ContinuationToken: undefined }],
+        ['ListObjectsV2Command', { Bucket: 'reports', Prefix: 'grafana/', ContinuationToken: 'next' }],
+        ['GetObjectCommand', { Bucket: 'reports', Key: 'grafana/a.pdf' }],
+        ['DeleteObjectCommand', { Bucket: 'reports', Key: 'grafana/a.pdf' }]
+    ]);
+});
+
+test('UrlSigner signs download links until they expire', () => {
+    const signer = new UrlSigner({ secret: 'secret', ttlSeconds: 60 });
+    const link = new URL(signer.sign('report 1.pdf', { now: NOW }), 'http://exporter');
+    assert.equal(link.pathname, '/downloads/report%201.pdf');
+    const expires = link.searchParams.get('expires');
+    const signature = link.searchParams.get('signature');
+
+    assert.equal(signer.verify('report 1.pdf', expires, signature, { now: NOW + 60 * 1000 }), true);
+    assert.equal(signer.verify('report 1.pdf', expires, signature, { now: NOW + 61 * 1000 }), false);
+    assert.equal(signer.verify('report 2.pdf', expires, signature, { now: NOW }), false);
+    assert.equal(signer.verify('report 1.pdf', String(Number(expires) + 60), signature, { now: NOW }), false);
+    assert.equal(signer.verify('report 1.pdf', expires, 'short', { now: NOW }), false);
+    assert.equal(signer.verify('report 1.pdf', 'soon', signature, { now: NOW }), false);
+    assert.equal(new UrlSigner({ secret: 'other' }).verify('report 1.pdf', expires, signature, { now: NOW }), false);
+});
+
+test('RetentionSweeper deletes files past the age limit', async () => {
+    const storage = fakeStorage([
+        { key: 'old.pdf', size: 10, modifiedAt: new Date(NOW - 8 * DAY) },
+        { key: 'new.pdf', size: 10, modifiedAt: new Date(NOW - DAY) }
+    ]);
+    const sweeper = new RetentionSweeper({ storage, maxAgeMs: 7 * DAY });
+    assert.deepEqual(await sweeper.sweep({ now: NOW }), { deleted: 1, freedBytes: 10 });
+    assert.deepEqual(Array.from(storage.stored.keys()), ['new.pdf']);
+    assert.equal(new RetentionSweeper({ storage }).enabled, false);
+});
+
+test('RetentionSweeper keeps the files of the last exports of every dashboard together', async () => {
+    const storage = fakeStorage([
+        { key: 'a3.pdf', size: 1, modifiedAt: new Date(NOW - 1000) },
+        { key: 'a3.csv', size: 1, modifiedAt: new Date(NOW - 1000) },
+        { key: 'a2.pdf', size: 1, modifiedAt: new Date(NOW - 2000) },
+        { key: 'a1.pdf', size: 1, modifiedAt: new Date(NOW - 3000) },
+        { key: 'a1.csv', size: 1, modifiedAt: new Date(NOW - 3000) },
+        { key: 'b1.pdf', size: 1, modifiedAt: new Date(NOW - 4000) },
+        { key: 'unknown.pdf', size: 1, modifiedAt: new Date(NOW - 5000) }
+    ]);
+    const owners = new Map([
+        ['a3.pdf', { dashboard: 'a', exportId: '3' }], ['a3.csv', { dashboard: 'a', exportId: '3' }],
+        ['a2.pdf', { dashboard: 'a', exportId: '2' }],
+        ['a1.pdf', { dashboard: 'a', exportId: '1' }], ['a1.csv', { dashboard: 'a', exportId: '1' }],
+        ['b1.pdf', { dashboard: 'b', exportId: '4' }]
+    ]);
+    const sweeper = new RetentionSweeper({ storage, owners: () => owners, keepPerDashboard: 2 });
+    assert.deepEqual(await sweeper.sweep({ now: NOW }), { deleted: 2, freedBytes: 2 });
+    assert.deepEqual(Array.from(storage.stored.keys()), ['a3.pdf', 'a3.csv', 'a2.pdf', 'b1.pdf', 'unknown.pdf']);
+});
+
+test('RetentionSweeper deletes the oldest files until the storage is under its size limit', async () => {
+    const storage = fakeStorage([
+        { key: 'a.pdf', size: 40, modifiedAt: new Date(NOW - 3000) },
+        { key: 'b.pdf', size: 40, modifiedAt: new Date(NOW - 2000) },
+        { key: 'c.pdf', size: 40, modifiedAt: new Date(NOW - 1000) }
+    ]);
+    const sweeper = new RetentionSweeper({ storage, maxTotalBytes: 100 });
+    const [first, second] = [sweeper.sweep({ now: NOW }), sweeper.sweep({ now: NOW })];
+    assert.equal(first, second);
+    assert.deepEqual(await first, { deleted: 1, freedBytes: 40 });
+    assert.deepEqual(Array.from(storage.stored.keys()), ['b.pdf', 'c.pdf']);
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { normalizeTimezone, resolveTime, resolveTimeRange, describeTimeRange, formatDate, fileLabel } = require('../lib/time_range');
+
+// A Sunday, the day Europe/Paris switches to summer time
+const NOW = new Date('2024-03-31T10:30:00Z');
+
+const iso = (expression, options = {}) => {
+    const date = resolveTime(expression, { now: NOW, ...options });
+    return date && date.toISOString();
+};
+
+test('normalizeTimezone accepts IANA zones, utc and browser', () => {
+    assert.equal(normalizeTimezone(undefined), 'UTC');
+    assert.equal(normalizeTimezone('UTC'), 'UTC');
+    assert.equal(normalizeTimezone('Europe/Paris'), 'Europe/Paris');
+    assert.equal(normalizeTimezone('browser'), DateTime.local().zoneName);
+    assert.throws(() => normalizeTimezone('Mars/Olympus'), /Unknown timezone: Mars\/Olympus/);
+    assert.throws(() => normalizeTimezone(1), /Unknown timezone/);
+});
+
+test('resolveTime resolves relative expressions, epochs and ISO dates', () => {
+    assert.equal(iso('now'), '2024-03-31T10:30:00.000Z');
+    assert.equal(iso('now-7d'), '2024-03-24T10:30:00.000Z');
+    assert.equal(iso('now-1M+2h'), '2024-02-29T12:30:00.000Z');
+    assert.equal(iso('now-h'), '2024-03-31T09:30:00.000Z');
+    assert.equal(iso('1704067200000'), '2024-01-01T00:00:00.000Z');
+    assert.equal(iso('2024-01-01T12:00:00+02:00'), '2024-01-01T10:00:00.000Z');
+    assert.equal(iso('last week'), null);
+    assert.equal(iso(''), null);
+});
+
+test('resolveTime rounds to the start of the unit, or its end with roundUp', () => {
+    assert.equal(iso('now/d'), '2024-03-31T00:00:00.000Z');
+    assert.equal(iso('now/d', { roundUp: true }), '2024-03-31T23:59:59.999Z');
+    assert.equal(iso('now-1d/d'), '2024-03-30T00:00:00.000Z');
+    assert.equal(iso('now/M-1M'), '2024-02-01T00:00:00.000Z');
+    assert.equal(iso('now-1M/M', { roundUp: true }), '2024-02-29T23:59:59.999Z');
+    // Weeks start on Sunday
+    assert.equal(iso('now/w'), '2024-03-31T00:00:00.000Z');
+    assert.equal(iso('now-1d/w'), '2024-03-24T00:00:00.000Z');
+});
+
+test('resolveTime uses the calendar of the timezone across DST changes', () => {
+    const paris = { timezone: 'Europe/Paris' };
+    assert.equal(iso('now/d', paris), '2024-03-30T23:00:00.000Z');
+    assert.equal(iso('now/d', { ...paris, roundUp: true }), '2024-03-31T21:59:59.999Z');
+    // Same local time the day before, which was still in winter time
+    assert.equal(iso('now-1d', paris), '2024-03-30T11:30:00.000Z');
+    // Dates without offset are in the timezone
+    assert.equal(iso('2024-07-01T00:00:00', paris), '2024-06-30T22:00:00.000Z');
+});
+
+test('resolveTimeRange returns the bounds in the timezone with a label', () => {
+    assert.deepEqual(resolveTimeRange('now-1d/d', 'now-1d/d', { now: NOW, timezone: 'Europe/Paris' }), {
+        from: '2024-03-30T00:00:00.000+01:00',
+        to: '2024-03-30T23:59:59.999+01:00',
+        timezone: 'Europe/Paris',
+        expression: { from: 'now-1d/d', to: 'now-1d/d' },
+        label: '2024-03-30 00:00 GMT+1 to 2024-03-30 23:59 GMT+1'
+    });
+    assert.equal(resolveTimeRange('now-1h', 'yesterday', { now: NOW }), null);
+});
+
+test('describeTimeRange falls back to the expressions', () => {
+    assert.equal(describeTimeRange('now-1h', 'now', { now: NOW }), '2024-03-31 09:30 UTC to 2024-03-31 10:30 UTC');
+    assert.equal(describeTimeRange('last week', 'now', { now: NOW }), 'last week to now');
+    assert.equal(describeTimeRange(null, null), '');
+    assert.equal(formatDate(NOW, 'America/New_York'), '2024-03-31 06:30 EDT');
+});
+
+test('fileLabel shows dates for whole days, else dates and times', () => {
+    const label = (from, to, timezone = 'UTC') => fileLabel(resolveTimeRange(from, to, { now: NOW, timezone }));
+    assert.equal(label('now-7d/d', 'now-1d/d'), '2024-03-24_to_2024-03-30');
+    assert.equal(label('now/d', 'now/d', 'Europe/Paris'), '2024-03-31_to_2024-03-31');
+    assert.equal(label('now-6h', 'now'), '2024-03-31_0430_to_2024-03-31_1030');
+});
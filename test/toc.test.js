@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { withTableOfContents } = require('../lib/pdf/toc');
+const { printable, fitText } = require('../lib/pdf/text');
+
+async function pdf(pages) {
+    const document = await PDFDocument.create();
+    for (let index = 0; index < pages; index++) {
+        document.addPage([600, 800]);
+    }
+    return Buffer.from(await document.save());
+}
+
+test('printable replaces the characters the standard fonts cannot draw, and fitText adds an ellipsis', async () => {
+    const font = await (await PDFDocument.create()).embedFont(StandardFonts.Helvetica);
+    assert.equal(printable(font, ' Café\n日本 '), 'Café ??');
+    assert.equal(fitText(font, 'Short', 10, 100), 'Short');
+    const fitted = fitText(font, 'A very long section title', 10, 60);
+    assert.match(fitted, /^A very .*\.\.\.$/);
+    assert.ok(font.widthOfTextAtSize(fitted, 10) <= 60);
+});
+
+test('withTableOfContents lists the page each section starts on, after the pages added before it', async () => {
+    const result = await withTableOfContents([
+        { title: 'Sales', buffer: await pdf(2) },
+        { title: 'Errors', buffer: null, note: 'failed: timeout' },
+        { title: 'Traffic', buffer: await pdf(1) }
+    ], { title: 'Weekly report', pageOffset: 1 });
+
+    assert.deepEqual(result.sections, [
+        { title: 'Sales', note: null, page: 3 },
+        { title: 'Errors', note: 'failed: timeout', page: null },
+        { title: 'Traffic', note: null, page: 5 }
+    ]);
+    assert.equal(result.pageCount, 4);
+    const document = await PDFDocument.load(result.buffer);
+    assert.deepEqual(document.getPage(0).getSize(), { width: 600, height: 800 });
+});
+
+test('withTableOfContents spreads long lists over several pages', async () => {
+    const sections = Array.from({ length: 40 }, (_, index) => ({ title: `Customer ${index}`, buffer: null, note: 'no data' }));
+    sections.push({ title: 'Last', buffer: await pdf(1) });
+    const result = await withTableOfContents(sections, { title: 'Customers' });
+    assert.equal(result.pageCount, 3);
+    assert.equal(result.sections[40].page, 3);
+});
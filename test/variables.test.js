@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeVariables, applyVariables, urlVariables, describeVariables, variablesLabel, readVariableOptions } = require('../lib/variables');
+
+test('normalizeVariables accepts values or lists of values, with or without the var- prefix', () => {
+    assert.deepEqual(normalizeVariables(undefined), {});
+    assert.deepEqual(normalizeVariables({ 'var-host': 'a', region: ['eu', 1, true] }), { host: ['a'], region: ['eu', '1', 'true'] });
+    assert.throws(() => normalizeVariables('host=a'), /"variables" must be an object/);
+    assert.throws(() => normalizeVariables({ host: { value: 'a' } }), /Invalid value for variable "host"/);
+    assert.throws(() => normalizeVariables({ 'var-': 'a' }), /Invalid value for variable "var-"/);
+});
+
+test('applyVariables replaces the values of the URL and urlVariables reads them back', () => {
+    const url = applyVariables(new URL('http://grafana/d/abc?var-host=old&var-env=prod&orgId=1'), { host: ['a', 'b'] });
+    assert.equal(url.toString(), 'http://grafana/d/abc?var-env=prod&orgId=1&var-host=a&var-host=b');
+    assert.deepEqual(urlVariables(url.toString()), { env: ['prod'], host: ['a', 'b'] });
+});
+
+test('describeVariables and variablesLabel spell out the "All" option', () => {
+    const variables = { host: ['a', 'b'], region: ['$__all'], empty: [] };
+    assert.equal(describeVariables(variables), 'host=a, b; region=All; empty=');
+    assert.equal(variablesLabel(variables), 'a+b_All');
+    assert.equal(variablesLabel({ path: ['/var/log app'] }), '-var-log-app');
+    assert.equal(variablesLabel({ host: ['x'.repeat(100)] }).length, 80);
+});
+
+// Page running the functions given to waitForFunction against `window`, until they return a truthy value
+function fakePage(window, { maxPolls = 10 } = {}) {
+    return {
+        polls: 0,
+        async waitForFunction(fn, options, ...args) {
+            global.window = window;
+            try {
+                for (; this.polls < maxPolls; this.polls++) {
+                    const result = fn(...args);
+                    if (result) {
+                        return { jsonValue: async () => JSON.parse(JSON.stringify(result)), dispose: async () => {} };
+                    }
+                    window.tick();
+                }
+                throw new Error('Waiting failed: timeout exceeded');
+            } finally {
+                delete global.window;
+            }
+        }
+    };
+}
+
+function sceneWindow(variables) {
+    return {
+        tick() {
+            variables.forEach(variable => { variable.state.loading = false; });
+        },
+        __grafanaSceneContext: {
+            state: { $variables: { getByName: name => variables.find(variable => variable.state.name === name) } }
+        }
+    };
+}
+
+test('readVariableOptions waits for the variable to load and reads its options', async () => {
+    const page = fakePage(sceneWindow([
+        { state: { name: 'customer', loading: true, options: [{ label: 'All', value: '$__all' }, { label: 'Acme', value: 'acme' }, { label: '42', value: 42 }] } }
+    ]));
+    assert.deepEqual(await readVariableOptions(page, 'customer'), ['acme', '42']);
+    assert.equal(page.polls, 1);
+});
+
+test('readVariableOptions resolves to null without a dashboard scene or variable', async () => {
+    assert.equal(await readVariableOptions(fakePage({ tick() {} }), 'customer'), null);
+    assert.equal(await readVariableOptions(fakePage(sceneWindow([])), 'customer'), null);
+});